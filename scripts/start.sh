@@ -24,6 +24,12 @@ fi
 echo '{"message":"installing latest @milldr/crono"}'
 npm install --prefix /app/runtime --omit=dev --no-audit --no-fund @milldr/crono@latest
 
+if [ "${CRONO_SCRAPE_PROVIDER:-kernel}" = "local" ]; then
+  echo '{"message":"installing playwright chromium for local scrape provider"}'
+  npm install --prefix /app/runtime --omit=dev --no-audit --no-fund playwright@latest
+  /app/runtime/node_modules/.bin/playwright install --with-deps chromium
+fi
+
 echo '{"message":"syncing credentials"}'
 node /app/scripts/sync-credentials.mjs
 
@@ -0,0 +1,81 @@
+import { diffDays, enumerateDates } from "./dates.js";
+import { linearRegression } from "./weight-trend.js";
+
+// Energy stored or released per unit of body-weight change.
+export const KCAL_PER_WEIGHT_UNIT = { lbs: 3500, kg: 7716 };
+
+function round(value, digits = 0) {
+  if (value === null || !Number.isFinite(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function confidenceLevel(score) {
+  if (score >= 0.7) return "high";
+  if (score >= 0.4) return "medium";
+  return "low";
+}
+
+/**
+ * Maintenance calories from energy balance: average logged intake minus the
+ * energy that went into (or came out of) body mass, where the body-mass
+ * change is the slope of the smoothed weight trend across the window.
+ *
+ * `intakeByDate` holds calories for logged days only; unlogged days are
+ * assumed to look like the logged ones and just lower the confidence.
+ */
+export function estimateAdaptiveTdee({ intakeByDate, trend, start, end, minDays = 14 }) {
+  const windowDays = enumerateDates(start, end).length;
+  const logged = Array.from(intakeByDate.entries()).filter(
+    ([date, calories]) => date >= start && date <= end && calories > 0
+  );
+  const trendDays = (trend?.perDay || []).filter((day) => day.date >= start && day.date <= end);
+  const weighIns = trendDays.filter((day) => day.weighedIn).length;
+
+  const averageIntake =
+    logged.length > 0 ? logged.reduce((sum, [, calories]) => sum + calories, 0) / logged.length : null;
+  const fit = linearRegression(
+    trendDays.map((day) => ({ x: diffDays(start, day.date), y: day.trendWeight }))
+  );
+
+  const unit = trend?.unit || "lbs";
+  const storedPerDay = fit ? fit.slope * KCAL_PER_WEIGHT_UNIT[unit] : null;
+  const estimate =
+    averageIntake !== null && storedPerDay !== null ? averageIntake - storedPerDay : null;
+
+  // Each factor is 0..1: how much of the window was logged, how often the
+  // user weighed in (every other day counts as full), and whether the window
+  // is long enough for water-weight noise to average out.
+  const factors = {
+    intakeCoverage: round(logged.length / windowDays, 2),
+    weighInCoverage: round(Math.min(1, weighIns / (windowDays / 2)), 2),
+    windowLength: round(Math.min(1, windowDays / (minDays * 2)), 2),
+  };
+  const score =
+    estimate === null
+      ? 0
+      : round(factors.intakeCoverage * factors.weighInCoverage * factors.windowLength, 2);
+
+  return {
+    estimatedTdee: round(estimate),
+    averageIntake: round(averageIntake),
+    storedEnergyPerDay: round(storedPerDay),
+    weightChange: fit
+      ? {
+          unit,
+          startTrendWeight: round(trendDays[0].trendWeight, 2),
+          endTrendWeight: round(trendDays[trendDays.length - 1].trendWeight, 2),
+          perWeek: round(fit.slope * 7, 2),
+        }
+      : null,
+    daysInWindow: windowDays,
+    daysLogged: logged.length,
+    weighIns,
+    confidence: {
+      score,
+      level: confidenceLevel(score),
+      factors,
+      sufficient: estimate !== null && windowDays >= minDays,
+    },
+  };
+}
@@ -0,0 +1,91 @@
+import { addDays, parseLocalDate } from "./dates.js";
+import { TARGET_NUTRIENTS } from "./targets.js";
+
+// Protein and fiber are floors: going over is fine. The rest are targets
+// where missing in either direction counts against the day.
+const MINIMUM_NUTRIENTS = new Set(["protein", "fiber"]);
+
+function round(value, digits = 1) {
+  if (value === null || !Number.isFinite(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+export function weekStartOf(date) {
+  const offset = (parseLocalDate(date).getDay() + 6) % 7;
+  return addDays(date, -offset);
+}
+
+function scoreNutrient(nutrient, actual, target, tolerance) {
+  if (target === undefined || target === null || target <= 0) return null;
+  if (actual === null) {
+    return { target, actual: null, deviationPercent: null, score: 0, hit: false };
+  }
+  const deviation = (actual - target) / target;
+  const minimum = MINIMUM_NUTRIENTS.has(nutrient);
+  const score = minimum
+    ? Math.min(1, actual / target)
+    : Math.max(0, 1 - Math.abs(deviation));
+  const hit = minimum ? deviation >= -tolerance : Math.abs(deviation) <= tolerance;
+  return {
+    target,
+    actual: round(actual),
+    deviationPercent: round(deviation * 100),
+    score: round(score * 100),
+    hit,
+  };
+}
+
+/**
+ * Scores one day against its resolved targets. The day score is the mean
+ * of the per-nutrient scores (0-100); `hit` is true when every targeted
+ * nutrient is within `tolerancePercent`.
+ */
+export function scoreDay(actuals, dayTargets, { tolerancePercent = 10 } = {}) {
+  const tolerance = tolerancePercent / 100;
+  const nutrients = {};
+  for (const nutrient of TARGET_NUTRIENTS) {
+    const scored = scoreNutrient(
+      nutrient,
+      actuals[nutrient] ?? null,
+      dayTargets.values[nutrient],
+      tolerance
+    );
+    if (scored) nutrients[nutrient] = { ...scored, source: dayTargets.sources[nutrient] };
+  }
+  const scored = Object.values(nutrients);
+  return {
+    date: dayTargets.date,
+    weekday: dayTargets.weekday,
+    dayType: dayTargets.dayType,
+    score:
+      scored.length > 0
+        ? round(scored.reduce((sum, item) => sum + item.score, 0) / scored.length)
+        : null,
+    hit: scored.length > 0 && scored.every((item) => item.hit),
+    nutrients,
+  };
+}
+
+export function summarizeWeeks(days) {
+  const weeks = new Map();
+  for (const day of days) {
+    if (day.score === null) continue;
+    const weekStart = weekStartOf(day.date);
+    const week = weeks.get(weekStart) || { weekStart, days: 0, daysHit: 0, total: 0, nutrientHits: {} };
+    week.days += 1;
+    week.total += day.score;
+    if (day.hit) week.daysHit += 1;
+    for (const [nutrient, item] of Object.entries(day.nutrients)) {
+      const counts = week.nutrientHits[nutrient] || { hit: 0, days: 0 };
+      counts.days += 1;
+      if (item.hit) counts.hit += 1;
+      week.nutrientHits[nutrient] = counts;
+    }
+    weeks.set(weekStart, week);
+  }
+
+  return Array.from(weeks.values())
+    .sort((a, b) => (a.weekStart < b.weekStart ? -1 : 1))
+    .map(({ total, ...week }) => ({ ...week, score: round(total / week.days) }));
+}
@@ -0,0 +1,190 @@
+import { createHash, randomBytes, randomUUID, timingSafeEqual } from "node:crypto";
+import { createWriteQueue, readJsonFile, writeJsonFileAtomic } from "./storage.js";
+
+export const API_KEY_SCOPES = ["read", "write", "admin"];
+const KEY_PREFIX = "crono_";
+const LAST_USED_PERSIST_INTERVAL_MS = 60 * 1000;
+
+export function hashApiKey(key) {
+  return createHash("sha256").update(String(key)).digest();
+}
+
+// Every candidate is compared, so the time taken does not reveal which
+// (or whether any) key matched.
+export function findMatchingHash(providedHash, candidates, getHash = (item) => item) {
+  let match = null;
+  for (const candidate of candidates) {
+    const hash = getHash(candidate);
+    if (hash.length === providedHash.length && timingSafeEqual(hash, providedHash)) {
+      match = match ?? candidate;
+    }
+  }
+  return match;
+}
+
+export function normalizeScopes(raw) {
+  const list = Array.isArray(raw) ? raw : typeof raw === "string" ? raw.split(",") : [];
+  const scopes = Array.from(
+    new Set(list.map((scope) => String(scope).toLowerCase().trim()).filter(Boolean))
+  );
+  const invalid = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+  if (invalid.length > 0 || scopes.length === 0) return null;
+  return scopes;
+}
+
+function generateSecret() {
+  return `${KEY_PREFIX}${randomBytes(32).toString("base64url")}`;
+}
+
+function describeKey(record) {
+  const { hash, ...rest } = record;
+  return rest;
+}
+
+function keyState(record, now) {
+  if (record.revokedAt) return "revoked";
+  if (record.expiresAt && Date.parse(record.expiresAt) <= now) return "expired";
+  return "active";
+}
+
+export function createApiKeyRegistry({ filePath, onPersistError = () => {} }) {
+  const records = new Map();
+  const enqueueWrite = createWriteQueue();
+  const stats = { authenticated: 0, rejected: 0, created: 0, rotated: 0, revoked: 0 };
+
+  function persist() {
+    const snapshot = Array.from(records.values());
+    return enqueueWrite(() => writeJsonFileAtomic(filePath, { keys: snapshot })).catch(
+      onPersistError
+    );
+  }
+
+  async function load() {
+    const stored = await readJsonFile(filePath, null);
+    records.clear();
+    for (const record of stored?.keys || []) {
+      if (record?.id && typeof record.hash === "string") records.set(record.id, record);
+    }
+    return records.size;
+  }
+
+  // Revoked and expired keys count too: once keys have been issued, losing
+  // the last one must not quietly switch authentication off.
+  function hasKeys() {
+    return records.size > 0;
+  }
+
+  // True when `id` (owned by `profileId`) is the only active key left with
+  // the admin scope, in any profile.
+  function isLastActiveAdmin(id, { profileId } = {}) {
+    if (!findOwned(id, profileId)) return false;
+    const now = Date.now();
+    const admins = Array.from(records.values()).filter(
+      (record) => record.scopes.includes("admin") && keyState(record, now) === "active"
+    );
+    return admins.length === 1 && admins[0].id === id;
+  }
+
+  // Returns { key, state } for a presented secret, or null if it is unknown.
+  function authenticate(secret) {
+    const providedHash = hashApiKey(secret);
+    const record = findMatchingHash(providedHash, records.values(), (item) =>
+      Buffer.from(item.hash, "hex")
+    );
+    if (!record) {
+      stats.rejected += 1;
+      return null;
+    }
+
+    const now = Date.now();
+    const state = keyState(record, now);
+    if (state !== "active") {
+      stats.rejected += 1;
+      return { key: describeKey(record), state };
+    }
+
+    stats.authenticated += 1;
+    const lastUsed = record.lastUsedAt ? Date.parse(record.lastUsedAt) : 0;
+    record.lastUsedAt = new Date(now).toISOString();
+    if (now - lastUsed >= LAST_USED_PERSIST_INTERVAL_MS) persist();
+    return { key: describeKey(record), state };
+  }
+
+  function create({ label, scopes, profileId, expiresAt = null }) {
+    const secret = generateSecret();
+    const record = {
+      id: randomUUID(),
+      label,
+      profileId,
+      scopes,
+      hash: hashApiKey(secret).toString("hex"),
+      prefix: secret.slice(0, KEY_PREFIX.length + 6),
+      createdAt: new Date().toISOString(),
+      expiresAt,
+      rotatedAt: null,
+      revokedAt: null,
+      lastUsedAt: null,
+    };
+    records.set(record.id, record);
+    stats.created += 1;
+    persist();
+    return { secret, key: describeKey(record) };
+  }
+
+  function findOwned(id, profileId) {
+    const record = records.get(id);
+    return record && record.profileId === profileId ? record : null;
+  }
+
+  function rotate(id, { profileId, expiresAt } = {}) {
+    const record = findOwned(id, profileId);
+    if (!record || record.revokedAt) return null;
+
+    const secret = generateSecret();
+    record.hash = hashApiKey(secret).toString("hex");
+    record.prefix = secret.slice(0, KEY_PREFIX.length + 6);
+    record.rotatedAt = new Date().toISOString();
+    if (expiresAt !== undefined) record.expiresAt = expiresAt;
+    stats.rotated += 1;
+    persist();
+    return { secret, key: describeKey(record) };
+  }
+
+  function revoke(id, { profileId } = {}) {
+    const record = findOwned(id, profileId);
+    if (!record) return null;
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      stats.revoked += 1;
+      persist();
+    }
+    return describeKey(record);
+  }
+
+  function list({ profileId } = {}) {
+    const now = Date.now();
+    return Array.from(records.values())
+      .filter((record) => record.profileId === profileId)
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+      .map((record) => ({ ...describeKey(record), state: keyState(record, now) }));
+  }
+
+  function getStats() {
+    const now = Date.now();
+    const counts = { active: 0, expired: 0, revoked: 0 };
+    for (const record of records.values()) counts[keyState(record, now)] += 1;
+    return { stored: records.size, ...counts, ...stats };
+  }
+
+  return {
+    load,
+    hasKeys,
+    isLastActiveAdmin,
+    authenticate,
+    create,
+    rotate,
+    revoke,
+    list,
+    stats: getStats,
+  };
+}
@@ -0,0 +1,1816 @@
+// Request and response schemas for every route. server.js registers routes
+// from this list, so a route cannot exist without a schema; the OpenAPI
+// document and /api/v1/endpoints are both generated from it.
+
+import { WEBHOOK_EVENTS } from "./webhooks.js";
+
+const ISO_DATE = {
+  type: "string",
+  pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+  "x-format-hint": "a YYYY-MM-DD date",
+};
+const ISO_DATE_OR_TIME = {
+  type: "string",
+  pattern: "^\\d{4}-\\d{2}-\\d{2}(T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:\\d{2})?)?$",
+  "x-format-hint": "a YYYY-MM-DD date or an ISO 8601 timestamp",
+};
+const RANGE = {
+  type: "string",
+  pattern: "^(\\d+d|\\d{4}-\\d{2}-\\d{2}:\\d{4}-\\d{2}-\\d{2})$",
+  "x-format-hint": "Nd or YYYY-MM-DD:YYYY-MM-DD",
+};
+// Bodies have always accepted numbers as JSON numbers or numeric strings.
+const NUMERIC = {
+  type: ["number", "string"],
+  pattern: "^\\s*-?\\d+(\\.\\d+)?\\s*$",
+  "x-format-hint": "a number",
+};
+const JOB_STATUSES = ["queued", "running", "succeeded", "failed"];
+const EXPORT_TYPES = ["nutrition", "exercises", "biometrics"];
+export const JOB_TYPES = [
+  "weekly-average-deficit",
+  "adaptive-tdee",
+  "goal-projection",
+  "calorie-balance",
+  "export",
+  "weight",
+];
+
+const dateQuery = {
+  date: { description: "Single day", schema: ISO_DATE },
+  range: { description: "Trailing days (7d) or start:end", schema: RANGE, example: "7d" },
+};
+const daysQuery = {
+  days: {
+    description: "Trailing day count (default 7)",
+    schema: { type: "integer", minimum: 1, maximum: 365 },
+    example: 7,
+  },
+  range: { description: "Explicit range, overrides days", schema: RANGE },
+};
+const calorieBalanceQuery = {
+  ...daysQuery,
+  target_kcal: {
+    description: "Calorie target applied to every day",
+    schema: { type: "number", exclusiveMinimum: 0 },
+    example: 2400,
+  },
+};
+
+const weightTrendQuery = {
+  days: {
+    description: "Trailing day count ending today (default 30)",
+    schema: { type: "integer", minimum: 2, maximum: 730 },
+    example: 30,
+  },
+  range: { description: "Explicit range, overrides days", schema: RANGE },
+  alpha: {
+    description: "Trend smoothing factor (default 0.1; higher follows weigh-ins more closely)",
+    schema: { type: "number", exclusiveMinimum: 0, maximum: 1 },
+  },
+  sma_days: {
+    description: "Simple moving average window (default 7)",
+    schema: { type: "integer", minimum: 1, maximum: 60 },
+  },
+  unit: {
+    description: "Output unit (default: the unit crono reports)",
+    schema: { type: "string", enum: ["lbs", "kg"] },
+  },
+};
+
+const adaptiveTdeeQuery = {
+  days: {
+    description: "Completed days ending yesterday (default 28)",
+    schema: { type: "integer", minimum: 7, maximum: 365 },
+    example: 28,
+  },
+  range: { description: "Explicit range, overrides days", schema: RANGE },
+  alpha: weightTrendQuery.alpha,
+  include_scraped: {
+    description:
+      "Also run the Energy Summary burn for comparison. The browser scrape can take minutes, " +
+      "so it defaults to false on the GET and true in an adaptive-tdee job",
+    schema: { type: "boolean" },
+  },
+};
+
+const goalProjectionQuery = {
+  target_weight: {
+    required: true,
+    description: "Goal weight, in `unit`",
+    schema: { type: "number", exclusiveMinimum: 0 },
+    example: 180,
+  },
+  unit: weightTrendQuery.unit,
+  days: {
+    description: "Trend window ending today (default 28)",
+    schema: { type: "integer", minimum: 8, maximum: 365 },
+    example: 28,
+  },
+  range: { description: "Explicit range, overrides days", schema: RANGE },
+  include_deficit: {
+    description:
+      "Also project from weekly-average-deficit over the same window. It runs the Energy " +
+      "Summary scrape, so it defaults to false on the GET and true in a goal-projection job",
+    schema: { type: "boolean" },
+  },
+};
+
+const WEEKDAY_NAMES = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+const adherenceQuery = {
+  days: {
+    description: "Completed days ending yesterday (default 7)",
+    schema: { type: "integer", minimum: 1, maximum: 365 },
+    example: 7,
+  },
+  range: { description: "Explicit range, overrides days", schema: RANGE },
+};
+
+// Write routes replay the stored response for a repeated key.
+const idempotencyHeader = {
+  "Idempotency-Key": {
+    description:
+      "Client-chosen unique key; a retry with the same key and body returns the original response without running crono again",
+    schema: { type: "string", minLength: 1, maxLength: 255 },
+  },
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema, description = "OK") => ({ description, schema });
+const looseObject = (description) => ({
+  type: "object",
+  description,
+  additionalProperties: true,
+});
+
+// /health counters that span every profile; null unless the key has admin.
+const adminStats = (description) => ({
+  type: ["object", "null"],
+  description: `${description}, across all profiles (null without the admin scope)`,
+  additionalProperties: true,
+});
+
+const templateIdParam = { id: { schema: { type: "string", minLength: 1 } } };
+const templateResponse = { type: "object", properties: { template: ref("Template") } };
+const webhookIdParam = { id: { schema: { type: "string", minLength: 1 } } };
+
+export const COMPONENT_SCHEMAS = {
+  Error: {
+    type: "object",
+    required: ["error"],
+    properties: {
+      error: { type: "string" },
+      details: {
+        description:
+          "Extra context. Validation failures list each problem under details.errors.",
+      },
+      requestId: {
+        type: "string",
+        description: "Same as the X-Request-Id response header; quote it when reporting a failure",
+      },
+    },
+  },
+  ValidationErrorItem: {
+    type: "object",
+    required: ["in", "path", "message"],
+    properties: {
+      in: { type: "string", enum: ["path", "query", "header", "body", "request"] },
+      path: { type: "string" },
+      message: { type: "string" },
+    },
+  },
+  WriteResult: {
+    type: "object",
+    required: ["ok", "output"],
+    properties: { ok: { type: "boolean" }, output: { type: "string" } },
+  },
+  Food: {
+    type: "object",
+    description: "A custom food created through this API",
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      protein: { type: ["number", "null"] },
+      carbs: { type: ["number", "null"] },
+      fat: { type: ["number", "null"] },
+      total: { type: ["number", "null"] },
+      createdAt: { type: "string", format: "date-time" },
+      updatedAt: { type: "string", format: "date-time" },
+      score: { type: "number", description: "Search similarity 0-1, only in search results" },
+    },
+  },
+  LogResult: {
+    allOf: [
+      ref("WriteResult"),
+      {
+        type: "object",
+        properties: {
+          food: {
+            anyOf: [ref("Food"), { type: "null" }],
+            description: "The library food that was logged, if it is one",
+          },
+          suggestions: {
+            type: "array",
+            description: "Close library matches when the name is not in the library",
+            items: ref("Food"),
+          },
+        },
+      },
+    ],
+  },
+  QuickAddBody: {
+    type: "object",
+    properties: {
+      protein: NUMERIC,
+      carbs: NUMERIC,
+      fat: NUMERIC,
+      meal: { type: "string", maxLength: 80 },
+    },
+  },
+  CustomFoodBody: {
+    type: "object",
+    required: ["name"],
+    properties: {
+      name: { type: "string", minLength: 1, maxLength: 200 },
+      protein: NUMERIC,
+      carbs: NUMERIC,
+      fat: NUMERIC,
+      total: NUMERIC,
+      log: {
+        type: ["boolean", "string"],
+        description: "true to log to the default meal, or a meal name",
+      },
+    },
+  },
+  LogFoodBody: {
+    type: "object",
+    description: "Exactly one of name or foodId",
+    properties: {
+      name: { type: "string", minLength: 1, maxLength: 200 },
+      foodId: { type: "string", minLength: 1, description: "Id from /api/v1/foods" },
+      meal: { type: "string", maxLength: 80 },
+      servings: NUMERIC,
+    },
+  },
+  TemplateItem: {
+    type: "object",
+    description: "A food to log by name, or a macro-only quick-add when name is omitted",
+    additionalProperties: false,
+    properties: {
+      name: { type: "string", minLength: 1, maxLength: 200 },
+      servings: { type: "number", exclusiveMinimum: 0 },
+      meal: { type: "string", maxLength: 80, description: "Overrides the template's meal" },
+      protein: { type: "number", minimum: 0 },
+      carbs: { type: "number", minimum: 0 },
+      fat: { type: "number", minimum: 0 },
+    },
+  },
+  TemplateInput: {
+    type: "object",
+    required: ["name", "items"],
+    additionalProperties: false,
+    properties: {
+      name: { type: "string", minLength: 1, maxLength: 120 },
+      meal: { type: "string", maxLength: 80, description: "Default meal for every item" },
+      items: { type: "array", minItems: 1, maxItems: 50, items: ref("TemplateItem") },
+    },
+  },
+  Template: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      meal: { type: ["string", "null"] },
+      items: { type: "array", items: ref("TemplateItem") },
+      createdAt: { type: "string", format: "date-time" },
+      updatedAt: { type: "string", format: "date-time" },
+      lastLoggedAt: { type: ["string", "null"], format: "date-time" },
+    },
+  },
+  BatchOperation: {
+    type: "object",
+    required: ["op"],
+    description:
+      "One write: `op` plus the body of the matching single route (QuickAddBody, CustomFoodBody or LogFoodBody)",
+    properties: {
+      op: { type: "string", enum: ["log", "quick-add", "add/custom-food"] },
+    },
+  },
+  BatchResult: {
+    type: "object",
+    properties: {
+      ok: { type: "boolean", description: "true when every operation succeeded" },
+      stopOnError: { type: "boolean" },
+      succeeded: { type: "integer" },
+      failed: { type: "integer" },
+      skipped: { type: "integer" },
+      results: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            index: { type: "integer" },
+            op: { type: "string" },
+            status: { type: "string", enum: ["ok", "failed", "skipped"] },
+            output: { type: "string" },
+            attemptsUsed: { type: "integer" },
+            error: {
+              type: "object",
+              properties: {
+                status: { type: "integer" },
+                message: { type: "string" },
+                details: looseObject("crono exit code and output"),
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+  FetchMeta: looseObject(
+    "How the rows were obtained: warehouse/live source, cache hits, retries, coalescing"
+  ),
+  DataResponse: {
+    type: "object",
+    required: ["data"],
+    properties: {
+      data: { description: "Rows as returned by crono --json" },
+      diagnostics: {
+        type: "object",
+        properties: { fetch: ref("FetchMeta") },
+      },
+    },
+  },
+  TodayMacros: {
+    type: "object",
+    properties: {
+      date: { type: ["string", "null"] },
+      calories: { type: ["number", "null"] },
+      protein: { type: ["number", "null"] },
+      carbs: { type: ["number", "null"] },
+      fat: { type: ["number", "null"] },
+      raw: looseObject("Nutrition export row"),
+    },
+  },
+  CalorieBalanceDay: {
+    type: "object",
+    properties: {
+      date: { type: ["string", "null"] },
+      calories: { type: ["number", "null"] },
+      targetCalories: { type: ["number", "null"] },
+      netCalories: { type: ["number", "null"] },
+      status: { type: "string", enum: ["surplus", "deficit", "at_target", "unknown"] },
+      targetSource: { type: "string" },
+    },
+  },
+  CalorieBalance: {
+    type: "object",
+    properties: {
+      range: { type: "string" },
+      explicitTargetCalories: { type: ["number", "null"] },
+      storedTargetsUsed: { type: "boolean" },
+      notes: { type: "string" },
+      days: { type: "integer" },
+      daysWithTarget: { type: "integer" },
+      totalNetCalories: { type: "number" },
+      totalDeficitCalories: { type: "number" },
+      totalSurplusCalories: { type: "number" },
+      trend: { type: "string", enum: ["surplus", "deficit", "at_target"] },
+      perDay: { type: "array", items: ref("CalorieBalanceDay") },
+    },
+  },
+  WeeklyAverageDeficitDay: {
+    type: "object",
+    properties: {
+      date: { type: ["string", "null"] },
+      completed: { type: "boolean" },
+      consumedCalories: { type: "number" },
+      burnedCalories: { type: "number" },
+      burnedRawCalories: { type: "number" },
+      burnedSource: { type: "string" },
+      burnedBreakdown: looseObject(
+        "Inputs behind burnedCalories; the shape follows burnedSource. Scraped days hold the " +
+          "Energy Summary values (numbers or null) plus resolvedBurnedSource; nutrition export " +
+          "days hold one { value, rawValue, sourceKey } object per component"
+      ),
+      missingBurnComponents: { type: "array", items: { type: "string" } },
+      netCalories: { type: "number" },
+    },
+  },
+  WeeklyAverageDeficit: {
+    type: "object",
+    properties: {
+      range: { type: "string" },
+      trailingWindowExcludingToday: {
+        type: ["object", "null"],
+        properties: { start: ISO_DATE, end: ISO_DATE },
+      },
+      daysRequested: { type: "integer" },
+      daysUsed: { type: "integer" },
+      completedOnly: { type: "boolean" },
+      formula: { type: "string" },
+      totals: {
+        type: "object",
+        properties: {
+          consumedCalories: { type: "number" },
+          burnedCalories: { type: "number" },
+          burnedRawCalories: { type: "number" },
+          netCalories: { type: "number" },
+        },
+      },
+      averageNetCaloriesPerDay: { type: "number" },
+      averageDeficitPerDay: { type: "number" },
+      averageSurplusPerDay: { type: "number" },
+      averageStatus: { type: "string", enum: ["surplus", "deficit", "at_target"] },
+      diagnostics: looseObject("Data quality, scrape, cache and fallback details"),
+      notes: { type: "array", items: { type: "string" } },
+      perDay: { type: "array", items: ref("WeeklyAverageDeficitDay") },
+    },
+  },
+  WeightRate: {
+    type: "object",
+    properties: {
+      lbs: { type: "number" },
+      kg: { type: "number" },
+      percentOfBodyWeight: { type: ["number", "null"] },
+    },
+  },
+  WeightTrendDay: {
+    type: "object",
+    properties: {
+      date: ISO_DATE,
+      weight: { type: "number", description: "Weigh-in, or the filled value" },
+      weighedIn: { type: "boolean" },
+      fill: { type: ["string", "null"], enum: ["interpolated", "carried", null] },
+      trendWeight: { type: "number" },
+      movingAverage: { type: "number" },
+      movingAverageDays: { type: "integer" },
+    },
+  },
+  WeightTrend: {
+    type: "object",
+    properties: {
+      range: { type: "string" },
+      smoothing: {
+        type: "object",
+        properties: {
+          alpha: { type: "number" },
+          movingAverageDays: { type: "integer" },
+          warmupDays: { type: "integer" },
+        },
+      },
+      unit: { type: "string", enum: ["lbs", "kg"] },
+      latest: {
+        type: "object",
+        properties: {
+          date: ISO_DATE,
+          weight: { type: ["number", "null"] },
+          trendWeight: { type: "number" },
+          movingAverage: { type: "number" },
+        },
+      },
+      weeklyRate: {
+        type: ["object", "null"],
+        description: "Trend change per week over the last 7 days",
+        allOf: [ref("WeightRate")],
+        properties: {
+          basis: { type: "string" },
+          fromDate: ISO_DATE,
+          toDate: ISO_DATE,
+        },
+      },
+      regression: {
+        type: ["object", "null"],
+        description: "Least-squares fit over the weigh-ins in the range",
+        properties: {
+          slopePerDay: { type: "number" },
+          perWeek: ref("WeightRate"),
+          r2: { type: "number" },
+          weighIns: { type: "integer" },
+        },
+      },
+      daysWithWeighIn: { type: "integer" },
+      daysFilled: { type: "integer" },
+      perDay: { type: "array", items: ref("WeightTrendDay") },
+      diagnostics: looseObject("Fetch details"),
+      notes: { type: "array", items: { type: "string" } },
+    },
+  },
+  AdaptiveTdee: {
+    type: "object",
+    properties: {
+      range: { type: "string" },
+      estimatedTdee: { type: ["number", "null"], description: "Maintenance kcal/day" },
+      averageIntake: { type: ["number", "null"] },
+      storedEnergyPerDay: {
+        type: ["number", "null"],
+        description: "kcal/day going into (+) or out of (-) body mass",
+      },
+      weightChange: {
+        type: ["object", "null"],
+        properties: {
+          unit: { type: "string", enum: ["lbs", "kg"] },
+          startTrendWeight: { type: "number" },
+          endTrendWeight: { type: "number" },
+          perWeek: { type: "number" },
+        },
+      },
+      daysInWindow: { type: "integer" },
+      daysLogged: { type: "integer" },
+      weighIns: { type: "integer" },
+      confidence: {
+        type: "object",
+        properties: {
+          score: { type: "number", minimum: 0, maximum: 1 },
+          level: { type: "string", enum: ["low", "medium", "high"] },
+          factors: {
+            type: "object",
+            properties: {
+              intakeCoverage: { type: "number" },
+              weighInCoverage: { type: "number" },
+              windowLength: { type: "number" },
+            },
+          },
+          sufficient: { type: "boolean" },
+        },
+      },
+      scrapedBurn: {
+        type: ["object", "null"],
+        description: "Cronometer's Energy Summary burn over the same days",
+        properties: {
+          averageBurnedCalories: { type: ["number", "null"] },
+          daysUsed: { type: "integer" },
+          burnSourceCounts: { type: "object", additionalProperties: { type: "integer" } },
+          differenceCalories: { type: ["number", "null"] },
+          differencePercent: { type: ["number", "null"] },
+          error: { type: ["string", "null"] },
+        },
+      },
+      diagnostics: looseObject("Fetch details"),
+      notes: { type: "array", items: { type: "string" } },
+    },
+  },
+  GoalEstimate: {
+    type: "object",
+    properties: {
+      weeklyRate: { type: ["number", "null"], description: "Weight change per week, in unit" },
+      status: {
+        type: "string",
+        enum: ["reached", "on_track", "moving_away", "no_change", "too_slow"],
+      },
+      projectedDate: { type: ["string", "null"] },
+      daysToGoal: { type: ["integer", "null"] },
+    },
+  },
+  GoalProjection: {
+    type: "object",
+    properties: {
+      range: { type: "string" },
+      unit: { type: "string", enum: ["lbs", "kg"] },
+      targetWeight: { type: "number" },
+      currentTrendWeight: { type: "number" },
+      remaining: { type: "number" },
+      asOf: ISO_DATE,
+      byTrend: ref("GoalEstimate"),
+      byDeficit: {
+        type: ["object", "null"],
+        allOf: [ref("GoalEstimate")],
+        properties: {
+          averageNetCaloriesPerDay: { type: "number" },
+          daysUsed: { type: "integer" },
+          error: { type: ["string", "null"] },
+        },
+      },
+      bestCase: { type: ["object", "null"], allOf: [ref("GoalEstimate")] },
+      worstCase: { type: ["object", "null"], allOf: [ref("GoalEstimate")] },
+      weeklyRates: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            fromDate: ISO_DATE,
+            toDate: ISO_DATE,
+            weeklyRate: { type: "number" },
+          },
+        },
+      },
+      diagnostics: looseObject("Fetch details"),
+      notes: { type: "array", items: { type: "string" } },
+    },
+  },
+  NutrientTargets: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      kcal: { type: "number", minimum: 0 },
+      protein: { type: "number", minimum: 0 },
+      carbs: { type: "number", minimum: 0 },
+      fat: { type: "number", minimum: 0 },
+      fiber: { type: "number", minimum: 0 },
+    },
+  },
+  Targets: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      default: ref("NutrientTargets"),
+      trainingDay: ref("NutrientTargets"),
+      restDay: ref("NutrientTargets"),
+      weekdays: {
+        type: "object",
+        description: "Per-weekday overrides, the most specific layer",
+        additionalProperties: false,
+        properties: Object.fromEntries(
+          WEEKDAY_NAMES.map((day) => [day, ref("NutrientTargets")])
+        ),
+      },
+      trainingWeekdays: {
+        type: "array",
+        description: "Weekdays that use trainingDay targets",
+        items: { type: "string", enum: WEEKDAY_NAMES },
+      },
+      detectTrainingFromExercises: {
+        type: "boolean",
+        description: "Treat days with logged exercise as training days instead",
+      },
+      tolerancePercent: { type: "number", minimum: 0, maximum: 100 },
+      micronutrients: ref("MicronutrientSettings"),
+      updatedAt: { type: ["string", "null"], description: "Set by the server" },
+    },
+  },
+  MicronutrientSettings: {
+    type: "object",
+    description: "Selects reference intakes for /api/v1/summary/micronutrients",
+    additionalProperties: false,
+    properties: {
+      sex: { type: ["string", "null"], enum: ["male", "female", null] },
+      age: { type: ["integer", "null"], minimum: 14, maximum: 120 },
+      overrides: {
+        type: "object",
+        description: "Per nutrient id, replaces the reference intake and/or upper limit",
+        additionalProperties: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            reference: { type: "number", exclusiveMinimum: 0 },
+            upperLimit: { type: "number", exclusiveMinimum: 0 },
+          },
+        },
+      },
+    },
+  },
+  TargetsResponse: {
+    type: "object",
+    properties: { targets: ref("Targets"), hasTargets: { type: "boolean" } },
+  },
+  Micronutrient: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      name: { type: "string" },
+      category: { type: "string", enum: ["vitamin", "mineral", "other"] },
+      unit: { type: "string", enum: ["g", "mg", "µg", "IU"] },
+      column: { type: "string", description: "Export column the values came from" },
+      reference: { type: ["number", "null"] },
+      referenceKind: { type: ["string", "null"], enum: ["RDA", "AI", "override", null] },
+      upperLimit: { type: ["number", "null"] },
+      referenceSource: { type: ["string", "null"], enum: ["dri", "override", null] },
+      daysReported: { type: "integer" },
+      averageAmount: { type: ["number", "null"] },
+      averagePercentOfReference: { type: ["number", "null"] },
+      daysBelowShortfall: { type: "integer" },
+      chronicShortfall: { type: "boolean" },
+      daysOverUpperLimit: { type: "array", items: ISO_DATE },
+    },
+  },
+  Micronutrients: {
+    type: "object",
+    properties: {
+      range: { type: "string" },
+      referenceProfile: {
+        type: "object",
+        properties: {
+          sex: { type: ["string", "null"] },
+          age: { type: "integer" },
+          source: { type: "string", enum: ["query", "stored", "default"] },
+        },
+      },
+      shortfallPercent: { type: "number" },
+      daysIncluded: { type: "integer" },
+      chronicShortfalls: { type: "array", items: { type: "string" } },
+      overUpperLimit: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            days: { type: "integer" },
+            dates: { type: "array", items: ISO_DATE },
+          },
+        },
+      },
+      nutrients: { type: "array", items: ref("Micronutrient") },
+      perDay: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            date: ISO_DATE,
+            nutrients: {
+              type: "object",
+              additionalProperties: {
+                type: "object",
+                properties: {
+                  amount: { type: "number" },
+                  percentOfReference: { type: ["number", "null"] },
+                  overUpperLimit: { type: "boolean" },
+                },
+              },
+            },
+          },
+        },
+      },
+      diagnostics: looseObject("Fetch details"),
+      notes: { type: "array", items: { type: "string" } },
+    },
+  },
+  NutrientScore: {
+    type: "object",
+    properties: {
+      target: { type: "number" },
+      actual: { type: ["number", "null"] },
+      deviationPercent: { type: ["number", "null"] },
+      score: { type: "number" },
+      hit: { type: "boolean" },
+      source: { type: "string", description: "Targets layer the value came from" },
+    },
+  },
+  AdherenceDay: {
+    type: "object",
+    properties: {
+      date: ISO_DATE,
+      weekday: { type: "string", enum: WEEKDAY_NAMES },
+      dayType: { type: "string", enum: ["training", "rest"] },
+      score: { type: ["number", "null"] },
+      hit: { type: "boolean" },
+      nutrients: { type: "object", additionalProperties: ref("NutrientScore") },
+    },
+  },
+  Adherence: {
+    type: "object",
+    properties: {
+      range: { type: "string" },
+      tolerancePercent: { type: "number" },
+      trainingDaysFrom: { type: "string", enum: ["exercises", "trainingWeekdays"] },
+      daysScored: { type: "integer" },
+      daysHit: { type: "integer" },
+      score: { type: ["number", "null"] },
+      weeks: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            weekStart: ISO_DATE,
+            days: { type: "integer" },
+            daysHit: { type: "integer" },
+            score: { type: "number" },
+            nutrientHits: {
+              type: "object",
+              additionalProperties: {
+                type: "object",
+                properties: { hit: { type: "integer" }, days: { type: "integer" } },
+              },
+            },
+          },
+        },
+      },
+      perDay: { type: "array", items: ref("AdherenceDay") },
+      diagnostics: looseObject("Fetch details"),
+      notes: { type: "array", items: { type: "string" } },
+    },
+  },
+  JobProgress: {
+    type: "object",
+    properties: {
+      message: { type: "string" },
+      updatedAt: { type: ["string", "null"] },
+      events: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: { at: { type: "string" }, message: { type: "string" } },
+        },
+      },
+    },
+  },
+  Job: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      type: { type: "string", enum: JOB_TYPES },
+      params: looseObject("Parameters the job was created with"),
+      profileId: { type: ["string", "null"] },
+      status: { type: "string", enum: JOB_STATUSES },
+      createdAt: { type: "string" },
+      startedAt: { type: ["string", "null"] },
+      finishedAt: { type: ["string", "null"] },
+      progress: ref("JobProgress"),
+      result: { description: "The route response the job computed, once succeeded" },
+      error: {
+        type: ["object", "null"],
+        properties: {
+          message: { type: "string" },
+          status: { type: "integer" },
+          details: {},
+        },
+      },
+    },
+  },
+  JobAccepted: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      type: { type: "string", enum: JOB_TYPES },
+      status: { type: "string", enum: JOB_STATUSES },
+      url: { type: "string" },
+    },
+  },
+  JobList: {
+    type: "object",
+    properties: {
+      types: { type: "array", items: { type: "string" } },
+      jobs: {
+        type: "array",
+        description: "Jobs without their result; hasResult tells whether one is stored",
+        items: ref("Job"),
+      },
+    },
+  },
+  AuditRecord: {
+    type: "object",
+    properties: {
+      seq: { type: "integer", description: "Increasing record number, used as the page cursor" },
+      timestamp: { type: "string", format: "date-time" },
+      requestId: { type: "string", description: "Matches the requestId in the server's logs" },
+      profileId: { type: "string" },
+      caller: {
+        type: "object",
+        properties: {
+          keyLabel: { type: ["string", "null"] },
+          keyId: { type: ["string", "null"] },
+          ip: { type: "string" },
+        },
+      },
+      method: { type: "string" },
+      path: { type: "string" },
+      query: looseObject("Query parameters, when any were sent"),
+      body: { description: "Request body with passwords, secrets, tokens and API keys redacted" },
+      idempotencyKey: { type: "string" },
+      replayed: { type: "boolean" },
+      status: { type: "integer" },
+      completed: { type: "boolean", description: "false when the client disconnected first" },
+      durationMs: { type: "integer" },
+      commands: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            args: { type: "array", items: { type: "string" } },
+            exitCode: { type: ["integer", "null"] },
+            stdout: { type: "string", description: "Truncated to 4000 characters" },
+            error: { type: "string" },
+            durationMs: { type: "integer" },
+          },
+        },
+      },
+    },
+  },
+  ScheduleRun: {
+    type: "object",
+    properties: {
+      lastRunAt: { type: "string", format: "date-time" },
+      lastFinishedAt: { type: "string", format: "date-time" },
+      lastDurationMs: { type: "integer" },
+      lastStatus: { type: "string", enum: ["succeeded", "failed"] },
+      lastTrigger: { type: "string", enum: ["schedule", "manual"] },
+      lastError: {
+        type: ["object", "null"],
+        properties: {
+          message: { type: "string" },
+          status: { type: "integer" },
+          details: {},
+        },
+      },
+      lastSuccessAt: { type: ["string", "null"] },
+      runCount: { type: "integer" },
+      failureCount: { type: "integer" },
+    },
+  },
+  Schedule: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      cron: { type: "string", description: "Cron expression, in the server's local time" },
+      task: { type: "string", description: "A job type, or sync-credentials" },
+      params: looseObject("Parameters passed to the task"),
+      profileId: { type: "string" },
+      enabled: { type: "boolean" },
+      description: { type: ["string", "null"] },
+      source: { type: "string", description: "CRONO_SCHEDULES or the schedules file path" },
+      nextRunAt: { type: ["string", "null"] },
+      running: {
+        type: ["object", "null"],
+        properties: { startedAt: { type: "string" }, trigger: { type: "string" } },
+      },
+      lastRun: { anyOf: [ref("ScheduleRun"), { type: "null" }] },
+      lastResult: {
+        description:
+          "Summary of what the last successful run returned (arrays reduced to { count }, " +
+          "objects three levels deep); only on GET by id",
+      },
+    },
+  },
+  Webhook: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      profileId: { type: "string" },
+      url: { type: "string" },
+      events: { type: "array", items: { type: "string", enum: WEBHOOK_EVENTS } },
+      description: { type: ["string", "null"] },
+      createdAt: { type: "string", format: "date-time" },
+    },
+  },
+  WebhookWithSecret: {
+    allOf: [
+      ref("Webhook"),
+      {
+        type: "object",
+        properties: {
+          secret: {
+            type: "string",
+            description: "HMAC signing secret. Only returned on create.",
+          },
+        },
+      },
+    ],
+  },
+  WebhookDelivery: {
+    type: "object",
+    properties: {
+      id: { type: "string", description: "Also sent as X-Crono-Delivery" },
+      webhookId: { type: "string" },
+      profileId: { type: "string" },
+      event: { type: "string", enum: [...WEBHOOK_EVENTS, "ping"] },
+      data: looseObject("Event payload, sent as `data` in the delivery body"),
+      createdAt: { type: "string", format: "date-time" },
+      attempts: { type: "integer" },
+      nextAttemptAt: { type: "integer", description: "Epoch milliseconds" },
+      lastError: { type: ["string", "null"] },
+      lastAttemptAt: { type: "string", format: "date-time" },
+      url: { type: "string", description: "Dead letters only" },
+      deadAt: { type: "string", format: "date-time", description: "Dead letters only" },
+    },
+  },
+  ApiKey: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      label: { type: "string" },
+      profileId: { type: "string" },
+      scopes: { type: "array", items: { type: "string", enum: ["read", "write", "admin"] } },
+      prefix: { type: "string", description: "First characters of the key, for identification" },
+      createdAt: { type: "string" },
+      expiresAt: { type: ["string", "null"] },
+      rotatedAt: { type: ["string", "null"] },
+      revokedAt: { type: ["string", "null"] },
+      lastUsedAt: { type: ["string", "null"] },
+      state: { type: "string", enum: ["active", "expired", "revoked"] },
+    },
+  },
+  ApiKeyWithSecret: {
+    allOf: [
+      ref("ApiKey"),
+      {
+        type: "object",
+        properties: {
+          key: { type: "string", description: "The secret. Only returned on create and rotate." },
+        },
+      },
+    ],
+  },
+  Health: {
+    type: "object",
+    properties: {
+      status: { type: "string" },
+      wrapperVersion: { type: "string" },
+      cronoVersion: { type: ["string", "null"] },
+      requireApiKey: { type: "boolean" },
+      apiKey: {
+        type: ["object", "null"],
+        properties: {
+          label: { type: "string" },
+          scopes: { type: "array", items: { type: "string" } },
+        },
+      },
+      profile: looseObject("The profile this request ran as"),
+      exportCache: looseObject("Export cache counters"),
+      warehouse: { type: ["object", "null"], description: "Warehouse sync status" },
+      scrapeCache: looseObject("Energy Summary scrape cache counters"),
+      scrapeSession: looseObject("Warm browser session state"),
+      jobs: adminStats("Job counts by status"),
+      idempotency: adminStats("Stored idempotency keys"),
+      audit: adminStats("Audit journal size and rotations"),
+      webhooks: adminStats("Webhook subscriptions and delivery counters"),
+      schedules: adminStats("Scheduled task counts"),
+      cliQueue: looseObject("crono process queue"),
+    },
+  },
+  Endpoints: {
+    type: "object",
+    description: "Route lines grouped by the API key scope they need",
+    additionalProperties: { type: "array", items: { type: "string" } },
+  },
+};
+
+const credentialsBody = {
+  type: "object",
+  properties: {
+    kernelApiKey: { type: "string", minLength: 1 },
+    cronometerEmail: { type: "string", minLength: 1 },
+    cronometerPassword: { type: "string", minLength: 1 },
+  },
+};
+const keyExpiryProperties = {
+  expiresAt: { type: "string", minLength: 1, description: "ISO timestamp in the future" },
+  expiresInDays: NUMERIC,
+};
+
+export const ROUTES = [
+  {
+    operationId: "getHealth",
+    method: "GET",
+    path: "/health",
+    summary: "Service, cache, queue and profile status",
+    tags: ["meta"],
+    responses: { 200: json(ref("Health")) },
+  },
+  {
+    operationId: "getMetrics",
+    method: "GET",
+    path: "/metrics",
+    summary: "Prometheus metrics for crono runs, rate limits, caches, scrapes and HTTP",
+    tags: ["meta"],
+    responses: {
+      200: {
+        description: "Prometheus text exposition format",
+        contentType: "text/plain; version=0.0.4",
+        schema: { type: "string" },
+      },
+    },
+  },
+  {
+    operationId: "listEndpoints",
+    method: "GET",
+    path: "/api/v1/endpoints",
+    summary: "Routes grouped by required scope",
+    tags: ["meta"],
+    responses: { 200: json(ref("Endpoints")) },
+  },
+  {
+    operationId: "getOpenApiDocument",
+    method: "GET",
+    path: "/api/v1/openapi.json",
+    summary: "This OpenAPI document",
+    tags: ["meta"],
+    responses: { 200: json({ type: "object" }) },
+  },
+  {
+    operationId: "getDiary",
+    method: "GET",
+    path: "/api/v1/diary",
+    summary: "Diary for a day or range",
+    tags: ["read"],
+    query: dateQuery,
+    responses: { 200: json(ref("DataResponse")) },
+  },
+  {
+    operationId: "getWeight",
+    method: "GET",
+    path: "/api/v1/weight",
+    summary: "Weight entries for a day or range",
+    tags: ["read"],
+    query: dateQuery,
+    responses: { 200: json(ref("DataResponse")) },
+  },
+  {
+    operationId: "getExport",
+    method: "GET",
+    path: "/api/v1/export/:type",
+    summary: "Nutrition, exercise or biometrics export as JSON or CSV",
+    tags: ["read"],
+    params: {
+      type: { schema: { type: "string", enum: EXPORT_TYPES } },
+    },
+    query: {
+      ...dateQuery,
+      csv: { description: "Return raw CSV", schema: { type: "boolean" }, example: true },
+    },
+    responses: {
+      200: {
+        description: "JSON rows, or CSV text when csv=true",
+        schema: ref("DataResponse"),
+      },
+    },
+  },
+  {
+    operationId: "quickAdd",
+    method: "POST",
+    path: "/api/v1/quick-add",
+    headers: idempotencyHeader,
+    summary: "Log macros without a food",
+    tags: ["write"],
+    bodyRequired: true,
+    body: ref("QuickAddBody"),
+    responses: { 200: json(ref("WriteResult")) },
+  },
+  {
+    operationId: "addCustomFood",
+    method: "POST",
+    path: "/api/v1/add/custom-food",
+    headers: idempotencyHeader,
+    summary: "Create a custom food, optionally logging it",
+    tags: ["write"],
+    bodyRequired: true,
+    body: ref("CustomFoodBody"),
+    responses: {
+      200: json({
+        allOf: [
+          ref("WriteResult"),
+          {
+            type: "object",
+            properties: { food: ref("Food") },
+            description: "food is the local library record",
+          },
+        ],
+      }),
+    },
+  },
+  {
+    operationId: "searchFoods",
+    method: "GET",
+    path: "/api/v1/foods",
+    summary: "Custom foods created through the API, with fuzzy search",
+    tags: ["foods"],
+    query: {
+      q: {
+        description: "Fuzzy name search; omit to list every food by name",
+        schema: { type: "string", minLength: 1, maxLength: 200 },
+        example: "shake",
+      },
+      limit: {
+        description: "Maximum foods returned (default 20)",
+        schema: { type: "integer", minimum: 1, maximum: 500 },
+      },
+    },
+    responses: {
+      200: json({
+        type: "object",
+        properties: {
+          query: { type: ["string", "null"] },
+          foods: { type: "array", items: ref("Food") },
+        },
+      }),
+    },
+  },
+  {
+    operationId: "getFood",
+    method: "GET",
+    path: "/api/v1/foods/:id",
+    summary: "One custom food from the local library",
+    tags: ["foods"],
+    params: { id: { schema: { type: "string", minLength: 1 } } },
+    responses: {
+      200: json({ type: "object", properties: { food: ref("Food") } }),
+    },
+  },
+  {
+    operationId: "runBatch",
+    method: "POST",
+    path: "/api/v1/batch",
+    headers: idempotencyHeader,
+    summary: "Run several log, quick-add and add/custom-food writes in order",
+    tags: ["write"],
+    bodyRequired: true,
+    body: {
+      type: "object",
+      required: ["operations"],
+      additionalProperties: false,
+      properties: {
+        operations: {
+          type: "array",
+          minItems: 1,
+          maxItems: 50,
+          items: ref("BatchOperation"),
+        },
+        stopOnError: {
+          type: "boolean",
+          description: "Skip the remaining operations after the first failure (default true)",
+        },
+      },
+    },
+    responses: { 200: json(ref("BatchResult")) },
+  },
+  {
+    operationId: "logFood",
+    method: "POST",
+    path: "/api/v1/log",
+    headers: idempotencyHeader,
+    summary: "Log an existing food by name or library id",
+    tags: ["write"],
+    bodyRequired: true,
+    body: ref("LogFoodBody"),
+    responses: { 200: json(ref("LogResult")) },
+  },
+  {
+    operationId: "getTodayMacros",
+    method: "GET",
+    path: "/api/v1/summary/today-macros",
+    summary: "Calories and macros for one day (default today)",
+    tags: ["summary"],
+    query: { date: { description: "Day to summarize", schema: ISO_DATE } },
+    responses: { 200: json(ref("TodayMacros")) },
+  },
+  {
+    operationId: "getCalorieBalance",
+    method: "GET",
+    path: "/api/v1/summary/calorie-balance",
+    summary: "Intake versus calorie target per day",
+    tags: ["summary"],
+    query: calorieBalanceQuery,
+    responses: { 200: json(ref("CalorieBalance")) },
+  },
+  {
+    operationId: "getWeeklyAverageDeficit",
+    method: "GET",
+    path: "/api/v1/summary/weekly-average-deficit",
+    summary: "Average net calories over completed trailing days",
+    tags: ["summary"],
+    query: daysQuery,
+    responses: { 200: json(ref("WeeklyAverageDeficit")) },
+  },
+  {
+    operationId: "getWeightTrend",
+    method: "GET",
+    path: "/api/v1/summary/weight-trend",
+    summary: "Smoothed trend weight, moving average, weekly rate and regression",
+    tags: ["summary"],
+    query: weightTrendQuery,
+    responses: { 200: json(ref("WeightTrend")) },
+  },
+  {
+    operationId: "getAdaptiveTdee",
+    method: "GET",
+    path: "/api/v1/summary/adaptive-tdee",
+    summary: "Maintenance calories from logged intake and the weight trend",
+    tags: ["summary"],
+    query: adaptiveTdeeQuery,
+    responses: { 200: json(ref("AdaptiveTdee")) },
+  },
+  {
+    operationId: "getGoalProjection",
+    method: "GET",
+    path: "/api/v1/summary/goal-projection",
+    summary: "When the target weight is reached, by trend and by calorie deficit",
+    tags: ["summary"],
+    query: goalProjectionQuery,
+    responses: { 200: json(ref("GoalProjection")) },
+  },
+  {
+    operationId: "getTargets",
+    method: "GET",
+    path: "/api/v1/targets",
+    summary: "Stored nutrition targets",
+    tags: ["targets"],
+    responses: { 200: json(ref("TargetsResponse")) },
+  },
+  {
+    operationId: "putTargets",
+    method: "PUT",
+    path: "/api/v1/targets",
+    headers: idempotencyHeader,
+    summary: "Replace sections of the stored nutrition targets",
+    description:
+      "Each top-level section in the body replaces the stored one; sections the body leaves out keep their stored value. Send {} or [] to clear a section.",
+    tags: ["targets"],
+    bodyRequired: true,
+    body: ref("Targets"),
+    responses: { 200: json(ref("TargetsResponse")) },
+  },
+  {
+    operationId: "getAdherence",
+    method: "GET",
+    path: "/api/v1/summary/adherence",
+    summary: "Daily and weekly scores against the stored targets",
+    tags: ["summary"],
+    query: adherenceQuery,
+    responses: { 200: json(ref("Adherence")) },
+  },
+  {
+    operationId: "getMicronutrients",
+    method: "GET",
+    path: "/api/v1/summary/micronutrients",
+    summary: "Vitamins, minerals and other export columns against reference intakes",
+    tags: ["summary"],
+    query: {
+      ...adherenceQuery,
+      sex: {
+        description: "Overrides the stored micronutrients.sex",
+        schema: { type: "string", enum: ["male", "female"] },
+      },
+      age: {
+        description: "Overrides the stored micronutrients.age",
+        schema: { type: "integer", minimum: 14, maximum: 120 },
+      },
+      shortfall_percent: {
+        description: "Average % of reference below which a nutrient is a chronic shortfall (default 70)",
+        schema: { type: "number", minimum: 1, maximum: 100 },
+      },
+    },
+    responses: { 200: json(ref("Micronutrients")) },
+  },
+  {
+    operationId: "createJob",
+    method: "POST",
+    path: "/api/v1/jobs",
+    headers: idempotencyHeader,
+    summary: "Run a summary or export in the background",
+    tags: ["jobs"],
+    bodyRequired: true,
+    body: {
+      type: "object",
+      required: ["type"],
+      properties: {
+        type: { type: "string", enum: JOB_TYPES },
+        params: {
+          type: "object",
+          description: "Query parameters of the matching route",
+          additionalProperties: true,
+        },
+      },
+    },
+    responses: { 202: json(ref("JobAccepted"), "Accepted") },
+  },
+  {
+    operationId: "listJobs",
+    method: "GET",
+    path: "/api/v1/jobs",
+    summary: "Recent jobs for this profile",
+    tags: ["jobs"],
+    query: {
+      status: { schema: { type: "string", enum: JOB_STATUSES }, example: "running" },
+      type: { schema: { type: "string", enum: JOB_TYPES } },
+    },
+    responses: { 200: json(ref("JobList")) },
+  },
+  {
+    operationId: "getJob",
+    method: "GET",
+    path: "/api/v1/jobs/:id",
+    summary: "Job status, progress and result",
+    tags: ["jobs"],
+    params: { id: { schema: { type: "string", minLength: 1 } } },
+    responses: { 200: json(ref("Job")) },
+  },
+  {
+    operationId: "syncCredentials",
+    method: "POST",
+    path: "/api/v1/admin/sync-credentials",
+    summary: "Write credentials into this profile's crono store",
+    tags: ["admin"],
+    body: credentialsBody,
+    responses: {
+      200: json({
+        type: "object",
+        properties: {
+          ok: { type: "boolean" },
+          profile: { type: "string" },
+          updated: { type: "array", items: { type: "string" } },
+        },
+      }),
+    },
+  },
+  {
+    operationId: "syncWarehouse",
+    method: "POST",
+    path: "/api/v1/admin/warehouse/sync",
+    summary: "Refresh recent warehouse days now",
+    tags: ["admin"],
+    responses: { 200: json(looseObject("Warehouse status after the sync")) },
+  },
+  {
+    operationId: "invalidateScrapeCache",
+    method: "POST",
+    path: "/api/v1/admin/scrape-cache/invalidate",
+    summary: "Drop cached Energy Summary scrapes",
+    tags: ["admin"],
+    bodyRequired: true,
+    body: {
+      type: "object",
+      properties: {
+        dates: { type: "array", items: ISO_DATE, maxItems: 366 },
+        all: { type: "boolean" },
+      },
+    },
+    responses: {
+      200: json({
+        type: "object",
+        properties: {
+          ok: { type: "boolean" },
+          removed: { type: "array", items: ISO_DATE },
+          scrapeCache: looseObject("Scrape cache counters"),
+        },
+      }),
+    },
+  },
+  {
+    operationId: "listSchedules",
+    method: "GET",
+    path: "/api/v1/admin/schedules",
+    summary: "Scheduled tasks for this profile, with their last run",
+    tags: ["admin"],
+    responses: {
+      200: json({
+        type: "object",
+        properties: {
+          source: { type: "string", description: "Schedules file that was read" },
+          tasks: { type: "array", items: { type: "string" } },
+          schedules: { type: "array", items: ref("Schedule") },
+        },
+      }),
+    },
+  },
+  {
+    operationId: "getSchedule",
+    method: "GET",
+    path: "/api/v1/admin/schedules/:id",
+    summary: "One scheduled task, including its last result",
+    tags: ["admin"],
+    params: { id: { schema: { type: "string", minLength: 1 } } },
+    responses: { 200: json(ref("Schedule")) },
+  },
+  {
+    operationId: "runSchedule",
+    method: "POST",
+    path: "/api/v1/admin/schedules/:id/run",
+    summary: "Run a scheduled task now, in the background",
+    tags: ["admin"],
+    params: { id: { schema: { type: "string", minLength: 1 } } },
+    responses: {
+      202: json(
+        {
+          type: "object",
+          properties: {
+            ok: { type: "boolean" },
+            schedule: ref("Schedule"),
+            url: { type: "string" },
+          },
+        },
+        "Started"
+      ),
+    },
+  },
+  {
+    operationId: "listApiKeys",
+    method: "GET",
+    path: "/api/v1/admin/keys",
+    summary: "Stored API keys for this profile",
+    tags: ["admin"],
+    responses: {
+      200: json({
+        type: "object",
+        properties: {
+          scopes: { type: "array", items: { type: "string" } },
+          keys: { type: "array", items: ref("ApiKey") },
+        },
+      }),
+    },
+  },
+  {
+    operationId: "createApiKey",
+    method: "POST",
+    path: "/api/v1/admin/keys",
+    summary: "Issue a scoped API key",
+    tags: ["admin"],
+    bodyRequired: true,
+    body: {
+      type: "object",
+      required: ["label"],
+      properties: {
+        label: { type: "string", minLength: 1, maxLength: 80 },
+        scopes: {
+          type: "array",
+          minItems: 1,
+          items: { type: "string", enum: ["read", "write", "admin"] },
+        },
+        ...keyExpiryProperties,
+      },
+    },
+    responses: { 201: json(ref("ApiKeyWithSecret"), "Created") },
+  },
+  {
+    operationId: "rotateApiKey",
+    method: "POST",
+    path: "/api/v1/admin/keys/:id/rotate",
+    summary: "Replace a key's secret, keeping its id, label and scopes",
+    tags: ["admin"],
+    params: { id: { schema: { type: "string", minLength: 1 } } },
+    body: { type: "object", properties: keyExpiryProperties },
+    responses: { 200: json(ref("ApiKeyWithSecret")) },
+  },
+  {
+    operationId: "revokeApiKey",
+    method: "DELETE",
+    path: "/api/v1/admin/keys/:id",
+    summary: "Revoke a key",
+    tags: ["admin"],
+    params: { id: { schema: { type: "string", minLength: 1 } } },
+    responses: {
+      200: json({
+        type: "object",
+        properties: { ok: { type: "boolean" }, key: ref("ApiKey") },
+      }),
+    },
+  },
+  {
+    operationId: "listAudit",
+    method: "GET",
+    path: "/api/v1/audit",
+    summary: "Journal of write and admin requests, newest first",
+    tags: ["admin"],
+    query: {
+      limit: {
+        description: "Records per page (default 50)",
+        schema: { type: "integer", minimum: 1, maximum: 500 },
+        example: 50,
+      },
+      before: {
+        description: "Only records with a lower seq; pass nextBefore from the previous page",
+        schema: { type: "integer", minimum: 1 },
+      },
+      method: { schema: { type: "string", enum: ["GET", "POST", "PUT", "PATCH", "DELETE"] } },
+      path: { description: "Path prefix, e.g. /api/v1/log", schema: { type: "string", minLength: 1 } },
+      key_label: { description: "Exact API key label", schema: { type: "string", minLength: 1 } },
+      status: { schema: { type: "integer", minimum: 100, maximum: 599 } },
+      command: {
+        description: "crono subcommand that ran, e.g. log or quick-add",
+        schema: { type: "string", minLength: 1 },
+      },
+      from: { description: "UTC date or timestamp, inclusive", schema: ISO_DATE_OR_TIME },
+      to: { description: "UTC date or timestamp, inclusive", schema: ISO_DATE_OR_TIME },
+    },
+    responses: {
+      200: json({
+        type: "object",
+        properties: {
+          records: { type: "array", items: ref("AuditRecord") },
+          nextBefore: { type: ["integer", "null"] },
+        },
+      }),
+    },
+  },
+  {
+    operationId: "listTemplates",
+    method: "GET",
+    path: "/api/v1/templates",
+    summary: "Meal templates, by name",
+    tags: ["templates"],
+    responses: {
+      200: json({
+        type: "object",
+        properties: { templates: { type: "array", items: ref("Template") } },
+      }),
+    },
+  },
+  {
+    operationId: "createTemplate",
+    method: "POST",
+    path: "/api/v1/templates",
+    summary: "Create a meal template",
+    tags: ["templates"],
+    headers: idempotencyHeader,
+    bodyRequired: true,
+    body: ref("TemplateInput"),
+    responses: { 201: json(templateResponse) },
+  },
+  {
+    operationId: "getTemplate",
+    method: "GET",
+    path: "/api/v1/templates/:id",
+    summary: "One meal template",
+    tags: ["templates"],
+    params: templateIdParam,
+    responses: { 200: json(templateResponse) },
+  },
+  {
+    operationId: "updateTemplate",
+    method: "PUT",
+    path: "/api/v1/templates/:id",
+    summary: "Replace a meal template's name, meal and items",
+    tags: ["templates"],
+    params: templateIdParam,
+    headers: idempotencyHeader,
+    bodyRequired: true,
+    body: ref("TemplateInput"),
+    responses: { 200: json(templateResponse) },
+  },
+  {
+    operationId: "deleteTemplate",
+    method: "DELETE",
+    path: "/api/v1/templates/:id",
+    summary: "Delete a meal template",
+    tags: ["templates"],
+    params: templateIdParam,
+    headers: idempotencyHeader,
+    responses: {
+      200: json({
+        type: "object",
+        properties: { ok: { type: "boolean" }, template: ref("Template") },
+      }),
+    },
+  },
+  {
+    operationId: "logTemplate",
+    method: "POST",
+    path: "/api/v1/templates/:id/log",
+    summary: "Log every item of a template, in order",
+    tags: ["templates"],
+    params: templateIdParam,
+    headers: idempotencyHeader,
+    body: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        scale: {
+          type: "number",
+          exclusiveMinimum: 0,
+          maximum: 20,
+          description: "Multiplies servings and quick-add macros (default 1)",
+        },
+        meal: { type: "string", minLength: 1, maxLength: 80, description: "Meal for every item" },
+        stopOnError: { type: "boolean", description: "Default true, as for /api/v1/batch" },
+      },
+    },
+    responses: {
+      200: json({
+        allOf: [
+          ref("BatchResult"),
+          {
+            type: "object",
+            properties: {
+              template: {
+                type: "object",
+                properties: { id: { type: "string" }, name: { type: "string" } },
+              },
+              scale: { type: "number" },
+              meal: { type: ["string", "null"] },
+              operations: { type: "array", items: ref("BatchOperation") },
+            },
+          },
+        ],
+      }),
+    },
+  },
+  {
+    operationId: "listWebhooks",
+    method: "GET",
+    path: "/api/v1/webhooks",
+    summary: "Webhook subscriptions for this profile",
+    tags: ["webhooks"],
+    responses: {
+      200: json({
+        type: "object",
+        properties: {
+          events: { type: "array", items: { type: "string" } },
+          webhooks: { type: "array", items: ref("Webhook") },
+        },
+      }),
+    },
+  },
+  {
+    operationId: "createWebhook",
+    method: "POST",
+    path: "/api/v1/webhooks",
+    summary: "Subscribe a URL to events",
+    tags: ["webhooks"],
+    bodyRequired: true,
+    body: {
+      type: "object",
+      required: ["url", "events"],
+      additionalProperties: false,
+      properties: {
+        url: {
+          type: "string",
+          maxLength: 2000,
+          pattern: "^https?://[^\\s]+$",
+          "x-format-hint": "an http:// or https:// URL",
+        },
+        events: {
+          type: "array",
+          minItems: 1,
+          items: { type: "string", enum: WEBHOOK_EVENTS },
+        },
+        description: { type: "string", maxLength: 200 },
+        secret: {
+          type: "string",
+          minLength: 16,
+          maxLength: 200,
+          description: "Signing secret to use instead of a generated one",
+        },
+      },
+    },
+    responses: { 201: json(ref("WebhookWithSecret"), "Created") },
+  },
+  {
+    operationId: "deleteWebhook",
+    method: "DELETE",
+    path: "/api/v1/webhooks/:id",
+    summary: "Unsubscribe; pending deliveries to it are dropped",
+    tags: ["webhooks"],
+    params: webhookIdParam,
+    responses: {
+      200: json({
+        type: "object",
+        properties: { ok: { type: "boolean" }, webhook: ref("Webhook") },
+      }),
+    },
+  },
+  {
+    operationId: "pingWebhook",
+    method: "POST",
+    path: "/api/v1/webhooks/:id/ping",
+    summary: "Queue a signed test delivery to one webhook",
+    tags: ["webhooks"],
+    params: webhookIdParam,
+    responses: {
+      202: json(
+        {
+          type: "object",
+          properties: { ok: { type: "boolean" }, deliveryId: { type: "string" } },
+        },
+        "Queued"
+      ),
+    },
+  },
+  {
+    operationId: "listWebhookDeadLetters",
+    method: "GET",
+    path: "/api/v1/webhooks/dead-letters",
+    summary: "Deliveries that ran out of attempts, newest first",
+    tags: ["webhooks"],
+    responses: {
+      200: json({
+        type: "object",
+        properties: { deadLetters: { type: "array", items: ref("WebhookDelivery") } },
+      }),
+    },
+  },
+  {
+    operationId: "retryWebhookDeadLetter",
+    method: "POST",
+    path: "/api/v1/webhooks/dead-letters/:id/retry",
+    summary: "Queue a dead letter again with a fresh attempt budget",
+    tags: ["webhooks"],
+    params: webhookIdParam,
+    responses: {
+      202: json(
+        {
+          type: "object",
+          properties: { ok: { type: "boolean" }, delivery: ref("WebhookDelivery") },
+        },
+        "Queued"
+      ),
+    },
+  },
+];
+
+// Jobs take the query parameters of the route they run.
+export const JOB_PARAMS = {
+  "weekly-average-deficit": daysQuery,
+  "adaptive-tdee": adaptiveTdeeQuery,
+  "goal-projection": goalProjectionQuery,
+  "calorie-balance": calorieBalanceQuery,
+  export: {
+    type: { required: true, schema: { type: "string", enum: EXPORT_TYPES } },
+    ...dateQuery,
+  },
+  weight: dateQuery,
+};
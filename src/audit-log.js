@@ -0,0 +1,167 @@
+import { rename, rm, stat } from "node:fs/promises";
+import { appendJsonLines, createWriteQueue, readJsonLines } from "./storage.js";
+
+const REDACTED = "[redacted]";
+const SENSITIVE_KEY = /password|secret|token|api[-_]?key/i;
+const MAX_STDOUT_LENGTH = 4000;
+
+// Copies a request body with credential-looking fields replaced, at any depth.
+export function sanitizeBody(value) {
+  if (Array.isArray(value)) return value.map(sanitizeBody);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, child]) => [
+        key,
+        SENSITIVE_KEY.test(key) ? REDACTED : sanitizeBody(child),
+      ])
+    );
+  }
+  return value;
+}
+
+// Copies CLI args with the value of any credential-looking flag replaced,
+// in both `--flag value` and `--flag=value` form.
+export function redactArgs(args) {
+  return args.map((arg, index) => {
+    const inline = /^(--?[^=]+)=/.exec(arg);
+    if (inline && SENSITIVE_KEY.test(inline[1])) return `${inline[1]}=${REDACTED}`;
+    const previous = args[index - 1];
+    if (!arg.startsWith("-") && /^--?[^=]+$/.test(previous ?? "") && SENSITIVE_KEY.test(previous)) {
+      return REDACTED;
+    }
+    return arg;
+  });
+}
+
+export function truncateOutput(text) {
+  const value = String(text ?? "");
+  return value.length > MAX_STDOUT_LENGTH
+    ? `${value.slice(0, MAX_STDOUT_LENGTH)}… (${value.length - MAX_STDOUT_LENGTH} more chars)`
+    : value;
+}
+
+function matches(record, filters) {
+  if (filters.profileId && record.profileId !== filters.profileId) return false;
+  if (filters.method && record.method !== filters.method) return false;
+  if (filters.pathPrefix && !record.path.startsWith(filters.pathPrefix)) return false;
+  if (filters.keyLabel && record.caller?.keyLabel !== filters.keyLabel) return false;
+  if (filters.status && record.status !== filters.status) return false;
+  if (filters.command && !(record.commands || []).some((c) => c.args?.[0] === filters.command)) {
+    return false;
+  }
+  if (filters.from && record.timestamp < filters.from) return false;
+  if (filters.to && record.timestamp > filters.to) return false;
+  return true;
+}
+
+async function fileSize(filePath) {
+  try {
+    return (await stat(filePath)).size;
+  } catch (error) {
+    if (error?.code === "ENOENT") return 0;
+    throw error;
+  }
+}
+
+async function renameIfExists(from, to) {
+  try {
+    await rename(from, to);
+  } catch (error) {
+    if (error?.code !== "ENOENT") throw error;
+  }
+}
+
+/**
+ * Append-only JSONL journal. Every record gets an increasing `seq`, which
+ * is also the pagination cursor: pages run newest first and `before` asks
+ * for records older than a given seq. Once the file would pass `maxBytes`
+ * it is rotated to `<file>.1` (the older ones shift to `.2` and so on, and
+ * anything past `maxFiles` is deleted). Queries read one file at a time,
+ * newest first, so memory stays around `maxBytes` however many are kept.
+ */
+export function createAuditLog({
+  filePath,
+  maxBytes = 10 * 1024 * 1024,
+  maxFiles = 3,
+  onPersistError = () => {},
+}) {
+  const enqueueWrite = createWriteQueue();
+  const files = [filePath];
+  for (let n = 1; n <= maxFiles; n++) files.push(`${filePath}.${n}`);
+  let lastSeq = 0;
+  let size = 0;
+  const stats = { appended: 0, failed: 0, rotations: 0 };
+
+  // The live file is empty right after a rotation, so the last seq may be
+  // in a rotated one.
+  async function load() {
+    size = await fileSize(filePath);
+    lastSeq = 0;
+    let count = 0;
+    for (const file of files) {
+      const records = await readJsonLines(file);
+      count += records.length;
+      lastSeq = records.reduce((max, record) => Math.max(max, record?.seq || 0), 0);
+      if (lastSeq > 0) break;
+    }
+    return count;
+  }
+
+  async function rotate() {
+    await rm(files[files.length - 1], { force: true });
+    for (let n = files.length - 2; n >= 0; n--) {
+      await renameIfExists(files[n], files[n + 1]);
+    }
+    size = 0;
+    stats.rotations += 1;
+  }
+
+  function append(record) {
+    lastSeq += 1;
+    const entry = { seq: lastSeq, ...record };
+    const bytes = Buffer.byteLength(`${JSON.stringify(entry)}\n`);
+    return enqueueWrite(async () => {
+      if (size > 0 && size + bytes > maxBytes) await rotate();
+      await appendJsonLines(filePath, [entry]);
+      size += bytes;
+    })
+      .then(() => {
+        stats.appended += 1;
+        return entry;
+      })
+      .catch((error) => {
+        stats.failed += 1;
+        onPersistError(error);
+        return null;
+      });
+  }
+
+  async function query({ limit = 50, before = null, ...filters } = {}) {
+    const page = [];
+    let hasMore = false;
+    for (const file of files) {
+      const records = await readJsonLines(file);
+      for (let i = records.length - 1; i >= 0 && !hasMore; i--) {
+        const record = records[i];
+        if (before !== null && record.seq >= before) continue;
+        if (!matches(record, filters)) continue;
+        if (page.length === limit) {
+          hasMore = true;
+          break;
+        }
+        page.push(record);
+      }
+      if (hasMore) break;
+    }
+    return {
+      records: page,
+      nextBefore: hasMore ? page[page.length - 1].seq : null,
+    };
+  }
+
+  function getStats() {
+    return { lastSeq, bytes: size, maxBytes, maxFiles, ...stats };
+  }
+
+  return { load, append, query, stats: getStats };
+}
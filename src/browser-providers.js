@@ -0,0 +1,149 @@
+import { pathToFileURL } from "node:url";
+import { access } from "node:fs/promises";
+
+const DEFAULT_KERNEL_SDK_MODULE_CANDIDATES = [
+  "/app/runtime/node_modules/@onkernel/sdk/index.mjs",
+  "/app/runtime/node_modules/@onkernel/sdk/index.js",
+  "/app/runtime/node_modules/@onkernel/sdk/dist/index.js",
+];
+const DEFAULT_PLAYWRIGHT_MODULE_CANDIDATES = [
+  "/app/runtime/node_modules/playwright/index.mjs",
+  "/app/runtime/node_modules/playwright-core/index.mjs",
+];
+
+export const BROWSER_PROVIDERS = ["kernel", "local"];
+
+export function resolveBrowserProviderName(raw = process.env) {
+  const configured = String(raw.CRONO_SCRAPE_PROVIDER || "kernel")
+    .toLowerCase()
+    .trim();
+  if (!BROWSER_PROVIDERS.includes(configured)) {
+    throw new Error(
+      `Invalid CRONO_SCRAPE_PROVIDER "${configured}" (expected ${BROWSER_PROVIDERS.join(" or ")})`
+    );
+  }
+  return configured;
+}
+
+async function importFirstExistingModule(candidates) {
+  let lastError = null;
+  for (const modulePath of candidates) {
+    try {
+      await access(modulePath);
+      const moduleUrl = pathToFileURL(modulePath).href;
+      return await import(moduleUrl);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw new Error(
+    `Unable to load module from candidates: ${candidates.join(", ")} (${lastError})`
+  );
+}
+
+async function loadKernelClass(raw = process.env) {
+  const configured = raw.CRONO_KERNEL_SDK_MODULE;
+  const candidates = configured
+    ? [configured]
+    : DEFAULT_KERNEL_SDK_MODULE_CANDIDATES;
+  const mod = await importFirstExistingModule(candidates);
+  const Kernel = mod.default || mod.Kernel;
+  if (typeof Kernel !== "function") {
+    throw new Error(`Invalid Kernel SDK module from candidates: ${candidates.join(", ")}`);
+  }
+  return Kernel;
+}
+
+async function loadChromium(raw = process.env) {
+  const configured = raw.CRONO_PLAYWRIGHT_MODULE;
+  const candidates = configured
+    ? [configured]
+    : DEFAULT_PLAYWRIGHT_MODULE_CANDIDATES;
+  const mod = await importFirstExistingModule(candidates);
+  const chromium = mod.chromium || mod.default?.chromium;
+  if (!chromium || typeof chromium.launch !== "function") {
+    throw new Error(`Invalid Playwright module from candidates: ${candidates.join(", ")}`);
+  }
+  return chromium;
+}
+
+async function createKernelProvider(raw, { kernelApiKey }) {
+  const Kernel = await loadKernelClass(raw);
+  const kernel = new Kernel({ apiKey: kernelApiKey });
+
+  return {
+    name: "kernel",
+    async createSession({ timeoutSeconds }) {
+      const browser = await kernel.browsers.create({
+        headless: true,
+        stealth: true,
+        timeout_seconds: timeoutSeconds,
+      });
+      return { id: browser.session_id };
+    },
+    execute(session, { code, timeoutSec }) {
+      return kernel.browsers.playwright.execute(session.id, {
+        code,
+        timeout_sec: timeoutSec,
+      });
+    },
+    async closeSession(session) {
+      await kernel.browsers.deleteByID(session.id);
+    },
+  };
+}
+
+const AsyncFunction = Object.getPrototypeOf(async () => {}).constructor;
+
+function withTimeout(promise, timeoutSec) {
+  let timer = null;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Script timed out after ${timeoutSec}s`)),
+      timeoutSec * 1000
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function createLocalProvider(raw) {
+  const chromium = await loadChromium(raw);
+  const executablePath = raw.CRONO_CHROMIUM_EXECUTABLE || undefined;
+  const headless =
+    String(raw.CRONO_CHROMIUM_HEADLESS || "true").toLowerCase().trim() !== "false";
+
+  return {
+    name: "local",
+    async createSession() {
+      const browser = await chromium.launch({ headless, executablePath });
+      const context = await browser.newContext();
+      const page = await context.newPage();
+      return { id: `local-${Date.now()}`, browser, context, page };
+    },
+    // Runs the same script bodies Kernel's playwright.execute accepts,
+    // with `page`, `context` and `browser` in scope.
+    async execute(session, { code, timeoutSec }) {
+      try {
+        const run = new AsyncFunction("page", "context", "browser", code);
+        const result = await withTimeout(
+          run(session.page, session.context, session.browser),
+          timeoutSec
+        );
+        return { success: true, result };
+      } catch (error) {
+        return {
+          success: false,
+          error: error instanceof Error ? error.message : String(error),
+        };
+      }
+    },
+    async closeSession(session) {
+      await session.browser.close();
+    },
+  };
+}
+
+export function createBrowserProvider(name, raw = process.env, options = {}) {
+  if (name === "local") return createLocalProvider(raw);
+  return createKernelProvider(raw, options);
+}
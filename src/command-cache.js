@@ -0,0 +1,137 @@
+import {
+  appendJsonLines,
+  createWriteQueue,
+  readJsonLines,
+  writeJsonLinesAtomic,
+} from "./storage.js";
+
+export function createCommandCache({
+  filePath = null,
+  maxEntries = 256,
+  onPersistError = () => {},
+} = {}) {
+  const entries = new Map();
+  const enqueueWrite = createWriteQueue();
+  const stats = {
+    hits: 0,
+    staleHits: 0,
+    misses: 0,
+    writes: 0,
+    evictions: 0,
+    loadedEntries: 0,
+    persistErrors: 0,
+  };
+  let appendedSinceCompact = 0;
+
+  function persist(records) {
+    if (!filePath) return;
+    appendedSinceCompact += records.length;
+    const shouldCompact = appendedSinceCompact > maxEntries * 2;
+    enqueueWrite(async () => {
+      if (shouldCompact) {
+        appendedSinceCompact = 0;
+        await writeJsonLinesAtomic(
+          filePath,
+          Array.from(entries, ([key, entry]) => ({ op: "set", key, entry }))
+        );
+        return;
+      }
+      await appendJsonLines(filePath, records);
+    }).catch((error) => {
+      stats.persistErrors += 1;
+      onPersistError(error);
+    });
+  }
+
+  function evictOverflow() {
+    const removed = [];
+    while (entries.size > maxEntries) {
+      const oldestKey = entries.keys().next().value;
+      if (oldestKey === undefined) break;
+      entries.delete(oldestKey);
+      removed.push({ op: "del", key: oldestKey });
+      stats.evictions += 1;
+    }
+    return removed;
+  }
+
+  async function load() {
+    if (!filePath) return 0;
+    const records = await readJsonLines(filePath);
+    const now = Date.now();
+    for (const record of records) {
+      if (typeof record?.key !== "string") continue;
+      if (record.op === "del") {
+        entries.delete(record.key);
+      } else if (record.op === "set" && record.entry) {
+        entries.delete(record.key);
+        entries.set(record.key, record.entry);
+      }
+    }
+    for (const [key, entry] of entries) {
+      if (!(now <= entry.staleUntil)) entries.delete(key);
+    }
+    evictOverflow();
+    stats.loadedEntries = entries.size;
+    appendedSinceCompact = records.length;
+    if (records.length > entries.size) {
+      appendedSinceCompact = maxEntries * 2 + 1;
+      persist([]);
+    }
+    return entries.size;
+  }
+
+  function get(key, { allowStale = false } = {}) {
+    const entry = entries.get(key);
+    if (!entry) {
+      stats.misses += 1;
+      return null;
+    }
+
+    const now = Date.now();
+    const isFresh = now <= entry.expiresAt;
+    const isStaleAllowed = allowStale && now <= entry.staleUntil;
+
+    if (!isFresh && !isStaleAllowed) {
+      if (now > entry.staleUntil) {
+        entries.delete(key);
+        persist([{ op: "del", key }]);
+      }
+      stats.misses += 1;
+      return null;
+    }
+
+    if (isFresh) {
+      stats.hits += 1;
+    } else {
+      stats.staleHits += 1;
+    }
+    return { entry, fresh: isFresh, now };
+  }
+
+  function set(key, entry) {
+    entries.delete(key);
+    entries.set(key, entry);
+    stats.writes += 1;
+    persist([{ op: "set", key, entry }, ...evictOverflow()]);
+  }
+
+  function remove(key) {
+    if (!entries.delete(key)) return false;
+    persist([{ op: "del", key }]);
+    return true;
+  }
+
+  function getStats() {
+    const lookups = stats.hits + stats.staleHits + stats.misses;
+    return {
+      persistent: Boolean(filePath),
+      entries: entries.size,
+      maxEntries,
+      ...stats,
+      hitRatio: lookups === 0 ? null : (stats.hits + stats.staleHits) / lookups,
+    };
+  }
+
+  return { load, get, set, delete: remove, stats: getStats };
+}
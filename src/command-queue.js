@@ -0,0 +1,85 @@
+export const QUEUE_PRIORITIES = ["write", "read", "background"];
+
+export class QueueFullError extends Error {
+  constructor(maxQueued) {
+    super(`crono command queue is full (${maxQueued} waiting)`);
+    this.maxQueued = maxQueued;
+  }
+}
+
+export function createCommandQueue({ concurrency = 2, maxQueued = 100 } = {}) {
+  const waiting = new Map(QUEUE_PRIORITIES.map((priority) => [priority, []]));
+  const stats = { started: 0, completed: 0, failed: 0, rejected: 0 };
+  let running = 0;
+
+  function queuedCount() {
+    let count = 0;
+    for (const list of waiting.values()) count += list.length;
+    return count;
+  }
+
+  function nextJob() {
+    for (const priority of QUEUE_PRIORITIES) {
+      const list = waiting.get(priority);
+      if (list.length > 0) return list.shift();
+    }
+    return null;
+  }
+
+  function drain() {
+    while (running < concurrency) {
+      const job = nextJob();
+      if (!job) return;
+      running += 1;
+      stats.started += 1;
+      Promise.resolve()
+        .then(job.task)
+        .then(
+          (value) => {
+            stats.completed += 1;
+            job.resolve(value);
+          },
+          (error) => {
+            stats.failed += 1;
+            job.reject(error);
+          }
+        )
+        .finally(() => {
+          running -= 1;
+          drain();
+        });
+    }
+  }
+
+  // True when run() would reject with QueueFullError.
+  function isFull() {
+    return running >= concurrency && queuedCount() >= maxQueued;
+  }
+
+  function run(task, { priority = "read" } = {}) {
+    const list = waiting.get(priority) || waiting.get("read");
+    if (isFull()) {
+      stats.rejected += 1;
+      return Promise.reject(new QueueFullError(maxQueued));
+    }
+    return new Promise((resolve, reject) => {
+      list.push({ task, resolve, reject });
+      drain();
+    });
+  }
+
+  function getStats() {
+    const queuedByPriority = {};
+    for (const [priority, list] of waiting) queuedByPriority[priority] = list.length;
+    return {
+      concurrency,
+      maxQueued,
+      running,
+      queued: queuedCount(),
+      queuedByPriority,
+      ...stats,
+    };
+  }
+
+  return { run, isFull, stats: getStats };
+}
@@ -1,7 +1,12 @@
-import { pathToFileURL } from "node:url";
+import { spawn } from "node:child_process";
+import { mkdir } from "node:fs/promises";
+import { fileURLToPath, pathToFileURL } from "node:url";
 
 const DEFAULT_CREDENTIALS_MODULE =
   "/app/runtime/node_modules/@milldr/crono/dist/credentials.js";
+const SYNC_SCRIPT = fileURLToPath(
+  new URL("../scripts/sync-credentials.mjs", import.meta.url)
+);
 
 function required(name, value) {
   if (!value || String(value).trim() === "") {
@@ -39,3 +44,41 @@ export async function syncCredentials(raw = process.env) {
     updated: ["kernel-api-key", "cronometer-username", "cronometer-password"],
   };
 }
+
+// crono's credential store lives under HOME, so syncing another profile's
+// store has to happen in a child process with that HOME.
+export async function syncCredentialsInHome(raw, home) {
+  await mkdir(home, { recursive: true });
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [SYNC_SCRIPT], {
+      env: { ...raw, HOME: home },
+      stdio: ["ignore", "pipe", "pipe"],
+    });
+
+    let stdout = "";
+    let stderr = "";
+    child.stdout.on("data", (chunk) => {
+      stdout += String(chunk);
+    });
+    child.stderr.on("data", (chunk) => {
+      stderr += String(chunk);
+    });
+
+    child.on("error", reject);
+    child.on("close", (code) => {
+      const lastLine = (code === 0 ? stdout : stderr).trim().split("\n").pop() || "";
+      let parsed = null;
+      try {
+        parsed = JSON.parse(lastLine);
+      } catch {
+        parsed = null;
+      }
+
+      if (code !== 0) {
+        return reject(new Error(parsed?.error || stderr.trim() || "credential sync failed"));
+      }
+      return resolve({ updated: Array.isArray(parsed?.updated) ? parsed.updated : [] });
+    });
+  });
+}
@@ -0,0 +1,127 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week),
+// evaluated in the server's local time zone.
+
+const ALIASES = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  // 7 is accepted as Sunday, as in most crons.
+  { name: "dayOfWeek", min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 },
+];
+// Far enough for "0 0 29 2 1" (Feb 29th or any Monday) and then some.
+const MAX_SEARCH_MINUTES = 5 * 366 * 24 * 60;
+
+function parseValue(raw, field) {
+  const lower = raw.toLowerCase();
+  const named = field.names ? field.names.indexOf(lower) : -1;
+  if (named !== -1) return named + field.nameOffset;
+  if (!/^\d+$/.test(raw)) throw new Error(`invalid ${field.name} value "${raw}"`);
+  const value = Number.parseInt(raw, 10);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} value ${value} is outside ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [rangeText, stepText, ...rest] = part.split("/");
+    if (rest.length > 0 || rangeText === "") {
+      throw new Error(`invalid ${field.name} "${part}"`);
+    }
+    const step = stepText === undefined ? 1 : Number.parseInt(stepText, 10);
+    if (!Number.isInteger(step) || step < 1 || !/^\d+$/.test(stepText ?? "1")) {
+      throw new Error(`invalid ${field.name} step "${stepText}"`);
+    }
+
+    let start;
+    let end;
+    if (rangeText === "*") {
+      start = field.min;
+      end = field.name === "dayOfWeek" ? 6 : field.max;
+    } else if (rangeText.includes("-")) {
+      const [from, to] = rangeText.split("-");
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) throw new Error(`invalid ${field.name} range "${rangeText}"`);
+    } else {
+      start = parseValue(rangeText, field);
+      end = stepText === undefined ? start : field.max;
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(field.name === "dayOfWeek" && value === 7 ? 0 : value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parses a cron expression or one of the @daily-style aliases. Throws with
+ * a message naming the bad field. As in Vixie cron, when both day-of-month
+ * and day-of-week are restricted a day matching either one runs.
+ */
+export function parseCronExpression(expression) {
+  const source = String(expression ?? "").trim();
+  const expanded = ALIASES[source.toLowerCase()] || source;
+  const parts = expanded.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`expected 5 fields (minute hour day month weekday), got ${parts.length}`);
+  }
+  const fields = {};
+  FIELDS.forEach((field, index) => {
+    fields[field.name] = parseField(parts[index], field);
+  });
+  return {
+    source,
+    ...fields,
+    dayOfMonthRestricted: !parts[2].startsWith("*"),
+    dayOfWeekRestricted: !parts[4].startsWith("*"),
+  };
+}
+
+function matchesDay(cron, date) {
+  const dom = cron.dayOfMonth.has(date.getDate());
+  const dow = cron.dayOfWeek.has(date.getDay());
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) return dom || dow;
+  if (cron.dayOfMonthRestricted) return dom;
+  if (cron.dayOfWeekRestricted) return dow;
+  return true;
+}
+
+// The first matching minute strictly after `after`, or null if none comes
+// within a few years (e.g. "0 0 31 2 *").
+export function nextCronTime(cron, after = new Date()) {
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  for (let steps = 0; steps < MAX_SEARCH_MINUTES; steps++) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
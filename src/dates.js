@@ -0,0 +1,58 @@
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const RELATIVE_RANGE_RE = /^(\d{1,4})d$/i;
+
+export function isIsoDate(value) {
+  if (typeof value !== "string" || !DATE_RE.test(value)) return false;
+  return formatLocalDate(parseLocalDate(value)) === value;
+}
+
+export function formatLocalDate(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+
+export function parseLocalDate(value) {
+  const [y, m, d] = value.split("-").map((part) => Number.parseInt(part, 10));
+  return new Date(y, m - 1, d);
+}
+
+export function addDays(value, days) {
+  const date = parseLocalDate(value);
+  date.setDate(date.getDate() + days);
+  return formatLocalDate(date);
+}
+
+export function diffDays(from, to) {
+  const ms = parseLocalDate(to) - parseLocalDate(from);
+  return Math.round(ms / (24 * 60 * 60 * 1000));
+}
+
+export function enumerateDates(start, end) {
+  const dates = [];
+  for (let date = start; date <= end; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+export function resolveDateWindow({ date, range } = {}, today = formatLocalDate(new Date())) {
+  if (date) {
+    return isIsoDate(date) ? { start: date, end: date } : null;
+  }
+  if (!range) return { start: today, end: today };
+
+  const relative = RELATIVE_RANGE_RE.exec(range);
+  if (relative) {
+    const days = Number.parseInt(relative[1], 10);
+    if (days <= 0) return null;
+    return { start: addDays(today, -(days - 1)), end: today };
+  }
+
+  const [start, end, ...rest] = range.split(":");
+  if (rest.length > 0 || !isIsoDate(start) || !isIsoDate(end) || start > end) {
+    return null;
+  }
+  return { start, end };
+}
@@ -1,16 +1,57 @@
 import { pathToFileURL } from "node:url";
-import { access } from "node:fs/promises";
+import {
+  createBrowserProvider,
+  resolveBrowserProviderName,
+} from "./browser-providers.js";
+import { logger } from "./logger.js";
+import { metrics } from "./metrics.js";
 
 const DEFAULT_CREDENTIALS_MODULE =
   "/app/runtime/node_modules/@milldr/crono/dist/credentials.js";
-const DEFAULT_KERNEL_SDK_MODULE_CANDIDATES = [
-  "/app/runtime/node_modules/@onkernel/sdk/index.mjs",
-  "/app/runtime/node_modules/@onkernel/sdk/index.js",
-  "/app/runtime/node_modules/@onkernel/sdk/dist/index.js",
-];
+const DEFAULT_CRONOMETER_BASE_URL = "https://cronometer.com";
+const DEFAULT_ACCOUNT_ID = "default";
 
 const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
 const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_SCRAPE_BATCH_SIZE = 14;
+const DEFAULT_SESSION_IDLE_MS = 10 * 60 * 1000;
+const DEFAULT_SESSION_MAX_AGE_MS = 60 * 60 * 1000;
+// Browser sessions take seconds to minutes; batches can run for several.
+const SCRAPE_BUCKETS = [0.5, 1, 2.5, 5, 10, 20, 30, 60, 90, 120, 180, 300];
+
+const scrapePhaseSeconds = metrics.histogram({
+  name: "crono_scrape_phase_duration_seconds",
+  help: "Energy Summary scrape phases: browser session creation, Cronometer login and each batch",
+  labelNames: ["phase", "outcome"],
+  buckets: SCRAPE_BUCKETS,
+});
+const scrapeFailures = metrics.counter({
+  name: "crono_scrape_failures_total",
+  help: "Failed Energy Summary scrape phases",
+  labelNames: ["phase"],
+});
+
+// Times and logs one phase. The log line picks up the requestId (or jobId)
+// of whichever caller started the phase from the logger's context.
+async function timeScrapePhase(phase, task) {
+  const done = scrapePhaseSeconds.startTimer({ phase });
+  try {
+    const result = await task();
+    const seconds = done({ outcome: "ok" });
+    logger.info("scrape phase", { phase, outcome: "ok", durationMs: Math.round(seconds * 1000) });
+    return result;
+  } catch (error) {
+    const seconds = done({ outcome: "error" });
+    scrapeFailures.inc({ phase });
+    logger.warn("scrape phase", {
+      phase,
+      outcome: "error",
+      durationMs: Math.round(seconds * 1000),
+      error: error instanceof Error ? error.message : String(error),
+    });
+    throw error;
+  }
+}
 
 function normalizeDates(dates) {
   const unique = new Set();
@@ -22,6 +63,40 @@ function normalizeDates(dates) {
   return Array.from(unique).sort((a, b) => (a < b ? 1 : a > b ? -1 : 0));
 }
 
+function resolveBatchSize(raw = process.env) {
+  const parsed = Number.parseInt(raw.CRONO_SCRAPE_BATCH_SIZE || "", 10);
+  if (!Number.isFinite(parsed) || parsed <= 0) return DEFAULT_SCRAPE_BATCH_SIZE;
+  return Math.min(60, parsed);
+}
+
+function chunkDates(dates, size) {
+  const batches = [];
+  for (let i = 0; i < dates.length; i += size) {
+    batches.push(dates.slice(i, i + size));
+  }
+  return batches;
+}
+
+function resolveBaseUrl(raw = process.env) {
+  const configured = String(raw.CRONO_CRONOMETER_BASE_URL || "").trim();
+  return (configured || DEFAULT_CRONOMETER_BASE_URL).replace(/\/+$/, "");
+}
+
+function resolveSessionConfig(raw = process.env) {
+  const idle = Number.parseInt(raw.CRONO_SCRAPE_SESSION_IDLE_MS || "", 10);
+  const maxAge = Number.parseInt(raw.CRONO_SCRAPE_SESSION_MAX_AGE_MS || "", 10);
+  const reuse = String(raw.CRONO_SCRAPE_SESSION_REUSE || "true")
+    .toLowerCase()
+    .trim();
+  return {
+    reuse: reuse === "true",
+    idleTimeoutMs:
+      Number.isFinite(idle) && idle >= 10000 ? idle : DEFAULT_SESSION_IDLE_MS,
+    maxAgeMs:
+      Number.isFinite(maxAge) && maxAge >= 60000 ? maxAge : DEFAULT_SESSION_MAX_AGE_MS,
+  };
+}
+
 async function loadCredentialsModule(raw = process.env) {
   const modulePath = raw.CRONO_CREDENTIALS_MODULE || DEFAULT_CREDENTIALS_MODULE;
   const moduleUrl = pathToFileURL(modulePath).href;
@@ -34,35 +109,6 @@ async function loadCredentialsModule(raw = process.env) {
   return mod;
 }
 
-async function importFirstExistingModule(candidates) {
-  let lastError = null;
-  for (const modulePath of candidates) {
-    try {
-      await access(modulePath);
-      const moduleUrl = pathToFileURL(modulePath).href;
-      return await import(moduleUrl);
-    } catch (error) {
-      lastError = error;
-    }
-  }
-  throw new Error(
-    `Unable to load module from candidates: ${candidates.join(", ")} (${lastError})`
-  );
-}
-
-async function loadKernelClass(raw = process.env) {
-  const configured = raw.CRONO_KERNEL_SDK_MODULE;
-  const candidates = configured
-    ? [configured]
-    : DEFAULT_KERNEL_SDK_MODULE_CANDIDATES;
-  const mod = await importFirstExistingModule(candidates);
-  const Kernel = mod.default || mod.Kernel;
-  if (typeof Kernel !== "function") {
-    throw new Error(`Invalid Kernel SDK module from candidates: ${candidates.join(", ")}`);
-  }
-  return Kernel;
-}
-
 function getRequiredCredential(envKey, credKey, raw, credentialsModule) {
   const envValue = raw[envKey];
   if (typeof envValue === "string" && envValue.trim() !== "") {
@@ -75,12 +121,14 @@ function getRequiredCredential(envKey, credKey, raw, credentialsModule) {
   throw new Error(`Missing credential: ${envKey}`);
 }
 
-function buildAutoLoginCode(username, password) {
+function buildAutoLoginCode(username, password, baseUrl) {
   const safeUser = JSON.stringify(username);
   const safePass = JSON.stringify(password);
+  const safeBaseUrl = JSON.stringify(baseUrl);
 
   return `
-    await page.goto('https://cronometer.com', { waitUntil: 'domcontentloaded', timeout: 15000 });
+    const baseUrl = ${safeBaseUrl};
+    await page.goto(baseUrl, { waitUntil: 'domcontentloaded', timeout: 15000 });
     await page.waitForLoadState('networkidle', { timeout: 8000 }).catch(() => {});
 
     const loginLinkSelectors = ['a[href="/login/"]', 'a[href="/login"]', 'a:has-text("Log In")', 'a:has-text("Login")'];
@@ -96,7 +144,7 @@ function buildAutoLoginCode(username, password) {
       } catch {}
     }
     if (!clickedLogin) {
-      await page.goto('https://cronometer.com/login/', { waitUntil: 'domcontentloaded', timeout: 15000 });
+      await page.goto(baseUrl + '/login/', { waitUntil: 'domcontentloaded', timeout: 15000 });
     }
 
     await page.waitForSelector('input[type="email"], input[name="username"], input[name="email"], #email, #username', { timeout: 10000 }).catch(() => {});
@@ -188,29 +236,128 @@ function buildAutoLoginCode(username, password) {
   `;
 }
 
-function buildEnergyScrapeCode(dates) {
+function buildEnergyScrapeCode(dates, baseUrl) {
   const safeDates = JSON.stringify(dates);
+  const safeBaseUrl = JSON.stringify(baseUrl);
 
   return `
     const dates = ${safeDates};
+    const baseUrl = ${safeBaseUrl};
     const entries = [];
+    const skipped = [];
+    let directNavigation = true;
+
+    function isoFromDate(date) {
+      const y = date.getFullYear();
+      const m = String(date.getMonth() + 1).padStart(2, '0');
+      const d = String(date.getDate()).padStart(2, '0');
+      return y + '-' + m + '-' + d;
+    }
+
+    function shiftIso(iso, days) {
+      const date = new Date(iso + 'T00:00:00');
+      date.setDate(date.getDate() + days);
+      return isoFromDate(date);
+    }
+
+    function daysBetween(from, to) {
+      const [fy, fm, fd] = from.split('-').map(Number);
+      const [ty, tm, td] = to.split('-').map(Number);
+      return Math.round((Date.UTC(ty, tm - 1, td) - Date.UTC(fy, fm - 1, fd)) / ${DAY_MS});
+    }
+
+    function parseDisplayedDate(text) {
+      if (!text) return null;
+      const today = isoFromDate(new Date());
+      const lower = text.toLowerCase();
+      if (lower.includes('today')) return today;
+      if (lower.includes('yesterday')) return shiftIso(today, -1);
+      if (lower.includes('tomorrow')) return shiftIso(today, 1);
+
+      const iso = text.match(/[0-9]{4}-[0-9]{2}-[0-9]{2}/);
+      if (iso) return iso[0];
+
+      for (const line of text.split(String.fromCharCode(10))) {
+        let candidate = line.trim().replace(/^[A-Za-z]+,[ ]*/, '');
+        if (!candidate || !/[0-9]/.test(candidate)) continue;
+        if (!/[0-9]{4}/.test(candidate)) candidate += ' ' + today.slice(0, 4);
+        const parsed = new Date(candidate);
+        if (!Number.isNaN(parsed.getTime())) return isoFromDate(parsed);
+      }
+      return null;
+    }
+
+    async function readDisplayedDate() {
+      const text = await page.evaluate(() => {
+        const arrow = document.querySelector('i.diary-date-previous');
+        let node = arrow ? arrow.parentElement : null;
+        for (let depth = 0; node && depth < 4; depth++) {
+          const value = (node.innerText || '').trim();
+          if (value) return value.slice(0, 200);
+          node = node.parentElement;
+        }
+        return null;
+      }).catch(() => null);
+      return parseDisplayedDate(text);
+    }
 
-    async function clickPrevDay() {
-      const prev = page.locator('i.diary-date-previous').filter({ visible: true });
-      if (await prev.count() > 0) {
-        await prev.first().click();
-        await page.waitForTimeout(1300);
-        return true;
+    async function waitForDisplayedDate(expected, timeoutMs) {
+      const deadline = Date.now() + timeoutMs;
+      let shown = await readDisplayedDate();
+      while (shown !== expected && Date.now() < deadline) {
+        await page.waitForTimeout(150);
+        shown = await readDisplayedDate();
       }
-      return false;
+      return shown;
+    }
+
+    async function clickArrow(direction) {
+      const selector = direction < 0 ? 'i.diary-date-previous' : 'i.diary-date-next';
+      const arrow = page.locator(selector).filter({ visible: true });
+      if (await arrow.count() === 0) return false;
+      await arrow.first().click();
+      return true;
     }
 
-    async function gotoDateBySteppingBack(daysBack) {
-      if (daysBack <= 0) return;
-      for (let i = 0; i < daysBack; i++) {
-        const ok = await clickPrevDay();
-        if (!ok) break;
+    async function stepToDate(fromDate, targetDate) {
+      let current = fromDate;
+      let steps = daysBetween(current, targetDate);
+      while (steps !== 0) {
+        const direction = steps < 0 ? -1 : 1;
+        if (!(await clickArrow(direction))) break;
+        const expected = shiftIso(current, direction);
+        const shown = await waitForDisplayedDate(expected, 5000);
+        if (shown !== expected) return shown;
+        current = expected;
+        steps -= direction;
       }
+      return await readDisplayedDate();
+    }
+
+    async function gotoDate(targetDate) {
+      let shown = await readDisplayedDate();
+      if (shown === targetDate) {
+        return { shown, method: 'current' };
+      }
+
+      if (directNavigation && shown !== null) {
+        await page.evaluate((date) => {
+          window.location.hash = '#diary/' + date;
+        }, targetDate);
+        shown = await waitForDisplayedDate(targetDate, 4000);
+        if (shown === targetDate) {
+          return { shown, method: 'direct' };
+        }
+        directNavigation = false;
+      }
+
+      // Without a readable date there is no way to tell which day the
+      // values belong to, so the caller skips it rather than guessing.
+      if (shown === null) {
+        return { shown: null, method: 'unreadable' };
+      }
+      shown = await stepToDate(shown, targetDate);
+      return { shown, method: 'step' };
     }
 
     async function extractEnergySummary() {
@@ -359,32 +506,39 @@ function buildEnergyScrapeCode(dates) {
       });
     }
 
-    await page.goto('https://cronometer.com/#diary', { waitUntil: 'domcontentloaded', timeout: 15000 });
+    await page.goto(baseUrl + '/#diary', { waitUntil: 'domcontentloaded', timeout: 15000 });
     await page.waitForLoadState('networkidle', { timeout: 10000 }).catch(() => {});
     await page.waitForTimeout(2000);
 
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    for (let i = 0; i < dates.length; i++) {
-      const targetDate = dates[i];
-
-      if (i === 0) {
-        const target = new Date(targetDate + 'T00:00:00');
-        const daysBack = Math.max(0, Math.round((today - target) / ${DAY_MS}));
-        await gotoDateBySteppingBack(daysBack);
-      } else {
-        const prev = new Date(dates[i - 1] + 'T00:00:00');
-        const target = new Date(targetDate + 'T00:00:00');
-        const stepBack = Math.max(0, Math.round((prev - target) / ${DAY_MS}));
-        await gotoDateBySteppingBack(stepBack);
+    const landedUrl = page.url();
+    if (landedUrl.includes('/login') || landedUrl.includes('/signin')) {
+      return { success: false, loggedOut: true, url: landedUrl, error: 'Not logged in' };
+    }
+
+    for (const targetDate of dates) {
+      const nav = await gotoDate(targetDate);
+      if (nav.shown !== targetDate) {
+        skipped.push({
+          date: targetDate,
+          displayedDate: nav.shown,
+          reason: nav.shown === null ? 'date_unreadable' : 'date_mismatch',
+        });
+        continue;
       }
 
+      await page.waitForLoadState('networkidle', { timeout: 3000 }).catch(() => {});
+      await page.waitForTimeout(400);
       const extracted = await extractEnergySummary();
-      entries.push({ date: targetDate, ...extracted });
+      entries.push({
+        date: targetDate,
+        displayedDate: nav.shown,
+        dateVerified: true,
+        navigation: nav.method,
+        ...extracted,
+      });
     }
 
-    return { success: true, entries };
+    return { success: true, entries, skipped, directNavigation };
   `;
 }
 
@@ -437,6 +591,9 @@ function normalizeScrapedEntry(entry) {
 
   return {
     date: entry?.date || null,
+    displayedDate: entry?.displayedDate ?? null,
+    dateVerified: entry?.dateVerified ?? null,
+    navigation: entry?.navigation ?? null,
     components: {
       bmr: bmr === null ? null : Math.abs(Number(bmr)),
       tef: tef === null ? null : Math.abs(Number(tef)),
@@ -459,51 +616,51 @@ function normalizeScrapedEntry(entry) {
   };
 }
 
-export async function scrapeEnergySummaryForDates(
-  dates,
-  { onStatus } = {}
-) {
-  const normalizedDates = normalizeDates(dates);
-  if (normalizedDates.length === 0) return [];
-
-  const credentialsModule = await loadCredentialsModule(process.env);
-  const kernelApiKey = getRequiredCredential(
-    "CRONO_KERNEL_API_KEY",
-    "kernel-api-key",
-    process.env,
-    credentialsModule
-  );
-  const username = getRequiredCredential(
-    "CRONO_CRONOMETER_EMAIL",
-    "cronometer-username",
-    process.env,
-    credentialsModule
-  );
-  const password = getRequiredCredential(
-    "CRONO_CRONOMETER_PASSWORD",
-    "cronometer-password",
-    process.env,
-    credentialsModule
-  );
-
-  process.env.KERNEL_API_KEY = kernelApiKey;
-
-  const Kernel = await loadKernelClass(process.env);
-  const kernel = new Kernel();
+const scrapeSessions = new Map();
+
+function getScrapeSessionState(accountId) {
+  let state = scrapeSessions.get(accountId);
+  if (!state) {
+    state = {
+      accountId,
+      provider: null,
+      session: null,
+      identity: null,
+      createdAt: null,
+      loggedInAt: null,
+      lastUsedAt: null,
+      idleTimer: null,
+      busy: false,
+      lastError: null,
+      lock: Promise.resolve(),
+      stats: {
+        created: 0,
+        reused: 0,
+        logins: 0,
+        reauthentications: 0,
+        idleClosed: 0,
+        discarded: 0,
+      },
+    };
+    scrapeSessions.set(accountId, state);
+  }
+  return state;
+}
 
-  onStatus?.("Creating Kernel browser session...");
-  const browser = await kernel.browsers.create({
-    headless: true,
-    stealth: true,
-    timeout_seconds: 240,
-  });
+function withScrapeSessionLock(scrapeSession, task) {
+  const run = scrapeSession.lock.then(task);
+  scrapeSession.lock = run.catch(() => {});
+  return run;
+}
 
-  try {
-    onStatus?.("Logging into Cronometer...");
-    const loginResult = await kernel.browsers.playwright.execute(
-      browser.session_id,
-      { code: buildAutoLoginCode(username, password), timeout_sec: 90 }
-    );
+async function loginScrapeSession(scrapeSession, onStatus) {
+  onStatus?.("Logging into Cronometer...");
+  const { username, password, baseUrl } = scrapeSession.identity;
+  await timeScrapePhase("login", async () => {
+    const loginResult = await scrapeSession.provider.execute(scrapeSession.session, {
+      code: buildAutoLoginCode(username, password, baseUrl),
+      timeoutSec: 90,
+    });
     const loginData = loginResult?.result || {};
     if (!loginResult?.success || !loginData?.loggedIn) {
       const explicitError =
@@ -512,27 +669,297 @@ export async function scrapeEnergySummaryForDates(
         `Cronometer login failed during scrape (${explicitError})`
       );
     }
+  });
+  scrapeSession.loggedInAt = Date.now();
+  scrapeSession.stats.logins += 1;
+}
 
-    onStatus?.("Scraping energy summary components...");
-    const scrapeResult = await kernel.browsers.playwright.execute(
-      browser.session_id,
-      { code: buildEnergyScrapeCode(normalizedDates), timeout_sec: 180 }
-    );
-    if (!scrapeResult?.success) {
-      throw new Error(`Energy scrape automation failed: ${scrapeResult?.error}`);
-    }
-    const data = scrapeResult?.result || {};
-    if (!data?.success) {
-      throw new Error(`Energy scrape failed: ${data?.error || "unknown"}`);
-    }
+async function discardScrapeSession(scrapeSession) {
+  clearTimeout(scrapeSession.idleTimer);
+  scrapeSession.idleTimer = null;
+  const { provider, session } = scrapeSession;
+  scrapeSession.provider = null;
+  scrapeSession.session = null;
+  scrapeSession.identity = null;
+  scrapeSession.createdAt = null;
+  scrapeSession.loggedInAt = null;
+  if (!session) return;
+
+  scrapeSession.stats.discarded += 1;
+  try {
+    await provider.closeSession(session);
+  } catch {
+    // Ignore cleanup errors
+  }
+}
+
+async function acquireScrapeSession(scrapeSession, identity, config, onStatus) {
+  clearTimeout(scrapeSession.idleTimer);
+  scrapeSession.idleTimer = null;
+
+  const current = scrapeSession.identity;
+  const reusable =
+    config.reuse &&
+    scrapeSession.session &&
+    current?.provider === identity.provider &&
+    current?.baseUrl === identity.baseUrl &&
+    current?.kernelApiKey === identity.kernelApiKey &&
+    current?.username === identity.username &&
+    current?.password === identity.password &&
+    Date.now() - scrapeSession.createdAt < config.maxAgeMs;
+  if (reusable) {
+    scrapeSession.stats.reused += 1;
+    onStatus?.(`Reusing warm ${identity.provider} browser session...`);
+    return;
+  }
+
+  await discardScrapeSession(scrapeSession);
+
+  const { provider, session } = await timeScrapePhase("session", async () => {
+    const created = await createBrowserProvider(identity.provider, process.env, {
+      kernelApiKey: identity.kernelApiKey,
+    });
+    onStatus?.(`Creating ${created.name} browser session...`);
+    return {
+      provider: created,
+      session: await created.createSession({
+        timeoutSeconds: Math.max(240, Math.ceil(config.idleTimeoutMs / 1000) + 60),
+      }),
+    };
+  });
+  Object.assign(scrapeSession, {
+    provider,
+    session,
+    identity,
+    createdAt: Date.now(),
+    loggedInAt: null,
+  });
+  scrapeSession.stats.created += 1;
+
+  try {
+    await loginScrapeSession(scrapeSession, onStatus);
+  } catch (error) {
+    await discardScrapeSession(scrapeSession);
+    throw error;
+  }
+}
+
+function releaseScrapeSession(scrapeSession, config) {
+  scrapeSession.lastUsedAt = Date.now();
+  if (!scrapeSession.session) return Promise.resolve();
+  if (!config.reuse) return discardScrapeSession(scrapeSession);
+
+  scrapeSession.idleTimer = setTimeout(() => {
+    withScrapeSessionLock(scrapeSession, () => {
+      if (!scrapeSession.session) return undefined;
+      scrapeSession.stats.idleClosed += 1;
+      return discardScrapeSession(scrapeSession);
+    });
+  }, config.idleTimeoutMs);
+  scrapeSession.idleTimer.unref?.();
+  return Promise.resolve();
+}
+
+function scrapeBatch(scrapeSession, dates) {
+  return timeScrapePhase("batch", () => runScrapeBatch(scrapeSession, dates));
+}
+
+async function runScrapeBatch(scrapeSession, dates) {
+  const scrapeResult = await scrapeSession.provider.execute(scrapeSession.session, {
+    code: buildEnergyScrapeCode(dates, scrapeSession.identity.baseUrl),
+    timeoutSec: 180,
+  });
+  if (!scrapeResult?.success) {
+    throw new Error(`Energy scrape automation failed: ${scrapeResult?.error}`);
+  }
+  const data = scrapeResult?.result || {};
+  if (!data?.success) {
+    const error = new Error(`Energy scrape failed: ${data?.error || "unknown"}`);
+    error.loggedOut = Boolean(data?.loggedOut);
+    throw error;
+  }
+  return {
+    entries: Array.isArray(data.entries) ? data.entries : [],
+    skipped: Array.isArray(data.skipped) ? data.skipped : [],
+  };
+}
+
+async function scrapeBatchWithReauth(scrapeSession, dates, onStatus) {
+  try {
+    return await scrapeBatch(scrapeSession, dates);
+  } catch (error) {
+    if (!error.loggedOut) throw error;
+    onStatus?.("Cronometer session logged out; re-authenticating...");
+    scrapeSession.stats.reauthentications += 1;
+    await loginScrapeSession(scrapeSession, onStatus);
+    return await scrapeBatch(scrapeSession, dates);
+  }
+}
+
+export function getScrapeSessionStatus(accountId = DEFAULT_ACCOUNT_ID) {
+  const config = resolveSessionConfig(process.env);
+  const scrapeSession = getScrapeSessionState(accountId);
+  const now = Date.now();
+  return {
+    provider: scrapeSession.identity?.provider ?? null,
+    reuseEnabled: config.reuse,
+    idleTimeoutMs: config.idleTimeoutMs,
+    maxAgeMs: config.maxAgeMs,
+    active: Boolean(scrapeSession.session),
+    busy: scrapeSession.busy,
+    ageMs: scrapeSession.createdAt ? now - scrapeSession.createdAt : null,
+    idleMs:
+      scrapeSession.session && scrapeSession.lastUsedAt && !scrapeSession.busy
+        ? now - scrapeSession.lastUsedAt
+        : null,
+    loggedInAt: scrapeSession.loggedInAt
+      ? new Date(scrapeSession.loggedInAt).toISOString()
+      : null,
+    lastUsedAt: scrapeSession.lastUsedAt
+      ? new Date(scrapeSession.lastUsedAt).toISOString()
+      : null,
+    lastError: scrapeSession.lastError,
+    stats: { ...scrapeSession.stats },
+  };
+}
 
-    const entries = Array.isArray(data.entries) ? data.entries : [];
-    return entries.map(normalizeScrapedEntry);
-  } finally {
+export function resetScrapeSession(accountId = DEFAULT_ACCOUNT_ID) {
+  const scrapeSession = getScrapeSessionState(accountId);
+  return withScrapeSessionLock(scrapeSession, () => discardScrapeSession(scrapeSession));
+}
+
+function requireAccountCredential(account, field, label) {
+  const value = account.credentials?.[field];
+  if (typeof value === "string" && value.trim() !== "") return value.trim();
+  throw new Error(`Missing credential for profile ${account.id}: ${label}`);
+}
+
+// Without explicit credentials the account reads the .env values and crono's
+// credential store, which is how the single-profile setup has always worked.
+async function resolveAccountCredentials(account, provider) {
+  if (account.credentials) {
+    return {
+      kernelApiKey:
+        provider === "kernel"
+          ? requireAccountCredential(account, "kernelApiKey", "kernelApiKey")
+          : null,
+      username: requireAccountCredential(account, "username", "cronometerEmail"),
+      password: requireAccountCredential(account, "password", "cronometerPassword"),
+    };
+  }
+
+  const credentialsModule = await loadCredentialsModule(process.env);
+  return {
+    kernelApiKey:
+      provider === "kernel"
+        ? getRequiredCredential(
+            "CRONO_KERNEL_API_KEY",
+            "kernel-api-key",
+            process.env,
+            credentialsModule
+          )
+        : null,
+    username: getRequiredCredential(
+      "CRONO_CRONOMETER_EMAIL",
+      "cronometer-username",
+      process.env,
+      credentialsModule
+    ),
+    password: getRequiredCredential(
+      "CRONO_CRONOMETER_PASSWORD",
+      "cronometer-password",
+      process.env,
+      credentialsModule
+    ),
+  };
+}
+
+export async function scrapeEnergySummaryForDates(
+  dates,
+  { onStatus, meta = null, account = null } = {}
+) {
+  const normalizedDates = normalizeDates(dates);
+  if (normalizedDates.length === 0) return [];
+
+  const resolvedAccount = {
+    id: account?.id || DEFAULT_ACCOUNT_ID,
+    credentials: account?.credentials || null,
+  };
+  const provider = resolveBrowserProviderName(process.env);
+  const { kernelApiKey, username, password } = await resolveAccountCredentials(
+    resolvedAccount,
+    provider
+  );
+  const scrapeSession = getScrapeSessionState(resolvedAccount.id);
+
+  const identity = {
+    provider,
+    baseUrl: resolveBaseUrl(process.env),
+    kernelApiKey,
+    username,
+    password,
+  };
+  const config = resolveSessionConfig(process.env);
+  const batches = chunkDates(normalizedDates, resolveBatchSize(process.env));
+  const entries = [];
+  const skippedDates = [];
+  const failedBatches = [];
+  let sessionError = null;
+
+  await withScrapeSessionLock(scrapeSession, async () => {
+    scrapeSession.busy = true;
     try {
-      await kernel.browsers.deleteByID(browser.session_id);
-    } catch {
-      // Ignore cleanup errors
+      for (let i = 0; i < batches.length; i++) {
+        const batch = batches[i];
+        if (sessionError) {
+          failedBatches.push({ dates: batch, error: sessionError.message });
+          continue;
+        }
+
+        try {
+          if (!scrapeSession.session || i === 0) {
+            await acquireScrapeSession(scrapeSession, identity, config, onStatus);
+          }
+        } catch (error) {
+          sessionError = error;
+          failedBatches.push({ dates: batch, error: error.message });
+          continue;
+        }
+
+        try {
+          onStatus?.(
+            `Scraping energy summary batch ${i + 1}/${batches.length} (${batch.length} days)...`
+          );
+          const result = await scrapeBatchWithReauth(scrapeSession, batch, onStatus);
+          entries.push(...result.entries.map(normalizeScrapedEntry));
+          skippedDates.push(...result.skipped);
+        } catch (error) {
+          failedBatches.push({ dates: batch, error: error.message });
+          onStatus?.(
+            `Energy summary batch ${i + 1}/${batches.length} failed: ${error.message}`
+          );
+          // The session may be wedged after a failed batch; start fresh for the next one.
+          await discardScrapeSession(scrapeSession);
+        }
+      }
+    } finally {
+      scrapeSession.busy = false;
+      scrapeSession.lastError =
+        failedBatches.length > 0 ? failedBatches[failedBatches.length - 1].error : null;
+      await releaseScrapeSession(scrapeSession, config);
     }
+  });
+
+  if (meta && typeof meta === "object") {
+    Object.assign(meta, {
+      batches: batches.length,
+      failedBatches,
+      skippedDates,
+    });
+  }
+
+  if (entries.length === 0 && failedBatches.length > 0) {
+    throw sessionError || new Error(failedBatches[0].error);
   }
+  return entries;
 }
@@ -0,0 +1,127 @@
+import { randomUUID } from "node:crypto";
+import { createWriteQueue, readJsonFile, writeJsonFileAtomic } from "./storage.js";
+
+export const MIN_MATCH_SCORE = 0.35;
+
+// Latin accents are dropped ("Crème" matches "creme"); letters and digits
+// of every script are kept, along with their other combining marks (e.g.
+// Japanese dakuten), which NFC puts back together.
+function normalizeName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^\p{L}\p{N}\p{M}]+/gu, " ")
+    .trim()
+    .normalize("NFC");
+}
+
+function bigrams(text) {
+  const padded = ` ${text} `;
+  const grams = new Map();
+  for (let i = 0; i < padded.length - 1; i++) {
+    const gram = padded.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+}
+
+function diceCoefficient(a, b) {
+  const left = bigrams(a);
+  const right = bigrams(b);
+  let overlap = 0;
+  let total = 0;
+  for (const [gram, count] of left) {
+    overlap += Math.min(count, right.get(gram) || 0);
+    total += count;
+  }
+  for (const count of right.values()) total += count;
+  return total === 0 ? 0 : (2 * overlap) / total;
+}
+
+/**
+ * Similarity of a query to a food name, 0..1. Bigram overlap tolerates
+ * typos and word order; a name that contains the whole query, or every
+ * query word as a word prefix, scores at least 0.8 so "shake" finds
+ * "Post-Workout Shake".
+ */
+export function matchScore(query, name) {
+  const q = normalizeName(query);
+  const n = normalizeName(name);
+  if (!q || !n) return 0;
+  if (q === n) return 1;
+
+  let score = diceCoefficient(q, n);
+  const words = n.split(" ");
+  const everyWordPrefixed = q
+    .split(" ")
+    .every((part) => words.some((word) => word.startsWith(part)));
+  if (n.includes(q) || everyWordPrefixed) score = Math.max(score, 0.8);
+  return Math.round(score * 1000) / 1000;
+}
+
+export function createFoodLibrary({ filePath, onPersistError = () => {} }) {
+  const foods = new Map();
+  const enqueueWrite = createWriteQueue();
+
+  function persist() {
+    const snapshot = Array.from(foods.values());
+    return enqueueWrite(() => writeJsonFileAtomic(filePath, { foods: snapshot })).catch(
+      onPersistError
+    );
+  }
+
+  async function load() {
+    const stored = await readJsonFile(filePath, null);
+    foods.clear();
+    for (const food of stored?.foods || []) {
+      if (food?.id && food?.name) foods.set(food.id, food);
+    }
+    return foods.size;
+  }
+
+  function list() {
+    return Array.from(foods.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  function get(id) {
+    return foods.get(id) || null;
+  }
+
+  // A name made only of punctuation normalizes to "" and matches nothing.
+  function findByName(name) {
+    const wanted = normalizeName(name);
+    if (!wanted) return null;
+    return list().find((food) => normalizeName(food.name) === wanted) || null;
+  }
+
+  function search(query, { limit = 20, minScore = MIN_MATCH_SCORE } = {}) {
+    return list()
+      .map((food) => ({ ...food, score: matchScore(query, food.name) }))
+      .filter((food) => food.score >= minScore)
+      .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name))
+      .slice(0, limit);
+  }
+
+  // Creating a food that is already recorded (same name, ignoring case and
+  // punctuation) updates it, since Cronometer now has the newer macros.
+  async function record({ name, protein = null, carbs = null, fat = null, total = null }) {
+    const now = new Date().toISOString();
+    const existing = findByName(name);
+    const food = {
+      id: existing?.id || randomUUID(),
+      name: name.trim(),
+      protein,
+      carbs,
+      fat,
+      total,
+      createdAt: existing?.createdAt || now,
+      updatedAt: now,
+    };
+    foods.set(food.id, food);
+    await persist();
+    return food;
+  }
+
+  return { load, list, get, findByName, search, record };
+}
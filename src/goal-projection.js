@@ -0,0 +1,64 @@
+import { addDays } from "./dates.js";
+
+const MAX_PROJECTION_DAYS = 3650;
+
+function round(value, digits = 2) {
+  if (value === null || !Number.isFinite(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Trend change over consecutive 7-day blocks, newest first. A window of
+ * 28 days yields up to four rates.
+ */
+export function weeklyTrendRates(perDay) {
+  const rates = [];
+  for (let end = perDay.length - 1; end - 7 >= 0; end -= 7) {
+    const to = perDay[end];
+    const from = perDay[end - 7];
+    rates.push({
+      fromDate: from.date,
+      toDate: to.date,
+      weeklyRate: round(to.trendWeight - from.trendWeight),
+    });
+  }
+  return rates;
+}
+
+// Status is one of reached, on_track, moving_away, no_change or too_slow;
+// only on_track carries a projected date.
+export function projectGoal({ currentWeight, targetWeight, weeklyRate, today }) {
+  const remaining = targetWeight - currentWeight;
+  const base = { weeklyRate: round(weeklyRate), projectedDate: null, daysToGoal: null };
+
+  if (Math.abs(remaining) < 0.05) return { ...base, status: "reached", daysToGoal: 0 };
+  if (weeklyRate === null || Math.abs(weeklyRate) < 1e-6) return { ...base, status: "no_change" };
+  if (Math.sign(weeklyRate) !== Math.sign(remaining)) return { ...base, status: "moving_away" };
+
+  const days = Math.ceil((remaining / weeklyRate) * 7);
+  if (days > MAX_PROJECTION_DAYS) return { ...base, status: "too_slow" };
+  return {
+    ...base,
+    status: "on_track",
+    daysToGoal: days,
+    projectedDate: addDays(today, days),
+  };
+}
+
+/**
+ * Best and worst cases from the spread of recent weekly rates: the rate that
+ * reaches the target soonest, and the one that reaches it latest (or never).
+ */
+export function projectGoalRange({ currentWeight, targetWeight, rates, today }) {
+  if (rates.length === 0) return { best: null, worst: null };
+  const direction = Math.sign(targetWeight - currentWeight);
+  // Rank by progress toward the target: larger is faster.
+  const ranked = [...rates].sort((a, b) => b.weeklyRate * direction - a.weeklyRate * direction);
+  const describe = (rate) => ({
+    ...projectGoal({ currentWeight, targetWeight, weeklyRate: rate.weeklyRate, today }),
+    fromDate: rate.fromDate,
+    toDate: rate.toDate,
+  });
+  return { best: describe(ranked[0]), worst: describe(ranked[ranked.length - 1]) };
+}
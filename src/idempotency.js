@@ -0,0 +1,118 @@
+import { createHash } from "node:crypto";
+import { createWriteQueue, readJsonFile, writeJsonFileAtomic } from "./storage.js";
+
+export const IDEMPOTENCY_KEY_MAX_LENGTH = 255;
+
+// Object keys are sorted so {"a":1,"b":2} and {"b":2,"a":1} match.
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function fingerprintRequest({ method, path, body }) {
+  return createHash("sha256")
+    .update(`${method} ${path}\n${canonicalJson(body)}`)
+    .digest("hex");
+}
+
+function storeKey(profileId, key) {
+  return `${profileId}\u001f${key}`;
+}
+
+/**
+ * Remembers the response to each write sent with an Idempotency-Key for
+ * `ttlMs`, per profile. Records are persisted before the response is sent,
+ * so a retry after a crash still replays instead of writing twice.
+ * In-flight keys are only tracked in memory.
+ */
+export function createIdempotencyStore({ filePath, ttlMs, onPersistError = () => {} }) {
+  const records = new Map();
+  const inFlight = new Set();
+  const enqueueWrite = createWriteQueue();
+  const stats = { stored: 0, replayed: 0, mismatched: 0, concurrent: 0 };
+
+  function prune(now = Date.now()) {
+    for (const [id, record] of records) {
+      if (Date.parse(record.expiresAt) <= now) records.delete(id);
+    }
+  }
+
+  function persist() {
+    prune();
+    const snapshot = Array.from(records.values());
+    return enqueueWrite(() => writeJsonFileAtomic(filePath, { records: snapshot })).catch(
+      onPersistError
+    );
+  }
+
+  async function load() {
+    const stored = await readJsonFile(filePath, null);
+    records.clear();
+    for (const record of stored?.records || []) {
+      if (record?.profileId && record?.key) {
+        records.set(storeKey(record.profileId, record.key), record);
+      }
+    }
+    prune();
+    return records.size;
+  }
+
+  // Returns { state: "new" | "replay" | "mismatch" | "in_progress", record }.
+  // A "new" key is reserved until complete() or release() is called.
+  function begin(profileId, key, fingerprint) {
+    const id = storeKey(profileId, key);
+    const record = records.get(id);
+    if (record && Date.parse(record.expiresAt) > Date.now()) {
+      if (record.fingerprint !== fingerprint) {
+        stats.mismatched += 1;
+        return { state: "mismatch", record };
+      }
+      stats.replayed += 1;
+      return { state: "replay", record };
+    }
+    if (inFlight.has(id)) {
+      stats.concurrent += 1;
+      return { state: "in_progress", record: null };
+    }
+    inFlight.add(id);
+    return { state: "new", record: null };
+  }
+
+  async function complete(profileId, key, { fingerprint, method, path, status, body }) {
+    const id = storeKey(profileId, key);
+    const now = Date.now();
+    records.set(id, {
+      profileId,
+      key,
+      fingerprint,
+      method,
+      path,
+      status,
+      body,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlMs).toISOString(),
+    });
+    stats.stored += 1;
+    try {
+      await persist();
+    } finally {
+      inFlight.delete(id);
+    }
+  }
+
+  function release(profileId, key) {
+    inFlight.delete(storeKey(profileId, key));
+  }
+
+  function getStats() {
+    return { records: records.size, inFlight: inFlight.size, ttlMs, ...stats };
+  }
+
+  return { load, begin, complete, release, stats: getStats };
+}
@@ -0,0 +1,179 @@
+import { randomUUID } from "node:crypto";
+import { createCommandQueue, QueueFullError } from "./command-queue.js";
+import { createWriteQueue, readJsonFile, writeJsonFileAtomic } from "./storage.js";
+
+const FINISHED_STATUSES = new Set(["succeeded", "failed"]);
+const MAX_PROGRESS_EVENTS = 50;
+// Progress messages are only informational, so they are written at most
+// this often; status changes are written straight away.
+const PROGRESS_PERSIST_MS = 2000;
+
+function describeError(error) {
+  return {
+    message: error instanceof Error ? error.message : String(error),
+    status: Number.isInteger(error?.status) ? error.status : 500,
+    details: error?.extra ?? null,
+  };
+}
+
+function summarizeJob(job) {
+  const { result, ...rest } = job;
+  return { ...rest, hasResult: result !== undefined && result !== null };
+}
+
+export function createJobRunner({
+  filePath,
+  handlers,
+  concurrency = 1,
+  retentionMs = 7 * 24 * 60 * 60 * 1000,
+  maxJobs = 200,
+  onPersistError = () => {},
+}) {
+  const jobs = new Map();
+  const queue = createCommandQueue({ concurrency, maxQueued: maxJobs });
+  const enqueueWrite = createWriteQueue();
+  let progressTimer = null;
+
+  function persist() {
+    clearTimeout(progressTimer);
+    progressTimer = null;
+    const snapshot = Array.from(jobs.values());
+    return enqueueWrite(() => writeJsonFileAtomic(filePath, { jobs: snapshot })).catch(
+      onPersistError
+    );
+  }
+
+  function prune() {
+    const cutoff = Date.now() - retentionMs;
+    for (const [id, job] of jobs) {
+      if (FINISHED_STATUSES.has(job.status) && Date.parse(job.finishedAt) < cutoff) {
+        jobs.delete(id);
+      }
+    }
+    const finished = Array.from(jobs.values()).filter((job) =>
+      FINISHED_STATUSES.has(job.status)
+    );
+    while (jobs.size > maxJobs && finished.length > 0) {
+      jobs.delete(finished.shift().id);
+    }
+  }
+
+  async function load() {
+    const stored = await readJsonFile(filePath, null);
+    const now = new Date().toISOString();
+    for (const job of stored?.jobs || []) {
+      if (!job?.id) continue;
+      if (!FINISHED_STATUSES.has(job.status)) {
+        job.status = "failed";
+        job.finishedAt = now;
+        job.error = {
+          message: "Job interrupted by server restart",
+          status: 503,
+          details: null,
+        };
+      }
+      jobs.set(job.id, job);
+    }
+    prune();
+    await persist();
+    return jobs.size;
+  }
+
+  function reportProgress(job, message) {
+    const event = { at: new Date().toISOString(), message: String(message) };
+    job.progress.message = event.message;
+    job.progress.updatedAt = event.at;
+    job.progress.events.push(event);
+    if (job.progress.events.length > MAX_PROGRESS_EVENTS) {
+      job.progress.events.shift();
+    }
+    if (!progressTimer) {
+      progressTimer = setTimeout(persist, PROGRESS_PERSIST_MS);
+      progressTimer.unref();
+    }
+  }
+
+  async function execute(job) {
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+    reportProgress(job, "Started");
+    persist();
+
+    try {
+      job.result = await handlers[job.type](job.params, {
+        onStatus: (message) => reportProgress(job, message),
+        profileId: job.profileId,
+        jobId: job.id,
+      });
+      job.status = "succeeded";
+      job.progress.message = "Completed";
+    } catch (error) {
+      job.status = "failed";
+      job.error = describeError(error);
+      job.progress.message = "Failed";
+    }
+    job.finishedAt = new Date().toISOString();
+    job.progress.updatedAt = job.finishedAt;
+    prune();
+    await persist();
+  }
+
+  // Returns null for an unknown type and throws QueueFullError when
+  // maxJobs are already waiting, before anything is stored.
+  function create(type, params = {}, { profileId = null } = {}) {
+    if (!Object.prototype.hasOwnProperty.call(handlers, type)) {
+      return null;
+    }
+    if (queue.isFull()) throw new QueueFullError(maxJobs);
+
+    const job = {
+      id: randomUUID(),
+      type,
+      params,
+      profileId,
+      status: "queued",
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: { message: "Queued", updatedAt: null, events: [] },
+      result: null,
+      error: null,
+    };
+    jobs.set(job.id, job);
+    persist();
+
+    queue.run(() => execute(job)).catch((error) => {
+      job.status = "failed";
+      job.finishedAt = new Date().toISOString();
+      job.error = describeError(error);
+      persist();
+    });
+    return job;
+  }
+
+  // A profileId scopes reads to that profile's jobs; null sees every job.
+  function get(id, { profileId = null } = {}) {
+    const job = jobs.get(id) || null;
+    if (job && profileId !== null && (job.profileId ?? null) !== profileId) return null;
+    return job;
+  }
+
+  function list({ status = null, type = null, profileId = null } = {}) {
+    return Array.from(jobs.values())
+      .filter((job) => (profileId !== null ? (job.profileId ?? null) === profileId : true))
+      .filter((job) => (status ? job.status === status : true))
+      .filter((job) => (type ? job.type === type : true))
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+      .map(summarizeJob);
+  }
+
+  function stats() {
+    const counts = {};
+    for (const job of jobs.values()) {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    }
+    return { stored: jobs.size, counts, queue: queue.stats() };
+  }
+
+  return { load, create, get, list, stats, types: Object.keys(handlers) };
+}
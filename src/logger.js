@@ -0,0 +1,62 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+const logContext = new AsyncLocalStorage();
+
+// Fields such as requestId, added to every line logged inside `fn`,
+// including from promises and callbacks it starts.
+export function runWithLogContext(fields, fn) {
+  return logContext.run({ ...logContext.getStore(), ...fields }, fn);
+}
+
+export function currentLogContext() {
+  return logContext.getStore() || {};
+}
+
+function resolveLevel(raw) {
+  const level = String(raw || "").trim().toLowerCase();
+  return LOG_LEVELS.includes(level) ? level : "info";
+}
+
+/**
+ * One JSON object per line: `time`, `level`, `message`, the active log
+ * context, then the caller's fields. debug and info go to stdout, warn and
+ * error to stderr. Lines below `level` are dropped.
+ */
+export function createLogger({
+  level = "info",
+  fields = {},
+  write = (line, lineLevel) =>
+    (lineLevel === "warn" || lineLevel === "error" ? process.stderr : process.stdout).write(
+      `${line}\n`
+    ),
+} = {}) {
+  const threshold = LOG_LEVELS.indexOf(resolveLevel(level));
+
+  function log(lineLevel, message, extra = {}) {
+    if (LOG_LEVELS.indexOf(lineLevel) < threshold) return;
+    const line = {
+      time: new Date().toISOString(),
+      level: lineLevel,
+      message,
+      ...currentLogContext(),
+      ...fields,
+      ...extra,
+    };
+    write(JSON.stringify(line), lineLevel);
+  }
+
+  return {
+    level: LOG_LEVELS[threshold],
+    isEnabled: (lineLevel) => LOG_LEVELS.indexOf(lineLevel) >= threshold,
+    debug: (message, extra) => log("debug", message, extra),
+    info: (message, extra) => log("info", message, extra),
+    warn: (message, extra) => log("warn", message, extra),
+    error: (message, extra) => log("error", message, extra),
+    child: (childFields) => createLogger({ level, fields: { ...fields, ...childFields }, write }),
+  };
+}
+
+// The process-wide logger, at CRONO_LOG_LEVEL (debug, info, warn or error).
+export const logger = createLogger({ level: process.env.CRONO_LOG_LEVEL });
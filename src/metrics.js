@@ -0,0 +1,165 @@
+// Minimal Prometheus text-format registry: counters, gauges and histograms
+// with labels. Counters and gauges can also read their values from a
+// `collect` callback at scrape time, for numbers another module already
+// keeps (cache and queue stats).
+
+export const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300,
+];
+const METRIC_NAME_RE = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(",")}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return Number.isNaN(value) ? "NaN" : String(value);
+}
+
+// Missing labels become "", so every series of a metric has the same names.
+function pickLabels(labelNames, labels = {}) {
+  const picked = {};
+  for (const name of labelNames) picked[name] = labels[name] ?? "";
+  return picked;
+}
+
+function seriesKey(labels) {
+  return JSON.stringify(Object.values(labels));
+}
+
+export function createMetricsRegistry() {
+  const metrics = new Map();
+
+  function register(name, help, type, render) {
+    if (!METRIC_NAME_RE.test(name)) throw new Error(`Invalid metric name: ${name}`);
+    if (metrics.has(name)) throw new Error(`Metric already registered: ${name}`);
+    metrics.set(name, { name, help, type, render });
+  }
+
+  function collectedLines(name, collect, labelNames) {
+    const collected = collect();
+    const samples = typeof collected === "number" ? [{ labels: {}, value: collected }] : collected;
+    return samples
+      .filter((sample) => Number.isFinite(sample.value))
+      .map(
+        (sample) =>
+          `${name}${formatLabels(pickLabels(labelNames, sample.labels))} ${formatValue(sample.value)}`
+      );
+  }
+
+  function scalar(type, { name, help, labelNames = [], collect = null }) {
+    const series = new Map();
+    register(name, help, type, () =>
+      collect
+        ? collectedLines(name, collect, labelNames)
+        : Array.from(series.values()).map(
+            ({ labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`
+          )
+    );
+
+    function add(labels, amount) {
+      const picked = pickLabels(labelNames, labels);
+      const key = seriesKey(picked);
+      const current = series.get(key);
+      if (current) current.value += amount;
+      else series.set(key, { labels: picked, value: amount });
+    }
+
+    return type === "counter"
+      ? {
+          inc(labels = {}, amount = 1) {
+            if (amount < 0) throw new Error(`Counter ${name} cannot decrease`);
+            add(labels, amount);
+          },
+        }
+      : {
+          set(labels, value) {
+            const picked = pickLabels(labelNames, labels);
+            series.set(seriesKey(picked), { labels: picked, value });
+          },
+          inc(labels = {}, amount = 1) {
+            add(labels, amount);
+          },
+        };
+  }
+
+  function counter(options) {
+    return scalar("counter", options);
+  }
+
+  function gauge(options) {
+    return scalar("gauge", options);
+  }
+
+  function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map();
+    register(name, help, "histogram", () => {
+      const lines = [];
+      for (const { labels, counts, sum, count } of series.values()) {
+        bounds.forEach((bound, index) => {
+          lines.push(
+            `${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`
+          );
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+      return lines;
+    });
+
+    function observe(labels, value) {
+      const picked = pickLabels(labelNames, labels);
+      const key = seriesKey(picked);
+      let current = series.get(key);
+      if (!current) {
+        current = { labels: picked, counts: bounds.map(() => 0), sum: 0, count: 0 };
+        series.set(key, current);
+      }
+      bounds.forEach((bound, index) => {
+        if (value <= bound) current.counts[index] += 1;
+      });
+      current.sum += value;
+      current.count += 1;
+    }
+
+    // Returns a function that records the elapsed seconds; labels passed to
+    // it are merged over the ones given here (e.g. an outcome known later).
+    function startTimer(labels = {}) {
+      const startedAt = process.hrtime.bigint();
+      return (moreLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        observe({ ...labels, ...moreLabels }, seconds);
+        return seconds;
+      };
+    }
+
+    return { observe, startTimer };
+  }
+
+  function render() {
+    const blocks = [];
+    for (const metric of metrics.values()) {
+      blocks.push(
+        `# HELP ${metric.name} ${metric.help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.render()
+      );
+    }
+    return `${blocks.join("\n")}\n`;
+  }
+
+  return { counter, gauge, histogram, render };
+}
+
+// The process-wide registry served at /metrics.
+export const metrics = createMetricsRegistry();
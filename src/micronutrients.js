@@ -0,0 +1,451 @@
+export const SEXES = ["male", "female"];
+export const DEFAULT_AGE = 30;
+
+// Columns that today-macros and calorie-balance already cover.
+const MACRO_LABELS = new Set(["energy", "protein", "carbs", "net carbs", "fat"]);
+const MASS_UNITS = { g: 1, mg: 1e-3, "µg": 1e-6 };
+const VITAMIN_D_IU_PER_UG = 40;
+
+// Dietary Reference Intakes for ages 14 and up. A reference or upper limit
+// is either one number for everyone or, per sex, a list of [maxAge, amount]
+// where the first bracket the age fits in wins. Upper limits that only apply
+// to supplements (magnesium, niacin, folate, vitamin E, preformed vitamin A)
+// are left out because the export cannot tell food from supplement intake.
+const ADULT = Infinity;
+export const MICRONUTRIENTS = [
+  {
+    id: "vitamin_a",
+    name: "Vitamin A",
+    labels: ["vitamin a"],
+    unit: "µg",
+    category: "vitamin",
+    kind: "RDA",
+    reference: { male: [[ADULT, 900]], female: [[ADULT, 700]] },
+  },
+  {
+    id: "vitamin_c",
+    name: "Vitamin C",
+    labels: ["vitamin c"],
+    unit: "mg",
+    category: "vitamin",
+    kind: "RDA",
+    reference: { male: [[18, 75], [ADULT, 90]], female: [[18, 65], [ADULT, 75]] },
+    upperLimit: [[18, 1800], [ADULT, 2000]],
+  },
+  {
+    id: "vitamin_d",
+    name: "Vitamin D",
+    labels: ["vitamin d"],
+    unit: "IU",
+    category: "vitamin",
+    kind: "RDA",
+    reference: [[70, 600], [ADULT, 800]],
+    upperLimit: 4000,
+  },
+  {
+    id: "vitamin_e",
+    name: "Vitamin E",
+    labels: ["vitamin e"],
+    unit: "mg",
+    category: "vitamin",
+    kind: "RDA",
+    reference: 15,
+  },
+  {
+    id: "vitamin_k",
+    name: "Vitamin K",
+    labels: ["vitamin k"],
+    unit: "µg",
+    category: "vitamin",
+    kind: "AI",
+    reference: { male: [[18, 75], [ADULT, 120]], female: [[18, 75], [ADULT, 90]] },
+  },
+  {
+    id: "thiamine",
+    name: "Thiamine (B1)",
+    labels: ["b1 (thiamine)", "thiamine", "vitamin b1"],
+    unit: "mg",
+    category: "vitamin",
+    kind: "RDA",
+    reference: { male: [[ADULT, 1.2]], female: [[18, 1.0], [ADULT, 1.1]] },
+  },
+  {
+    id: "riboflavin",
+    name: "Riboflavin (B2)",
+    labels: ["b2 (riboflavin)", "riboflavin", "vitamin b2"],
+    unit: "mg",
+    category: "vitamin",
+    kind: "RDA",
+    reference: { male: [[ADULT, 1.3]], female: [[18, 1.0], [ADULT, 1.1]] },
+  },
+  {
+    id: "niacin",
+    name: "Niacin (B3)",
+    labels: ["b3 (niacin)", "niacin", "vitamin b3"],
+    unit: "mg",
+    category: "vitamin",
+    kind: "RDA",
+    reference: { male: [[ADULT, 16]], female: [[ADULT, 14]] },
+  },
+  {
+    id: "pantothenic_acid",
+    name: "Pantothenic Acid (B5)",
+    labels: ["b5 (pantothenic acid)", "pantothenic acid", "vitamin b5"],
+    unit: "mg",
+    category: "vitamin",
+    kind: "AI",
+    reference: 5,
+  },
+  {
+    id: "vitamin_b6",
+    name: "Vitamin B6",
+    labels: ["b6 (pyridoxine)", "vitamin b6", "pyridoxine"],
+    unit: "mg",
+    category: "vitamin",
+    kind: "RDA",
+    reference: {
+      male: [[50, 1.3], [ADULT, 1.7]],
+      female: [[18, 1.2], [50, 1.3], [ADULT, 1.5]],
+    },
+    upperLimit: [[18, 80], [ADULT, 100]],
+  },
+  {
+    id: "vitamin_b12",
+    name: "Vitamin B12",
+    labels: ["b12 (cobalamin)", "vitamin b12", "cobalamin"],
+    unit: "µg",
+    category: "vitamin",
+    kind: "RDA",
+    reference: 2.4,
+  },
+  {
+    id: "folate",
+    name: "Folate",
+    labels: ["folate", "folate (dfe)"],
+    unit: "µg",
+    category: "vitamin",
+    kind: "RDA",
+    reference: 400,
+  },
+  {
+    id: "choline",
+    name: "Choline",
+    labels: ["choline"],
+    unit: "mg",
+    category: "vitamin",
+    kind: "AI",
+    reference: { male: [[ADULT, 550]], female: [[18, 400], [ADULT, 425]] },
+    upperLimit: [[18, 3000], [ADULT, 3500]],
+  },
+  {
+    id: "calcium",
+    name: "Calcium",
+    labels: ["calcium"],
+    unit: "mg",
+    category: "mineral",
+    kind: "RDA",
+    reference: {
+      male: [[18, 1300], [70, 1000], [ADULT, 1200]],
+      female: [[18, 1300], [50, 1000], [ADULT, 1200]],
+    },
+    upperLimit: [[18, 3000], [50, 2500], [ADULT, 2000]],
+  },
+  {
+    id: "copper",
+    name: "Copper",
+    labels: ["copper"],
+    unit: "mg",
+    category: "mineral",
+    kind: "RDA",
+    reference: [[18, 0.89], [ADULT, 0.9]],
+    upperLimit: [[18, 8], [ADULT, 10]],
+  },
+  {
+    id: "iron",
+    name: "Iron",
+    labels: ["iron"],
+    unit: "mg",
+    category: "mineral",
+    kind: "RDA",
+    reference: { male: [[18, 11], [ADULT, 8]], female: [[18, 15], [50, 18], [ADULT, 8]] },
+    upperLimit: 45,
+  },
+  {
+    id: "magnesium",
+    name: "Magnesium",
+    labels: ["magnesium"],
+    unit: "mg",
+    category: "mineral",
+    kind: "RDA",
+    reference: {
+      male: [[18, 410], [30, 400], [ADULT, 420]],
+      female: [[18, 360], [30, 310], [ADULT, 320]],
+    },
+  },
+  {
+    id: "manganese",
+    name: "Manganese",
+    labels: ["manganese"],
+    unit: "mg",
+    category: "mineral",
+    kind: "AI",
+    reference: { male: [[18, 2.2], [ADULT, 2.3]], female: [[18, 1.6], [ADULT, 1.8]] },
+    upperLimit: [[18, 9], [ADULT, 11]],
+  },
+  {
+    id: "phosphorus",
+    name: "Phosphorus",
+    labels: ["phosphorus"],
+    unit: "mg",
+    category: "mineral",
+    kind: "RDA",
+    reference: [[18, 1250], [ADULT, 700]],
+    upperLimit: [[70, 4000], [ADULT, 3000]],
+  },
+  {
+    id: "potassium",
+    name: "Potassium",
+    labels: ["potassium"],
+    unit: "mg",
+    category: "mineral",
+    kind: "AI",
+    reference: { male: [[18, 3000], [ADULT, 3400]], female: [[18, 2300], [ADULT, 2600]] },
+  },
+  {
+    id: "selenium",
+    name: "Selenium",
+    labels: ["selenium"],
+    unit: "µg",
+    category: "mineral",
+    kind: "RDA",
+    reference: 55,
+    upperLimit: 400,
+  },
+  {
+    // The sodium limit is the chronic disease risk reduction intake, not a
+    // toxicity UL, but it is the number people mean when they track sodium.
+    id: "sodium",
+    name: "Sodium",
+    labels: ["sodium"],
+    unit: "mg",
+    category: "mineral",
+    kind: "AI",
+    reference: 1500,
+    upperLimit: 2300,
+  },
+  {
+    id: "zinc",
+    name: "Zinc",
+    labels: ["zinc"],
+    unit: "mg",
+    category: "mineral",
+    kind: "RDA",
+    reference: { male: [[ADULT, 11]], female: [[18, 9], [ADULT, 8]] },
+    upperLimit: [[18, 34], [ADULT, 40]],
+  },
+  {
+    id: "fiber",
+    name: "Fiber",
+    labels: ["fiber"],
+    unit: "g",
+    category: "other",
+    kind: "AI",
+    reference: {
+      male: [[50, 38], [ADULT, 30]],
+      female: [[18, 26], [50, 25], [ADULT, 21]],
+    },
+  },
+];
+
+const CATALOG_BY_LABEL = new Map(
+  MICRONUTRIENTS.flatMap((nutrient) => nutrient.labels.map((label) => [label, nutrient]))
+);
+
+function round(value, digits = 1) {
+  if (value === null || !Number.isFinite(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function toNumber(value) {
+  if (typeof value === "number" && Number.isFinite(value)) return value;
+  if (typeof value === "string" && value.trim() !== "") {
+    const parsed = Number.parseFloat(value);
+    if (Number.isFinite(parsed)) return parsed;
+  }
+  return null;
+}
+
+function normalizeUnit(raw) {
+  const unit = String(raw || "").trim();
+  if (["µg", "μg", "mcg", "ug"].includes(unit.toLowerCase())) return "µg";
+  if (["g", "mg"].includes(unit.toLowerCase())) return unit.toLowerCase();
+  if (unit.toUpperCase() === "IU") return "IU";
+  return null;
+}
+
+function slugify(label) {
+  return label
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+}
+
+function convertAmount(amount, from, to, id) {
+  if (from === to) return amount;
+  if (MASS_UNITS[from] && MASS_UNITS[to]) return (amount * MASS_UNITS[from]) / MASS_UNITS[to];
+  if (id === "vitamin_d" && from === "µg" && to === "IU") return amount * VITAMIN_D_IU_PER_UG;
+  if (id === "vitamin_d" && from === "IU" && to === "µg") return amount / VITAMIN_D_IU_PER_UG;
+  return null;
+}
+
+/**
+ * Reads every "<Name> (<unit>)" column of one nutrition export row that is
+ * not a macro. Known nutrients are converted to the catalog unit; anything
+ * else is kept in its own unit under a slugged id.
+ */
+export function parseMicronutrients(entry) {
+  const items = [];
+  if (!entry || typeof entry !== "object") return items;
+
+  for (const [column, raw] of Object.entries(entry)) {
+    const match = /^(.+?)\s*\(([^()]+)\)$/.exec(column);
+    if (!match) continue;
+    const label = match[1].trim();
+    const unit = normalizeUnit(match[2]);
+    if (!unit || MACRO_LABELS.has(label.toLowerCase())) continue;
+    const amount = toNumber(raw);
+    if (amount === null) continue;
+
+    const known = CATALOG_BY_LABEL.get(label.toLowerCase());
+    const converted = known ? convertAmount(amount, unit, known.unit, known.id) : null;
+    if (known && converted !== null) {
+      items.push({
+        id: known.id,
+        name: known.name,
+        category: known.category,
+        unit: known.unit,
+        column,
+        amount: converted,
+      });
+    } else {
+      items.push({ id: slugify(label), name: label, category: "other", unit, column, amount });
+    }
+  }
+  return items;
+}
+
+function pickForAge(value, sex, age) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === "number") return value;
+  const pick = (brackets) => brackets.find(([maxAge]) => age <= maxAge)?.[1] ?? null;
+  if (Array.isArray(value)) return pick(value);
+  if (sex) return pick(value[sex]);
+  // Sex not configured: the larger reference, so shortfalls are not missed.
+  return Math.max(...SEXES.map((candidate) => pick(value[candidate])));
+}
+
+/**
+ * Reference intake and upper limit per nutrient id for the given sex and
+ * age. `overrides` maps ids to `{ reference, upperLimit }` and also covers
+ * nutrients outside the catalog.
+ */
+export function resolveReferences({ sex = null, age = DEFAULT_AGE, overrides = {} } = {}) {
+  const references = new Map();
+  for (const nutrient of MICRONUTRIENTS) {
+    references.set(nutrient.id, {
+      reference: pickForAge(nutrient.reference, sex, age),
+      kind: nutrient.kind,
+      upperLimit: pickForAge(nutrient.upperLimit, sex, age),
+      source: "dri",
+    });
+  }
+  for (const [id, override] of Object.entries(overrides || {})) {
+    const base = references.get(id) || { reference: null, kind: null, upperLimit: null };
+    references.set(id, {
+      reference: override.reference ?? base.reference,
+      kind: override.reference !== undefined ? "override" : base.kind,
+      upperLimit: override.upperLimit ?? base.upperLimit,
+      source: "override",
+    });
+  }
+  return references;
+}
+
+/**
+ * Per-day and average intake against the references. A nutrient is a
+ * chronic shortfall when its average is under `shortfallPercent` of the
+ * reference and at least half of the days were too.
+ */
+export function summarizeMicronutrients(days, references, { shortfallPercent = 70 } = {}) {
+  const totals = new Map();
+  const perDay = days.map(({ date, items }) => {
+    const nutrients = {};
+    for (const item of items) {
+      const ref = references.get(item.id) || {};
+      const percent = ref.reference ? (item.amount / ref.reference) * 100 : null;
+      const overUpperLimit = ref.upperLimit ? item.amount > ref.upperLimit : false;
+      nutrients[item.id] = {
+        amount: round(item.amount, 2),
+        percentOfReference: round(percent),
+        overUpperLimit,
+      };
+
+      const total = totals.get(item.id) || {
+        item,
+        sum: 0,
+        days: 0,
+        daysBelowShortfall: 0,
+        daysOverUpperLimit: [],
+      };
+      total.sum += item.amount;
+      total.days += 1;
+      if (percent !== null && percent < shortfallPercent) total.daysBelowShortfall += 1;
+      if (overUpperLimit) total.daysOverUpperLimit.push(date);
+      totals.set(item.id, total);
+    }
+    return { date, nutrients };
+  });
+
+  const nutrients = Array.from(totals.values()).map((total) => {
+    const { item } = total;
+    const ref = references.get(item.id) || {};
+    const average = total.sum / total.days;
+    const averagePercent = ref.reference ? (average / ref.reference) * 100 : null;
+    return {
+      id: item.id,
+      name: item.name,
+      category: item.category,
+      unit: item.unit,
+      column: item.column,
+      reference: ref.reference ?? null,
+      referenceKind: ref.kind ?? null,
+      upperLimit: ref.upperLimit ?? null,
+      referenceSource: ref.reference || ref.upperLimit ? ref.source : null,
+      daysReported: total.days,
+      averageAmount: round(average, 2),
+      averagePercentOfReference: round(averagePercent),
+      daysBelowShortfall: total.daysBelowShortfall,
+      chronicShortfall:
+        averagePercent !== null &&
+        averagePercent < shortfallPercent &&
+        total.daysBelowShortfall * 2 >= total.days,
+      daysOverUpperLimit: total.daysOverUpperLimit,
+    };
+  });
+
+  const order = (nutrient) => {
+    const index = MICRONUTRIENTS.findIndex((known) => known.id === nutrient.id);
+    return index === -1 ? MICRONUTRIENTS.length : index;
+  };
+  nutrients.sort((a, b) => order(a) - order(b) || a.name.localeCompare(b.name));
+
+  return {
+    nutrients,
+    perDay,
+    chronicShortfalls: nutrients.filter((n) => n.chronicShortfall).map((n) => n.id),
+    overUpperLimit: nutrients
+      .filter((n) => n.daysOverUpperLimit.length > 0)
+      .map((n) => ({ id: n.id, days: n.daysOverUpperLimit.length, dates: n.daysOverUpperLimit })),
+  };
+}
@@ -0,0 +1,296 @@
+// A small JSON Schema subset (type, enum, pattern, length/range bounds,
+// properties/required/additionalProperties, items, allOf, $ref into
+// components) shared by request validation and the OpenAPI 3.1 document.
+// "x-format-hint" on a pattern is used in error messages.
+
+const BOOLEAN_STRINGS = new Map([
+  ["true", true],
+  ["1", true],
+  ["yes", true],
+  ["on", true],
+  ["false", false],
+  ["0", false],
+  ["no", false],
+  ["off", false],
+]);
+
+const TYPE_NAMES = {
+  string: "a string",
+  number: "a number",
+  integer: "an integer",
+  boolean: "a boolean",
+  object: "an object",
+  array: "an array",
+  null: "null",
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+function matchesType(expected, value) {
+  const actual = typeOf(value);
+  if (expected === actual) return true;
+  return expected === "number" && actual === "integer";
+}
+
+function resolveRef(schema, components) {
+  if (!schema?.$ref) return schema;
+  const name = schema.$ref.replace("#/components/schemas/", "");
+  const resolved = components?.[name];
+  if (!resolved) throw new Error(`Unknown schema reference ${schema.$ref}`);
+  return resolved;
+}
+
+export function validateValue(rawSchema, value, { path = "", components = {} } = {}) {
+  const schema = resolveRef(rawSchema, components);
+  const errors = [];
+  const at = path || "value";
+  const fail = (message) => errors.push({ path: at, message });
+
+  for (const part of schema.allOf || []) {
+    errors.push(...validateValue(part, value, { path, components }));
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(type, value))) {
+      fail(`must be ${types.map((type) => TYPE_NAMES[type] || type).join(" or ")}`);
+      return errors;
+    }
+  }
+  if (value === null) return errors;
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map(String).join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(schema["x-format-hint"] ? `must be ${schema["x-format-hint"]}` : `must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(`must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateValue(schema.items, item, { path: `${at}[${index}]`, components }));
+      });
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ path: path ? `${path}.${name}` : name, message: "is required" });
+      }
+    }
+    for (const [name, child] of Object.entries(value)) {
+      const childPath = path ? `${path}.${name}` : name;
+      if (properties[name]) {
+        if (child !== undefined) {
+          errors.push(...validateValue(properties[name], child, { path: childPath, components }));
+        }
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath, message: "is not allowed" });
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(
+          ...validateValue(schema.additionalProperties, child, { path: childPath, components })
+        );
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Query and path parameters arrive as strings; coerce them to the declared
+// type before validating so `days=7` satisfies `type: integer`.
+function coerceParameter(schema, raw) {
+  if (Array.isArray(raw)) return { error: "must not be repeated" };
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+  if (type === "integer" || type === "number") {
+    const trimmed = String(raw).trim();
+    const parsed = trimmed === "" ? Number.NaN : Number(trimmed);
+    if (!Number.isFinite(parsed)) return { error: `must be ${type === "integer" ? "an integer" : "a number"}` };
+    return { value: parsed };
+  }
+  if (type === "boolean") {
+    const parsed = BOOLEAN_STRINGS.get(String(raw).toLowerCase().trim());
+    if (parsed === undefined) return { error: "must be true or false" };
+    return { value: parsed };
+  }
+  return { value: String(raw).trim() };
+}
+
+export function validateParameters(parameters, input, location) {
+  const errors = [];
+  for (const [name, definition] of Object.entries(parameters || {})) {
+    const raw = input?.[name];
+    if (raw === undefined || raw === "") {
+      if (definition.required) errors.push({ in: location, path: name, message: "is required" });
+      continue;
+    }
+    const coerced = coerceParameter(definition.schema, raw);
+    if (coerced.error) {
+      errors.push({ in: location, path: name, message: coerced.error });
+      continue;
+    }
+    for (const error of validateValue(definition.schema, coerced.value, { path: name })) {
+      errors.push({ in: location, ...error });
+    }
+  }
+  return errors;
+}
+
+export function validateRequestAgainst(route, req, components) {
+  const errors = [
+    ...validateParameters(route.params, req.params, "path"),
+    ...validateParameters(route.query, req.query, "query"),
+  ];
+  if (route.headers) {
+    const headers = {};
+    for (const name of Object.keys(route.headers)) headers[name] = req.get(name);
+    errors.push(...validateParameters(route.headers, headers, "header"));
+  }
+  if (route.body) {
+    const body = req.body === undefined ? {} : req.body;
+    for (const error of validateValue(route.body, body, { components })) {
+      errors.push({ in: "body", ...error });
+    }
+  }
+  return errors;
+}
+
+export function describeValidationErrors(errors) {
+  const first = errors[0];
+  const summary = `${first.in}${first.path && first.path !== "value" ? `.${first.path}` : ""} ${first.message}`;
+  return errors.length > 1
+    ? `Invalid request: ${summary} (and ${errors.length - 1} more)`
+    : `Invalid request: ${summary}`;
+}
+
+function toOpenApiPath(routePath) {
+  return routePath.replace(/:([A-Za-z0-9_]+)/g, "{$1}");
+}
+
+function buildParameters(definitions, location) {
+  return Object.entries(definitions || {}).map(([name, definition]) => ({
+    name,
+    in: location,
+    required: location === "path" ? true : Boolean(definition.required),
+    description: definition.description,
+    schema: definition.schema,
+    ...(definition.example !== undefined ? { example: definition.example } : {}),
+  }));
+}
+
+function buildResponses(route) {
+  const responses = {};
+  for (const [status, response] of Object.entries(route.responses)) {
+    responses[status] = {
+      description: response.description,
+      content: {
+        [response.contentType || "application/json"]: { schema: response.schema },
+      },
+    };
+  }
+  const errorResponse = (description) => ({
+    description,
+    content: { "application/json": { schema: { $ref: "#/components/schemas/Error" } } },
+  });
+  responses["400"] ??= errorResponse("Invalid request");
+  responses["401"] ??= errorResponse("Missing, unknown, expired or revoked API key");
+  responses["403"] ??= errorResponse("API key lacks the required scope");
+  responses.default ??= errorResponse("Error");
+  return responses;
+}
+
+export function buildOpenApiDocument({ routes, components, version, scopeFor }) {
+  const paths = {};
+  for (const route of routes) {
+    const openApiPath = toOpenApiPath(route.path);
+    const scope = scopeFor(route);
+    paths[openApiPath] ??= {};
+    paths[openApiPath][route.method.toLowerCase()] = {
+      operationId: route.operationId,
+      summary: route.summary,
+      ...(route.description ? { description: route.description } : {}),
+      tags: route.tags,
+      "x-required-scope": scope,
+      parameters: [
+        ...buildParameters(route.params, "path"),
+        ...buildParameters(route.query, "query"),
+        ...buildParameters(route.headers, "header"),
+      ],
+      ...(route.body
+        ? {
+            requestBody: {
+              required: Boolean(route.bodyRequired),
+              content: { "application/json": { schema: route.body } },
+            },
+          }
+        : {}),
+      responses: buildResponses(route),
+    };
+  }
+
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "crono-api",
+      version,
+      description: "LAN API wrapper for @milldr/crono (Cronometer).",
+    },
+    security: [{ apiKeyHeader: [] }, { bearerAuth: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        apiKeyHeader: { type: "apiKey", in: "header", name: "x-api-key" },
+        bearerAuth: { type: "http", scheme: "bearer" },
+      },
+      schemas: components,
+    },
+  };
+}
+
+export function listEndpoints({ routes, scopeFor }) {
+  const grouped = {};
+  for (const route of routes) {
+    const query = Object.entries(route.query || {})
+      .filter(([, definition]) => definition.example !== undefined)
+      .map(([name, definition]) => `${name}=${definition.example}`);
+    const line = `${route.method} ${toOpenApiPath(route.path)}${query.length > 0 ? `?${query.join("&")}` : ""}`;
+    const scope = scopeFor(route);
+    (grouped[scope] ??= []).push(line);
+  }
+  return grouped;
+}
@@ -0,0 +1,158 @@
+import path from "node:path";
+import { findMatchingHash, hashApiKey } from "./api-keys.js";
+import {
+  createWriteQueue,
+  readJsonFile,
+  resolveDataDir,
+  writeJsonFileAtomic,
+} from "./storage.js";
+
+export const DEFAULT_PROFILE_ID = "default";
+const PROFILE_ID_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const CREDENTIAL_FIELDS = ["cronometerEmail", "cronometerPassword", "kernelApiKey"];
+
+function optionalString(value) {
+  return typeof value === "string" && value.trim() !== "" ? value.trim() : null;
+}
+
+function buildDefaultProfile(raw) {
+  const apiKey = optionalString(raw.CRONO_API_KEY);
+  return {
+    id: DEFAULT_PROFILE_ID,
+    isDefault: true,
+    apiKeys: apiKey ? [apiKey] : [],
+    cronometerEmail: optionalString(raw.CRONO_CRONOMETER_EMAIL),
+    cronometerPassword: optionalString(raw.CRONO_CRONOMETER_PASSWORD),
+    kernelApiKey: optionalString(raw.CRONO_KERNEL_API_KEY) || optionalString(raw.KERNEL_API_KEY),
+    home: optionalString(raw.HOME),
+    // The default profile keeps the pre-profile cache keys and data paths.
+    cacheNamespace: "",
+    dataDir: resolveDataDir(raw),
+  };
+}
+
+function buildNamedProfile(entry, raw) {
+  const id = optionalString(entry?.id)?.toLowerCase() || "";
+  if (!PROFILE_ID_RE.test(id)) {
+    throw new Error(
+      `Invalid profile id "${entry?.id}" (use 1-40 lowercase letters, digits, - or _)`
+    );
+  }
+  if (id === DEFAULT_PROFILE_ID) {
+    throw new Error(`Profile id "${DEFAULT_PROFILE_ID}" is reserved for the .env profile`);
+  }
+
+  const apiKeys = Array.isArray(entry.apiKeys)
+    ? entry.apiKeys.map(optionalString).filter(Boolean)
+    : [];
+  const dataDir = path.join(resolveDataDir(raw), "profiles", id);
+  return {
+    id,
+    isDefault: false,
+    apiKeys,
+    cronometerEmail: optionalString(entry.cronometerEmail),
+    cronometerPassword: optionalString(entry.cronometerPassword),
+    kernelApiKey: optionalString(entry.kernelApiKey),
+    home: optionalString(entry.home) || path.join(dataDir, "home"),
+    cacheNamespace: id,
+    dataDir,
+  };
+}
+
+export function resolveProfilesFile(raw = process.env) {
+  return (
+    optionalString(raw.CRONO_PROFILES_FILE) ||
+    path.join(resolveDataDir(raw), "profiles.json")
+  );
+}
+
+export async function loadProfileRegistry(raw = process.env) {
+  const filePath = resolveProfilesFile(raw);
+  const stored = await readJsonFile(filePath, null);
+  const entries = Array.isArray(stored?.profiles) ? stored.profiles : [];
+
+  const profiles = new Map();
+  const defaultProfile = buildDefaultProfile(raw);
+  profiles.set(defaultProfile.id, defaultProfile);
+
+  const keyOwners = new Map();
+  for (const key of defaultProfile.apiKeys) keyOwners.set(key, defaultProfile.id);
+
+  for (const entry of entries) {
+    const profile = buildNamedProfile(entry, raw);
+    if (profiles.has(profile.id)) {
+      throw new Error(`Duplicate profile id "${profile.id}" in ${filePath}`);
+    }
+    for (const key of profile.apiKeys) {
+      if (keyOwners.has(key)) {
+        throw new Error(
+          `API key for profile "${profile.id}" is already used by profile "${keyOwners.get(key)}"`
+        );
+      }
+      keyOwners.set(key, profile.id);
+    }
+    profiles.set(profile.id, profile);
+  }
+
+  // Config keys are only held as hashes and matched in constant time.
+  const keyHashes = Array.from(keyOwners, ([key, profileId]) => ({
+    hash: hashApiKey(key),
+    profileId,
+  }));
+  const enqueueWrite = createWriteQueue();
+
+  // Rewrites the profile's entry in the profiles file, re-read first so
+  // hand edits to other entries are kept.
+  function persistCredentials(profile) {
+    return enqueueWrite(async () => {
+      const current = await readJsonFile(filePath, null);
+      const list = Array.isArray(current?.profiles) ? current.profiles : [];
+      const entry = list.find((item) => optionalString(item?.id)?.toLowerCase() === profile.id);
+      if (!entry) throw new Error(`Profile "${profile.id}" is no longer in ${filePath}`);
+      for (const field of CREDENTIAL_FIELDS) entry[field] = profile[field];
+      await writeJsonFileAtomic(filePath, { ...current, profiles: list });
+    });
+  }
+
+  return {
+    filePath,
+    defaultProfile,
+    get(id) {
+      return profiles.get(id) || null;
+    },
+    list() {
+      return Array.from(profiles.values());
+    },
+    findByApiKey(key) {
+      const owner = findMatchingHash(hashApiKey(key), keyHashes, (item) => item.hash);
+      return owner ? profiles.get(owner.profileId) : null;
+    },
+    hasApiKeys() {
+      return keyHashes.length > 0;
+    },
+    // Named profiles keep new credentials in the profiles file, so the
+    // startup sync restores these rather than the old ones. The default
+    // profile's come from .env, which is never written.
+    async updateCredentials(id, credentials) {
+      const profile = profiles.get(id);
+      if (!profile) throw new Error(`Unknown profile "${id}"`);
+      const changed = CREDENTIAL_FIELDS.filter(
+        (field) => credentials[field] !== undefined && credentials[field] !== profile[field]
+      );
+      for (const field of changed) profile[field] = credentials[field];
+      if (changed.length > 0 && !profile.isDefault) await persistCredentials(profile);
+      return changed;
+    },
+  };
+}
+
+export function describeProfile(profile) {
+  return {
+    id: profile.id,
+    isDefault: profile.isDefault,
+    cronometerEmail: profile.cronometerEmail,
+    hasCronometerPassword: Boolean(profile.cronometerPassword),
+    hasKernelApiKey: Boolean(profile.kernelApiKey),
+    apiKeyCount: profile.apiKeys.length,
+  };
+}
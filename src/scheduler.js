@@ -0,0 +1,304 @@
+import path from "node:path";
+import { nextCronTime, parseCronExpression } from "./cron.js";
+import { DEFAULT_PROFILE_ID } from "./profiles.js";
+import {
+  createWriteQueue,
+  readJsonFile,
+  resolveDataDir,
+  writeJsonFileAtomic,
+} from "./storage.js";
+
+const SCHEDULE_ID_RE = /^[a-z0-9][a-z0-9_-]{0,59}$/;
+
+function optionalString(value) {
+  return typeof value === "string" && value.trim() !== "" ? value.trim() : null;
+}
+
+function describeError(error) {
+  return {
+    message: error instanceof Error ? error.message : String(error),
+    status: Number.isInteger(error?.status) ? error.status : 500,
+    details: error?.extra ?? null,
+  };
+}
+
+const RESULT_SUMMARY_DEPTH = 3;
+
+// What a run keeps of its task's result: scalars as they are, arrays as
+// their length, and nested objects down to RESULT_SUMMARY_DEPTH. An export
+// warm-up keeps its row count, range and cache source rather than its rows.
+function summarizeResult(value, depth = 0) {
+  if (Array.isArray(value)) return { count: value.length };
+  if (value === null || typeof value !== "object") return value ?? null;
+  if (depth >= RESULT_SUMMARY_DEPTH) return undefined;
+  const summary = {};
+  for (const [key, child] of Object.entries(value)) {
+    const summarized = summarizeResult(child, depth + 1);
+    if (summarized !== undefined) summary[key] = summarized;
+  }
+  return summary;
+}
+
+function buildSchedule(entry, origin) {
+  const id = optionalString(entry?.id)?.toLowerCase() || "";
+  if (!SCHEDULE_ID_RE.test(id)) {
+    throw new Error(
+      `Invalid schedule id "${entry?.id}" in ${origin} (use 1-60 lowercase letters, digits, - or _)`
+    );
+  }
+  let cron;
+  try {
+    cron = parseCronExpression(entry.cron);
+  } catch (error) {
+    throw new Error(`Schedule "${id}" in ${origin}: invalid cron "${entry.cron}": ${error.message}`);
+  }
+  const task = optionalString(entry.task);
+  if (!task) throw new Error(`Schedule "${id}" in ${origin}: task is required`);
+  const params = entry.params ?? {};
+  if (typeof params !== "object" || Array.isArray(params)) {
+    throw new Error(`Schedule "${id}" in ${origin}: params must be an object`);
+  }
+  return {
+    id,
+    cron,
+    task,
+    params,
+    profileId: optionalString(entry.profile)?.toLowerCase() || DEFAULT_PROFILE_ID,
+    enabled: entry.enabled !== false,
+    description: optionalString(entry.description),
+    origin,
+  };
+}
+
+export function resolveSchedulesFile(raw = process.env) {
+  return (
+    optionalString(raw.CRONO_SCHEDULES_FILE) ||
+    path.join(resolveDataDir(raw), "schedules.json")
+  );
+}
+
+/**
+ * Reads schedules from the CRONO_SCHEDULES env var (a JSON array) and from
+ * `{ "schedules": [...] }` in the schedules file. Both use the same entry
+ * shape; an id may only be defined once. Invalid entries fail startup, like
+ * a broken profiles.json, rather than silently never running.
+ */
+export async function loadScheduleConfig(raw = process.env) {
+  const filePath = resolveSchedulesFile(raw);
+  const sources = [];
+
+  const inline = optionalString(raw.CRONO_SCHEDULES);
+  if (inline) {
+    let parsed;
+    try {
+      parsed = JSON.parse(inline);
+    } catch (error) {
+      throw new Error(`CRONO_SCHEDULES is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(parsed)) throw new Error("CRONO_SCHEDULES must be a JSON array");
+    sources.push(["CRONO_SCHEDULES", parsed]);
+  }
+  const stored = await readJsonFile(filePath, null);
+  if (stored !== null) {
+    if (!Array.isArray(stored?.schedules)) {
+      throw new Error(`${filePath} must contain a "schedules" array`);
+    }
+    sources.push([filePath, stored.schedules]);
+  }
+
+  const schedules = new Map();
+  for (const [origin, entries] of sources) {
+    for (const entry of entries) {
+      const schedule = buildSchedule(entry, origin);
+      if (schedules.has(schedule.id)) {
+        throw new Error(`Duplicate schedule id "${schedule.id}" in ${origin}`);
+      }
+      schedules.set(schedule.id, schedule);
+    }
+  }
+  return { filePath, schedules: Array.from(schedules.values()) };
+}
+
+/**
+ * Runs each schedule's task when its cron expression comes due. Missed
+ * times (server down, or the previous run still going) are skipped, not
+ * caught up. The last run of every schedule is persisted to `filePath`.
+ */
+export function createScheduler({
+  filePath,
+  schedules,
+  tasks,
+  onPersistError = () => {},
+  onRunFailed = () => {},
+}) {
+  for (const schedule of schedules) {
+    if (!Object.prototype.hasOwnProperty.call(tasks, schedule.task)) {
+      throw new Error(
+        `Schedule "${schedule.id}": unknown task "${schedule.task}" (tasks: ${Object.keys(tasks).join(", ")})`
+      );
+    }
+  }
+
+  const byId = new Map(schedules.map((schedule) => [schedule.id, schedule]));
+  const runs = new Map();
+  const running = new Map();
+  const nextRunAt = new Map();
+  const enqueueWrite = createWriteQueue();
+  let timer = null;
+
+  function persist() {
+    const snapshot = Object.fromEntries(runs);
+    return enqueueWrite(() => writeJsonFileAtomic(filePath, { runs: snapshot })).catch(
+      onPersistError
+    );
+  }
+
+  async function load() {
+    const stored = await readJsonFile(filePath, null);
+    runs.clear();
+    for (const [id, run] of Object.entries(stored?.runs || {})) {
+      if (byId.has(id) && run && typeof run === "object") runs.set(id, run);
+    }
+    return runs.size;
+  }
+
+  async function execute(schedule, trigger) {
+    const startedAt = Date.now();
+    const previous = runs.get(schedule.id) || { runCount: 0, failureCount: 0 };
+    let result = null;
+    let error = null;
+    try {
+      result = await tasks[schedule.task](schedule.params, {
+        profileId: schedule.profileId,
+        scheduleId: schedule.id,
+        onStatus: () => {},
+      });
+    } catch (caught) {
+      error = describeError(caught);
+    }
+    const finishedAt = Date.now();
+    const run = {
+      lastRunAt: new Date(startedAt).toISOString(),
+      lastFinishedAt: new Date(finishedAt).toISOString(),
+      lastDurationMs: finishedAt - startedAt,
+      lastStatus: error ? "failed" : "succeeded",
+      lastTrigger: trigger,
+      lastError: error,
+      lastResult: error ? null : summarizeResult(result),
+      lastSuccessAt: error ? previous.lastSuccessAt ?? null : new Date(finishedAt).toISOString(),
+      runCount: previous.runCount + 1,
+      failureCount: previous.failureCount + (error ? 1 : 0),
+    };
+    runs.set(schedule.id, run);
+    await persist();
+    if (error) onRunFailed(schedule, run);
+    return run;
+  }
+
+  // Returns null when the schedule is already running; the caller decides
+  // whether that is an error.
+  function trigger(id, { reason = "manual" } = {}) {
+    const schedule = byId.get(id);
+    if (!schedule || running.has(id)) return null;
+    const startedAt = new Date().toISOString();
+    const promise = execute(schedule, reason).finally(() => running.delete(id));
+    running.set(id, { startedAt, trigger: reason, promise });
+    return promise;
+  }
+
+  function planNext(schedule, from = new Date()) {
+    const next = schedule.enabled ? nextCronTime(schedule.cron, from) : null;
+    if (next) nextRunAt.set(schedule.id, next.getTime());
+    else nextRunAt.delete(schedule.id);
+  }
+
+  function tick() {
+    const now = Date.now();
+    for (const schedule of schedules) {
+      const due = nextRunAt.get(schedule.id);
+      if (due === undefined || due > now) continue;
+      trigger(schedule.id, { reason: "schedule" });
+      planNext(schedule, new Date(now));
+    }
+    arm();
+  }
+
+  function arm() {
+    clearTimeout(timer);
+    const upcoming = Array.from(nextRunAt.values());
+    if (upcoming.length === 0) return;
+    // Timers drift and cap out at ~24.8 days, so wake at least hourly.
+    const delayMs = Math.min(Math.max(0, Math.min(...upcoming) - Date.now()), 3600000);
+    timer = setTimeout(tick, delayMs);
+    timer.unref();
+  }
+
+  function start() {
+    for (const schedule of schedules) planNext(schedule);
+    arm();
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  function describe(schedule, { includeResult = false } = {}) {
+    const { lastResult, ...run } = runs.get(schedule.id) || {};
+    const current = running.get(schedule.id);
+    const next = nextRunAt.get(schedule.id);
+    return {
+      id: schedule.id,
+      cron: schedule.cron.source,
+      task: schedule.task,
+      params: schedule.params,
+      profileId: schedule.profileId,
+      enabled: schedule.enabled,
+      description: schedule.description,
+      source: schedule.origin,
+      nextRunAt: next === undefined ? null : new Date(next).toISOString(),
+      running: current ? { startedAt: current.startedAt, trigger: current.trigger } : null,
+      lastRun: Object.keys(run).length > 0 ? run : null,
+      ...(includeResult ? { lastResult: lastResult ?? null } : {}),
+    };
+  }
+
+  function list({ profileId }) {
+    return schedules
+      .filter((schedule) => schedule.profileId === profileId)
+      .map((schedule) => describe(schedule));
+  }
+
+  function get(id, { profileId }) {
+    const schedule = byId.get(id);
+    if (!schedule || schedule.profileId !== profileId) return null;
+    return describe(schedule, { includeResult: true });
+  }
+
+  function isRunning(id) {
+    return running.has(id);
+  }
+
+  function stats() {
+    const counts = { succeeded: 0, failed: 0 };
+    for (const run of runs.values()) counts[run.lastStatus] = (counts[run.lastStatus] || 0) + 1;
+    return {
+      schedules: schedules.length,
+      enabled: schedules.filter((schedule) => schedule.enabled).length,
+      running: running.size,
+      lastStatus: counts,
+    };
+  }
+
+  return {
+    load,
+    start,
+    stop,
+    trigger,
+    list,
+    get,
+    isRunning,
+    stats,
+    tasks: Object.keys(tasks),
+  };
+}
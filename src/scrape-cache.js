@@ -0,0 +1,105 @@
+import { createWriteQueue, readJsonFile, writeJsonFileAtomic } from "./storage.js";
+
+function hasBurnData(entry) {
+  return (
+    (entry?.resolvedBurnedTotal || 0) > 0 ||
+    (entry?.componentTotal || 0) > 0 ||
+    Number.isFinite(entry?.energyBurned)
+  );
+}
+
+function isLive(cached, now) {
+  return Boolean(cached) && now <= cached.expiresAt;
+}
+
+export function createScrapeCache({
+  filePath,
+  ttlMs,
+  onPersistError = () => {},
+}) {
+  let entries = {};
+  const enqueueWrite = createWriteQueue();
+  const stats = { hits: 0, misses: 0, writes: 0, invalidations: 0 };
+
+  // Drops expired dates; they would only be scraped again anyway.
+  function prune(now = Date.now()) {
+    let removed = 0;
+    for (const [date, cached] of Object.entries(entries)) {
+      if (!isLive(cached, now)) {
+        delete entries[date];
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  function persist() {
+    prune();
+    const snapshot = entries;
+    return enqueueWrite(() => writeJsonFileAtomic(filePath, { entries: snapshot })).catch(
+      onPersistError
+    );
+  }
+
+  async function load() {
+    const stored = await readJsonFile(filePath, null);
+    entries = stored?.entries && typeof stored.entries === "object" ? stored.entries : {};
+    if (prune() > 0) await persist();
+    return Object.keys(entries).length;
+  }
+
+  function lookup(dates) {
+    const now = Date.now();
+    const hits = [];
+    const missing = [];
+    for (const date of dates) {
+      const cached = entries[date];
+      if (isLive(cached, now)) {
+        hits.push(cached.entry);
+      } else {
+        missing.push(date);
+      }
+    }
+    stats.hits += hits.length;
+    stats.misses += missing.length;
+    return { hits, missing };
+  }
+
+  function store(scrapedEntries) {
+    const now = Date.now();
+    let stored = 0;
+    for (const entry of scrapedEntries) {
+      if (typeof entry?.date !== "string" || !hasBurnData(entry)) continue;
+      if (entry.dateVerified === false) continue;
+      entries[entry.date] = { entry, cachedAt: now, expiresAt: now + ttlMs };
+      stored += 1;
+    }
+    if (stored > 0) {
+      stats.writes += stored;
+      persist();
+    }
+    return stored;
+  }
+
+  function invalidate(dates = null) {
+    const targets = dates === null ? Object.keys(entries) : dates;
+    const removed = [];
+    for (const date of targets) {
+      if (Object.prototype.hasOwnProperty.call(entries, date)) {
+        delete entries[date];
+        removed.push(date);
+      }
+    }
+    if (removed.length > 0) {
+      stats.invalidations += removed.length;
+      persist();
+    }
+    return removed;
+  }
+
+  function getStats() {
+    return { entries: Object.keys(entries).length, ttlMs, ...stats };
+  }
+
+  return { load, lookup, store, invalidate, stats: getStats };
+}
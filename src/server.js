@@ -1,8 +1,68 @@
 import express from "express";
 import { spawn } from "node:child_process";
+import { randomUUID } from "node:crypto";
 import { readFile } from "node:fs/promises";
-import { syncCredentials } from "./credentials-sync.js";
-import { scrapeEnergySummaryForDates } from "./energy-scrape.js";
+import path from "node:path";
+import { estimateAdaptiveTdee, KCAL_PER_WEIGHT_UNIT } from "./adaptive-tdee.js";
+import { scoreDay, summarizeWeeks } from "./adherence.js";
+import {
+  API_KEY_SCOPES,
+  createApiKeyRegistry,
+  normalizeScopes,
+} from "./api-keys.js";
+import { COMPONENT_SCHEMAS, JOB_PARAMS, ROUTES } from "./api-schema.js";
+import { createAuditLog, redactArgs, sanitizeBody, truncateOutput } from "./audit-log.js";
+import { createCommandCache } from "./command-cache.js";
+import { createCommandQueue, QueueFullError } from "./command-queue.js";
+import { syncCredentials, syncCredentialsInHome } from "./credentials-sync.js";
+import {
+  addDays,
+  formatLocalDate,
+  isIsoDate,
+  resolveDateWindow,
+} from "./dates.js";
+import {
+  getScrapeSessionStatus,
+  resetScrapeSession,
+  scrapeEnergySummaryForDates,
+} from "./energy-scrape.js";
+import { createFoodLibrary } from "./food-library.js";
+import { projectGoal, projectGoalRange, weeklyTrendRates } from "./goal-projection.js";
+import { createIdempotencyStore, fingerprintRequest } from "./idempotency.js";
+import { createJobRunner } from "./jobs.js";
+import { logger, runWithLogContext } from "./logger.js";
+import { metrics } from "./metrics.js";
+import {
+  DEFAULT_AGE,
+  parseMicronutrients,
+  resolveReferences,
+  summarizeMicronutrients,
+} from "./micronutrients.js";
+import {
+  buildOpenApiDocument,
+  describeValidationErrors,
+  listEndpoints,
+  validateParameters,
+  validateRequestAgainst,
+  validateValue,
+} from "./openapi.js";
+import {
+  DEFAULT_PROFILE_ID,
+  describeProfile,
+  loadProfileRegistry,
+} from "./profiles.js";
+import { createScheduler, loadScheduleConfig } from "./scheduler.js";
+import { createScrapeCache } from "./scrape-cache.js";
+import { resolveDataPath } from "./storage.js";
+import { createTargetsStore, hasAnyTargets, resolveDayTargets } from "./targets.js";
+import {
+  createTemplateStore,
+  templateOperations,
+  validateTemplateItems,
+} from "./templates.js";
+import { createWarehouse } from "./warehouse.js";
+import { createWebhookDispatcher, WEBHOOK_EVENTS } from "./webhooks.js";
+import { computeWeightTrend } from "./weight-trend.js";
 
 const APP_VERSION = "0.1.0";
 
@@ -14,6 +74,12 @@ function parseEnvInt(name, fallback, { min = 1, max = Number.MAX_SAFE_INTEGER }
   return Math.min(max, Math.max(min, parsed));
 }
 
+function parseEnvBool(name, fallback) {
+  const raw = process.env[name];
+  if (typeof raw !== "string" || raw.trim() === "") return fallback;
+  return raw.toLowerCase().trim() === "true";
+}
+
 const PORT = parseInt(process.env.CRONO_PORT || "8080", 10);
 const HOST = process.env.CRONO_HOST || "0.0.0.0";
 const CLI_TIMEOUT_MS = parseInt(process.env.CRONO_CLI_TIMEOUT_MS || "180000", 10);
@@ -46,20 +112,283 @@ const EXPORT_CACHE_MAX_ENTRIES = parseEnvInt(
   256,
   { min: 1, max: 5000 }
 );
+const EXPORT_CACHE_PERSIST = parseEnvBool("CRONO_EXPORT_CACHE_PERSIST", true);
+const CLI_CONCURRENCY = parseEnvInt("CRONO_CLI_CONCURRENCY", 2, {
+  min: 1,
+  max: 16,
+});
+const CLI_QUEUE_MAX = parseEnvInt("CRONO_CLI_QUEUE_MAX", 100, {
+  min: 1,
+  max: 10000,
+});
+const JOBS_CONCURRENCY = parseEnvInt("CRONO_JOBS_CONCURRENCY", 1, {
+  min: 1,
+  max: 8,
+});
+const JOBS_RETENTION_MS = parseEnvInt("CRONO_JOBS_RETENTION_MS", 604800000, {
+  min: 60000,
+  max: 7776000000,
+});
+const SCRAPE_CACHE_TTL_MS = parseEnvInt("CRONO_SCRAPE_CACHE_TTL_MS", 1209600000, {
+  min: 60000,
+  max: 31536000000,
+});
+const IDEMPOTENCY_TTL_MS = parseEnvInt("CRONO_IDEMPOTENCY_TTL_MS", 86400000, {
+  min: 60000,
+  max: 2592000000,
+});
+const AUDIT_MAX_BYTES = parseEnvInt("CRONO_AUDIT_MAX_BYTES", 10485760, {
+  min: 65536,
+  max: 10737418240,
+});
+const AUDIT_MAX_FILES = parseEnvInt("CRONO_AUDIT_MAX_FILES", 3, {
+  min: 1,
+  max: 100,
+});
+const WEBHOOK_MAX_ATTEMPTS = parseEnvInt("CRONO_WEBHOOK_MAX_ATTEMPTS", 8, {
+  min: 1,
+  max: 20,
+});
+const WEBHOOK_BASE_DELAY_MS = parseEnvInt("CRONO_WEBHOOK_BASE_DELAY_MS", 10000, {
+  min: 100,
+  max: 3600000,
+});
+const WEBHOOK_MAX_DELAY_MS = parseEnvInt("CRONO_WEBHOOK_MAX_DELAY_MS", 3600000, {
+  min: 100,
+  max: 86400000,
+});
+const WEBHOOK_TIMEOUT_MS = parseEnvInt("CRONO_WEBHOOK_TIMEOUT_MS", 10000, {
+  min: 1000,
+  max: 120000,
+});
+const WEBHOOK_DAILY_SUMMARY_HOUR = parseEnvInt("CRONO_WEBHOOK_DAILY_SUMMARY_HOUR", 6, {
+  min: 0,
+  max: 23,
+});
+const WAREHOUSE_ENABLED = parseEnvBool("CRONO_WAREHOUSE_ENABLED", true);
+const WAREHOUSE_SYNC_INTERVAL_MS = parseEnvInt(
+  "CRONO_WAREHOUSE_SYNC_INTERVAL_MS",
+  21600000,
+  { min: 60000, max: 604800000 }
+);
+const WAREHOUSE_SYNC_DAYS = parseEnvInt("CRONO_WAREHOUSE_SYNC_DAYS", 14, {
+  min: 1,
+  max: 366,
+});
+const WAREHOUSE_MUTABLE_DAYS = parseEnvInt("CRONO_WAREHOUSE_MUTABLE_DAYS", 2, {
+  min: 1,
+  max: 30,
+});
 const CRONO_BIN =
   process.env.CRONO_BIN || "/app/runtime/node_modules/.bin/crono";
 const CRONO_PACKAGE_JSON =
   process.env.CRONO_PACKAGE_JSON || "/app/runtime/node_modules/@milldr/crono/package.json";
+const STDERR_EXCERPT_LENGTH = 500;
 
-const API_KEY = process.env.CRONO_API_KEY || "";
 const ALLOW_NO_API_KEY = String(process.env.CRONO_ALLOW_NO_API_KEY || "false")
   .toLowerCase()
   .trim() === "true";
-const REQUIRE_API_KEY = !ALLOW_NO_API_KEY && API_KEY.length > 0;
+const profiles = await loadProfileRegistry(process.env);
+// Loaded before listening and allowed to fail startup: serving requests
+// without the stored keys could silently leave the API unauthenticated.
+const apiKeys = createApiKeyRegistry({
+  filePath: resolveDataPath("auth", "api-keys.json"),
+  onPersistError: (error) => {
+    logger.error("api key store persist failed", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+  },
+});
+await apiKeys.load();
+
+const idempotency = createIdempotencyStore({
+  filePath: resolveDataPath("idempotency", "responses.json"),
+  ttlMs: IDEMPOTENCY_TTL_MS,
+  onPersistError: (error) => {
+    logger.error("idempotency store persist failed", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+  },
+});
+await idempotency.load();
+
+const auditLog = createAuditLog({
+  filePath: resolveDataPath("audit", "audit.jsonl"),
+  maxBytes: AUDIT_MAX_BYTES,
+  maxFiles: AUDIT_MAX_FILES,
+  onPersistError: (error) => {
+    logger.error("audit log append failed", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+  },
+});
+await auditLog.load();
+
+const webhooks = createWebhookDispatcher({
+  subscriptionsPath: resolveDataPath("webhooks", "subscriptions.json"),
+  queuePath: resolveDataPath("webhooks", "queue.json"),
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  baseDelayMs: WEBHOOK_BASE_DELAY_MS,
+  maxDelayMs: WEBHOOK_MAX_DELAY_MS,
+  timeoutMs: WEBHOOK_TIMEOUT_MS,
+  onPersistError: (error) => {
+    logger.error("webhook store persist failed", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+  },
+  onDeliveryFailed: (delivery, { dead }) => {
+    const message = dead ? "webhook delivery dead-lettered" : "webhook delivery failed";
+    logger[dead ? "error" : "warn"](message, {
+      profile: delivery.profileId,
+      webhookId: delivery.webhookId,
+      deliveryId: delivery.id,
+      event: delivery.event,
+      attempts: delivery.attempts,
+      error: delivery.lastError,
+    });
+  },
+});
+await webhooks.load();
+
+function isApiKeyRequired() {
+  return !ALLOW_NO_API_KEY && (profiles.hasApiKeys() || apiKeys.hasKeys());
+}
+
+// Callers may pass their own X-Request-Id to correlate with their logs;
+// anything that is not a short token is replaced rather than echoed.
+const REQUEST_ID_RE = /^[A-Za-z0-9._:-]{1,128}$/;
 
 const app = express();
+app.use((req, res, next) => {
+  const supplied = req.get("X-Request-Id");
+  req.id = supplied && REQUEST_ID_RE.test(supplied) ? supplied : randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  const startedAt = Date.now();
+  const done = httpRequestSeconds.startTimer({ method: req.method });
+  res.on("finish", () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    done({ route, status: res.statusCode });
+    logger.info("request", {
+      requestId: req.id,
+      method: req.method,
+      path: req.path,
+      route,
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+      profile: req.profile?.id ?? null,
+      keyLabel: req.apiKey?.label ?? null,
+      keyId: req.apiKey?.id ?? null,
+      ip: req.ip,
+    });
+  });
+  next();
+});
 app.use(express.json({ limit: "256kb" }));
-const jsonCommandCache = new Map();
+// Everything logged while handling the request (crono commands, scrape
+// phases, webhook emits) carries its requestId.
+app.use((req, _res, next) => runWithLogContext({ requestId: req.id }, next));
+const jsonCommandCache = createCommandCache({
+  filePath: EXPORT_CACHE_PERSIST
+    ? resolveDataPath("cache", "export-cache.jsonl")
+    : null,
+  maxEntries: EXPORT_CACHE_MAX_ENTRIES,
+  onPersistError: (error) => {
+    logger.error("export cache persist failed", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+  },
+});
+const cliQueue = createCommandQueue({
+  concurrency: CLI_CONCURRENCY,
+  maxQueued: CLI_QUEUE_MAX,
+});
+const inFlightJsonCommands = new Map();
+
+// crono runs take seconds; rate-limit backoffs run up to minutes.
+const CLI_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 180];
+const BACKOFF_BUCKETS = [1, 5, 10, 20, 30, 60, 90, 120, 300, 600];
+const cliSpawns = metrics.counter({
+  name: "crono_cli_spawns_total",
+  help: "crono processes run, by subcommand and exit code (timeout, error when it did not exit)",
+  labelNames: ["subcommand", "exit_code"],
+});
+const cliSpawnSeconds = metrics.histogram({
+  name: "crono_cli_spawn_duration_seconds",
+  help: "Wall time of each crono process, excluding time waiting in the queue",
+  labelNames: ["subcommand", "exit_code"],
+  buckets: CLI_BUCKETS,
+});
+const cliQueueWaitSeconds = metrics.histogram({
+  name: "crono_cli_queue_wait_seconds",
+  help: "Time a crono command waited for a free process slot",
+  labelNames: ["priority"],
+  buckets: CLI_BUCKETS,
+});
+metrics.gauge({
+  name: "crono_cli_queue_depth",
+  help: "crono commands running and waiting",
+  labelNames: ["state"],
+  collect: () => {
+    const stats = cliQueue.stats();
+    return [
+      { labels: { state: "running" }, value: stats.running },
+      { labels: { state: "queued" }, value: stats.queued },
+    ];
+  },
+});
+const rateLimitDetections = metrics.counter({
+  name: "crono_rate_limit_detections_total",
+  help: "crono calls that failed with a rate-limit error, retried or not",
+  labelNames: ["subcommand"],
+});
+const rateLimitBackoffSeconds = metrics.histogram({
+  name: "crono_rate_limit_backoff_seconds",
+  help: "Backoff sleeps before retrying a rate-limited crono call",
+  labelNames: ["subcommand"],
+  buckets: BACKOFF_BUCKETS,
+});
+metrics.counter({
+  name: "crono_export_cache_lookups_total",
+  help: "Export cache lookups: hit (fresh), stale (served past its TTL) or miss",
+  labelNames: ["result"],
+  collect: () => {
+    const stats = jsonCommandCache.stats();
+    return [
+      { labels: { result: "hit" }, value: stats.hits },
+      { labels: { result: "stale" }, value: stats.staleHits },
+      { labels: { result: "miss" }, value: stats.misses },
+    ];
+  },
+});
+metrics.gauge({
+  name: "crono_export_cache_entries",
+  help: "Entries in the export cache",
+  collect: () => jsonCommandCache.stats().entries,
+});
+const httpRequestSeconds = metrics.histogram({
+  name: "http_request_duration_seconds",
+  help: "HTTP response time by route pattern; requests that match no route (404s, failed auth) are route=\"unmatched\"",
+  labelNames: ["method", "route", "status"],
+});
+
+// "export nutrition" and "add custom-food" are worth telling apart.
+function subcommandLabel(args) {
+  return ["export", "add"].includes(args[0]) && args[1] ? `${args[0]} ${args[1]}` : args[0];
+}
+
+function exitCodeLabel(error) {
+  if (!error) return "0";
+  if (Number.isInteger(error?.extra?.exitCode)) return String(error.extra.exitCode);
+  return error?.status === 504 ? "timeout" : "error";
+}
+
+async function sleepForBackoff(args, ms) {
+  rateLimitBackoffSeconds.observe({ subcommand: subcommandLabel(args) }, ms / 1000);
+  await sleep(ms);
+}
+const DAILY_SUMMARY_CHECK_MS = 300000;
+const WRITE_SUBCOMMANDS = new Set(["quick-add", "log", "add"]);
 
 class HttpError extends Error {
   constructor(status, message, extra = undefined) {
@@ -75,6 +404,92 @@ function asyncRoute(fn) {
   };
 }
 
+function validationError(errors) {
+  return new HttpError(400, describeValidationErrors(errors), { errors });
+}
+
+const routeSpecs = new Map(ROUTES.map((route) => [`${route.method} ${route.path}`, route]));
+const registeredRoutes = new Set();
+
+// Every route is registered through its schema in api-schema.js, which
+// validates the request before the handler runs.
+function apiRoute(method, routePath, handler) {
+  const key = `${method} ${routePath}`;
+  const route = routeSpecs.get(key);
+  if (!route) throw new Error(`No schema defined for ${key}`);
+  registeredRoutes.add(key);
+
+  const validate = (req, _res, next) => {
+    const errors = validateRequestAgainst(route, req, COMPONENT_SCHEMAS);
+    return next(errors.length > 0 ? validationError(errors) : undefined);
+  };
+  const middleware = route.headers?.["Idempotency-Key"]
+    ? [validate, idempotencyMiddleware]
+    : [validate];
+  app[method.toLowerCase()](routePath, ...middleware, asyncRoute(handler));
+}
+
+// Runs after validation, so malformed requests are rejected without using
+// up the key. Responses under 500 are stored before they are sent; 5xx
+// responses release the key so the client can retry. The key stays reserved
+// while the handler runs even if the client disconnects, so a retry gets
+// 409 instead of running crono a second time.
+function idempotencyMiddleware(req, res, next) {
+  const key = String(req.get("idempotency-key") || "").trim();
+  if (!key) return next();
+
+  const profileId = req.profile.id;
+  const fingerprint = fingerprintRequest({
+    method: req.method,
+    path: req.path,
+    body: req.body,
+  });
+  const { state, record } = idempotency.begin(profileId, key, fingerprint);
+  if (state === "mismatch") {
+    return next(
+      new HttpError(409, "Idempotency-Key was already used for a different request", {
+        method: record.method,
+        path: record.path,
+        createdAt: record.createdAt,
+      })
+    );
+  }
+  if (state === "in_progress") {
+    return next(new HttpError(409, "A request with this Idempotency-Key is still in progress"));
+  }
+
+  res.set("Idempotency-Key", key);
+  if (state === "replay") {
+    res.set("Idempotent-Replayed", "true");
+    return res.status(record.status).json(record.body);
+  }
+
+  let settled = false;
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    settled = true;
+    if (res.statusCode >= 500) {
+      idempotency.release(profileId, key);
+      return sendJson(body);
+    }
+    idempotency
+      .complete(profileId, key, {
+        fingerprint,
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        body,
+      })
+      .finally(() => sendJson(body));
+    return res;
+  };
+  // Only for a response sent some other way than res.json.
+  res.on("finish", () => {
+    if (!settled) idempotency.release(profileId, key);
+  });
+  return next();
+}
+
 function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
@@ -100,11 +515,58 @@ function pickApiKey(req) {
   return "";
 }
 
-function apiKeyMiddleware(req, _res, next) {
-  if (!REQUIRE_API_KEY) return next();
+// Routing is case-sensitive and strict (see `app.set` below); the path is
+// normalized here as well, so the scope never depends on those settings.
+function requiredScope(req) {
+  const routePath = req.path.toLowerCase().replace(/\/+$/, "");
+  if (
+    routePath.startsWith("/api/v1/admin/") ||
+    routePath === "/api/v1/audit" ||
+    routePath === "/api/v1/webhooks" ||
+    routePath.startsWith("/api/v1/webhooks/")
+  ) {
+    return "admin";
+  }
+  if (req.method === "GET" || req.method === "HEAD") return "read";
+  // Jobs only run the read-only summaries and exports.
+  if (req.method === "POST" && routePath === "/api/v1/jobs") return "read";
+  return "write";
+}
+
+// Keys from .env and profiles.json predate scopes and keep full access.
+function resolveApiKey(secret) {
+  const configProfile = profiles.findByApiKey(secret);
+  if (configProfile) {
+    return {
+      profile: configProfile,
+      state: "active",
+      key: { id: null, label: `config:${configProfile.id}`, scopes: API_KEY_SCOPES },
+    };
+  }
+
+  const found = apiKeys.authenticate(secret);
+  if (!found) return null;
+  const profile = profiles.get(found.key.profileId);
+  return { profile, state: profile ? found.state : "orphaned", key: found.key };
+}
+
+function apiKeyMiddleware(req, res, next) {
+  if (!isApiKeyRequired()) {
+    const requested = String(req.get("x-crono-profile") || "")
+      .trim()
+      .toLowerCase();
+    const profile = requested ? profiles.get(requested) : profiles.defaultProfile;
+    if (!profile) {
+      return next(new HttpError(404, `Unknown profile: ${requested}`));
+    }
+    req.profile = profile;
+    req.apiKey = null;
+    return next();
+  }
 
   const provided = pickApiKey(req);
-  if (provided !== API_KEY) {
+  const auth = provided ? resolveApiKey(provided) : null;
+  if (!auth) {
     return next(
       new HttpError(
         401,
@@ -113,9 +575,82 @@ function apiKeyMiddleware(req, _res, next) {
     );
   }
 
+  const scope = requiredScope(req);
+  const rejection =
+    auth.state !== "active"
+      ? new HttpError(401, `API key is ${auth.state}`)
+      : !auth.key.scopes.includes(scope)
+        ? new HttpError(403, `API key lacks the ${scope} scope`, {
+            required: scope,
+            scopes: auth.key.scopes,
+          })
+        : null;
+  if (rejection) {
+    logger.warn("api key rejected", {
+      keyLabel: auth.key.label,
+      keyId: auth.key.id,
+      reason: rejection.message,
+      method: req.method,
+      path: req.path,
+    });
+    return next(rejection);
+  }
+
+  req.profile = auth.profile;
+  req.apiKey = auth.key;
+  return next();
+}
+
+// Journals every write and admin request once the response is done,
+// including the crono commands it ran (see runCrono's `audit` option).
+function auditMiddleware(req, res, next) {
+  if (requiredScope(req) === "read") return next();
+
+  const startedAt = Date.now();
+  req.audit = { commands: [] };
+  res.on("close", () => {
+    auditLog.append({
+      timestamp: new Date(startedAt).toISOString(),
+      requestId: req.id,
+      profileId: req.profile.id,
+      caller: {
+        keyLabel: req.apiKey?.label ?? null,
+        keyId: req.apiKey?.id ?? null,
+        ip: req.ip,
+      },
+      method: req.method,
+      path: req.path,
+      query: Object.keys(req.query).length > 0 ? req.query : undefined,
+      body: req.body === undefined ? null : sanitizeBody(req.body),
+      idempotencyKey: res.get("Idempotency-Key"),
+      replayed: res.get("Idempotent-Replayed") === "true",
+      status: res.statusCode,
+      completed: res.writableFinished,
+      durationMs: Date.now() - startedAt,
+      commands: req.audit.commands,
+    });
+  });
   return next();
 }
 
+function parseKeyExpiry(body) {
+  if (typeof body?.expiresAt === "string" && body.expiresAt.trim() !== "") {
+    const at = Date.parse(body.expiresAt);
+    if (!Number.isFinite(at) || at <= Date.now()) {
+      throw new HttpError(400, "expiresAt must be a future ISO timestamp");
+    }
+    return new Date(at).toISOString();
+  }
+  if (body?.expiresInDays !== undefined && body.expiresInDays !== null) {
+    const days = parseNumber(body.expiresInDays);
+    if (days === null || days <= 0 || days > 3650) {
+      throw new HttpError(400, "expiresInDays must be between 0 and 3650");
+    }
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+  return undefined;
+}
+
 function buildDateArgs(input) {
   const date = typeof input.date === "string" ? input.date.trim() : "";
   const range = typeof input.range === "string" ? input.range.trim() : "";
@@ -146,14 +681,158 @@ async function readCronoVersion() {
   }
 }
 
-function runCrono(args, { timeoutMs = CLI_TIMEOUT_MS } = {}) {
+function commandPriority(args) {
+  return WRITE_SUBCOMMANDS.has(args[0]) ? "write" : "read";
+}
+
+// `audit` is the calling request's req.audit; each command it runs is
+// added to the request's audit record.
+function runCrono(
+  args,
+  { timeoutMs = CLI_TIMEOUT_MS, priority = commandPriority(args), profile, audit = null } = {}
+) {
+  if (!profile) {
+    return Promise.reject(new Error("runCrono requires a profile"));
+  }
+  const startedAt = Date.now();
+  const logFields = () => ({
+    profile: profile.id,
+    subcommand: subcommandLabel(args),
+    args: redactArgs(args),
+    priority,
+    durationMs: Date.now() - startedAt,
+  });
+  return cliQueue
+    .run(() => spawnCronoTimed(args, { timeoutMs, profile, priority, queuedAt: startedAt }), {
+      priority,
+    })
+    .then(
+      (result) => {
+        audit?.commands.push({
+          args,
+          exitCode: 0,
+          stdout: truncateOutput(result.stdout),
+          durationMs: Date.now() - startedAt,
+        });
+        logger.info("crono command", {
+          ...logFields(),
+          exitCode: 0,
+          stderr: stderrExcerpt(result.stderr),
+        });
+        return result;
+      },
+      (error) => {
+        const failure =
+          error instanceof QueueFullError
+            ? new HttpError(503, error.message, { args, priority })
+            : error;
+        audit?.commands.push({
+          args,
+          exitCode: failure?.extra?.exitCode ?? null,
+          stdout: truncateOutput(failure?.extra?.stdout),
+          error: failure?.message || String(failure),
+          durationMs: Date.now() - startedAt,
+        });
+        logger.warn("crono command", {
+          ...logFields(),
+          exitCode: failure?.extra?.exitCode ?? exitCodeLabel(failure),
+          error: failure?.message || String(failure),
+          stderr: stderrExcerpt(failure?.extra?.stderr),
+        });
+        // Every rate-limited call counts, including ones a caller retries.
+        if (isRateLimitError(failure)) {
+          rateLimitDetections.inc({ subcommand: subcommandLabel(args) });
+          webhooks.emit(profile.id, "ratelimit.hit", {
+            command: args[0],
+            args,
+            stderr: truncateOutput(failure.extra?.stderr),
+          });
+        }
+        throw failure;
+      }
+    );
+}
+
+// Enough of stderr to see what crono complained about, not a whole trace.
+function stderrExcerpt(stderr) {
+  const text = String(stderr ?? "").trim();
+  if (!text) return undefined;
+  return text.length > STDERR_EXCERPT_LENGTH ? `${text.slice(0, STDERR_EXCERPT_LENGTH)}…` : text;
+}
+
+async function spawnCronoTimed(args, { timeoutMs, profile, priority, queuedAt }) {
+  cliQueueWaitSeconds.observe({ priority }, (Date.now() - queuedAt) / 1000);
+  const done = cliSpawnSeconds.startTimer({ subcommand: subcommandLabel(args) });
+  let error = null;
+  try {
+    return await spawnCrono(args, { timeoutMs, profile });
+  } catch (caught) {
+    error = caught;
+    throw caught;
+  } finally {
+    const labels = { subcommand: subcommandLabel(args), exit_code: exitCodeLabel(error) };
+    done(labels);
+    cliSpawns.inc(labels);
+  }
+}
+
+// The only server variables a crono process inherits. Anything else, such
+// as the default profile's .env credentials, stays out of other profiles'
+// processes.
+const CRONO_CHILD_ENV = [
+  "PATH",
+  "LANG",
+  "LC_ALL",
+  "TZ",
+  "TMPDIR",
+  "NODE_OPTIONS",
+  "NODE_EXTRA_CA_CERTS",
+  "HTTP_PROXY",
+  "HTTPS_PROXY",
+  "NO_PROXY",
+  "http_proxy",
+  "https_proxy",
+  "no_proxy",
+];
+const DEFAULT_PROFILE_CHILD_ENV = [
+  "CRONO_KERNEL_API_KEY",
+  "CRONO_CRONOMETER_EMAIL",
+  "CRONO_CRONOMETER_PASSWORD",
+];
+
+function cronoChildEnv(profile) {
+  const names = profile.isDefault
+    ? [...CRONO_CHILD_ENV, ...DEFAULT_PROFILE_CHILD_ENV]
+    : CRONO_CHILD_ENV;
+  const env = {};
+  for (const name of names) {
+    if (process.env[name] !== undefined) env[name] = process.env[name];
+  }
+  env.HOME = profile.home || process.env.HOME;
+  env.KERNEL_API_KEY = profile.kernelApiKey || "";
+  return env;
+}
+
+// The default profile syncs in this process, so it reads the server's own
+// env. A named profile syncs in a child that gets the same allowlist as its
+// crono processes, plus the credentials module to write with.
+function credentialSyncEnv(profile, { kernelApiKey, cronometerEmail, cronometerPassword }) {
+  const base = profile.isDefault ? { ...process.env } : cronoChildEnv(profile);
+  if (!profile.isDefault && process.env.CRONO_CREDENTIALS_MODULE) {
+    base.CRONO_CREDENTIALS_MODULE = process.env.CRONO_CREDENTIALS_MODULE;
+  }
+  return {
+    ...base,
+    CRONO_KERNEL_API_KEY: kernelApiKey,
+    CRONO_CRONOMETER_EMAIL: cronometerEmail,
+    CRONO_CRONOMETER_PASSWORD: cronometerPassword,
+  };
+}
+
+function spawnCrono(args, { timeoutMs, profile }) {
   return new Promise((resolve, reject) => {
     const child = spawn(CRONO_BIN, args, {
-      env: {
-        ...process.env,
-        KERNEL_API_KEY:
-          process.env.CRONO_KERNEL_API_KEY || process.env.KERNEL_API_KEY || "",
-      },
+      env: cronoChildEnv(profile),
       stdio: ["ignore", "pipe", "pipe"],
     });
 
@@ -210,8 +889,8 @@ function runCrono(args, { timeoutMs = CLI_TIMEOUT_MS } = {}) {
   });
 }
 
-async function runCronoJson(args) {
-  const result = await runCrono(args);
+async function runCronoJson(args, { priority, profile } = {}) {
+  const result = await runCrono(args, { priority, profile });
   const raw = result.stdout.trim();
   if (!raw) return null;
 
@@ -234,29 +913,21 @@ function isRateLimitError(error) {
   return combined.includes("rate limit");
 }
 
-function buildCacheKey(args) {
-  return args.join("\u001f");
+function buildCacheKey(args, profile) {
+  const key = args.join("\u001f");
+  return profile.cacheNamespace ? `${profile.cacheNamespace}\u001e${key}` : key;
 }
 
-function getCachedJson(args, { allowStale = false } = {}) {
-  const key = buildCacheKey(args);
-  const entry = jsonCommandCache.get(key);
-  if (!entry) return null;
-
-  const now = Date.now();
-  const isFresh = now <= entry.expiresAt;
-  const isStaleAllowed = allowStale && now <= entry.staleUntil;
-
-  if (!isFresh && !isStaleAllowed) {
-    jsonCommandCache.delete(key);
-    return null;
-  }
+function getCachedJson(args, { allowStale = false, profile } = {}) {
+  const found = jsonCommandCache.get(buildCacheKey(args, profile), { allowStale });
+  if (!found) return null;
 
+  const { entry, fresh, now } = found;
   return {
     data: entry.data,
     meta: {
       cacheHit: true,
-      stale: !isFresh,
+      stale: !fresh,
       ageMs: now - entry.cachedAt,
       cachedAt: new Date(entry.cachedAt).toISOString(),
     },
@@ -269,22 +940,16 @@ function setCachedJson(
   {
     ttlMs = EXPORT_CACHE_TTL_MS,
     staleTtlMs = EXPORT_CACHE_STALE_TTL_MS,
+    profile,
   } = {}
 ) {
-  const key = buildCacheKey(args);
   const now = Date.now();
-  jsonCommandCache.set(key, {
+  jsonCommandCache.set(buildCacheKey(args, profile), {
     data,
     cachedAt: now,
     expiresAt: now + ttlMs,
     staleUntil: now + staleTtlMs,
   });
-
-  while (jsonCommandCache.size > EXPORT_CACHE_MAX_ENTRIES) {
-    const oldestKey = jsonCommandCache.keys().next().value;
-    if (!oldestKey) break;
-    jsonCommandCache.delete(oldestKey);
-  }
 }
 
 function computeBackoffDelayMs(attemptIndex, baseDelayMs, maxDelayMs) {
@@ -293,20 +958,12 @@ function computeBackoffDelayMs(attemptIndex, baseDelayMs, maxDelayMs) {
   return Math.min(maxDelayMs, exponential + jitter);
 }
 
-async function runCronoJsonWithRetry(
-  args,
-  {
-    attempts = RATE_LIMIT_RETRY_ATTEMPTS,
-    baseDelayMs = RATE_LIMIT_BASE_DELAY_MS,
-    maxDelayMs = RATE_LIMIT_MAX_DELAY_MS,
-    useCache = false,
-    allowStaleCacheOnRateLimit = false,
-    cacheTtlMs = EXPORT_CACHE_TTL_MS,
-    cacheStaleTtlMs = EXPORT_CACHE_STALE_TTL_MS,
-    meta = null,
-  } = {}
-) {
-  const freshCache = useCache ? getCachedJson(args, { allowStale: false }) : null;
+async function runCronoJsonWithRetry(args, options = {}) {
+  const { useCache = false, meta = null, profile } = options;
+  if (!profile) throw new Error("runCronoJsonWithRetry requires a profile");
+  const freshCache = useCache
+    ? getCachedJson(args, { allowStale: false, profile })
+    : null;
   if (freshCache) {
     if (meta && typeof meta === "object") {
       Object.assign(meta, {
@@ -318,30 +975,88 @@ async function runCronoJsonWithRetry(
     return freshCache.data;
   }
 
+  const key = buildCacheKey(args, profile);
+  let flight = inFlightJsonCommands.get(key);
+  const coalesced = Boolean(flight);
+  if (!flight) {
+    flight = runCronoJsonAttempts(args, options).finally(() => {
+      inFlightJsonCommands.delete(key);
+    });
+    inFlightJsonCommands.set(key, flight);
+  }
+
+  const result = await flight;
+  if (meta && typeof meta === "object") {
+    Object.assign(meta, result.meta, coalesced ? { coalesced: true } : {});
+  }
+  return result.data;
+}
+
+// Plain (non-JSON) commands with the same rate-limit backoff as
+// runCronoJsonAttempts. Failures carry `attemptsUsed`.
+async function runCronoWithRetry(
+  args,
+  {
+    attempts = RATE_LIMIT_RETRY_ATTEMPTS,
+    baseDelayMs = RATE_LIMIT_BASE_DELAY_MS,
+    maxDelayMs = RATE_LIMIT_MAX_DELAY_MS,
+    profile,
+    audit = null,
+  } = {}
+) {
+  for (let i = 0; ; i++) {
+    try {
+      return { result: await runCrono(args, { profile, audit }), attemptsUsed: i + 1 };
+    } catch (error) {
+      if (isRateLimitError(error) && i < attempts - 1) {
+        await sleepForBackoff(args, computeBackoffDelayMs(i, baseDelayMs, maxDelayMs));
+        continue;
+      }
+      error.attemptsUsed = i + 1;
+      throw error;
+    }
+  }
+}
+
+async function runCronoJsonAttempts(
+  args,
+  {
+    attempts = RATE_LIMIT_RETRY_ATTEMPTS,
+    baseDelayMs = RATE_LIMIT_BASE_DELAY_MS,
+    maxDelayMs = RATE_LIMIT_MAX_DELAY_MS,
+    useCache = false,
+    allowStaleCacheOnRateLimit = false,
+    cacheTtlMs = EXPORT_CACHE_TTL_MS,
+    cacheStaleTtlMs = EXPORT_CACHE_STALE_TTL_MS,
+    priority = undefined,
+    profile,
+  } = {}
+) {
   let lastError = null;
   for (let i = 0; i < attempts; i++) {
     try {
-      const data = await runCronoJson(args);
+      const data = await runCronoJson(args, { priority, profile });
       if (useCache) {
         setCachedJson(args, data, {
           ttlMs: cacheTtlMs,
           staleTtlMs: cacheStaleTtlMs,
+          profile,
         });
       }
-      if (meta && typeof meta === "object") {
-        Object.assign(meta, {
+      return {
+        data,
+        meta: {
           cacheHit: false,
           stale: false,
           source: "live",
           attemptsUsed: i + 1,
-        });
-      }
-      return data;
+        },
+      };
     } catch (error) {
       lastError = error;
       if (isRateLimitError(error) && i < attempts - 1) {
         const backoffMs = computeBackoffDelayMs(i, baseDelayMs, maxDelayMs);
-        await sleep(backoffMs);
+        await sleepForBackoff(args, backoffMs);
         continue;
       }
       break;
@@ -353,22 +1068,128 @@ async function runCronoJsonWithRetry(
     allowStaleCacheOnRateLimit &&
     isRateLimitError(lastError)
   ) {
-    const staleCache = getCachedJson(args, { allowStale: true });
+    const staleCache = getCachedJson(args, { allowStale: true, profile });
     if (staleCache) {
-      if (meta && typeof meta === "object") {
-        Object.assign(meta, {
+      return {
+        data: staleCache.data,
+        meta: {
           ...staleCache.meta,
           source: "cache_stale_rate_limited",
           attemptsUsed: attempts,
-        });
-      }
-      return staleCache.data;
+        },
+      };
     }
   }
 
   throw lastError;
 }
 
+const DATASET_ARGS = {
+  nutrition: ["export", "nutrition"],
+  exercises: ["export", "exercises"],
+  biometrics: ["export", "biometrics"],
+  weight: ["weight"],
+};
+
+const profileStores = new Map();
+
+function createProfileStores(profile) {
+  const logPersistError = (message) => (error) => {
+    logger.error(message, {
+      profile: profile.id,
+      error: error instanceof Error ? error.message : String(error),
+    });
+  };
+
+  const warehouse = createWarehouse({
+    dir: path.join(profile.dataDir, "warehouse"),
+    mutableDays: WAREHOUSE_MUTABLE_DAYS,
+    syncDays: WAREHOUSE_SYNC_DAYS,
+    fetchRange: (dataset, rangeSpec, meta, { background = false } = {}) =>
+      runCronoJsonWithRetry([...DATASET_ARGS[dataset], "--range", rangeSpec, "--json"], {
+        useCache: true,
+        allowStaleCacheOnRateLimit: true,
+        meta,
+        priority: background ? "background" : "read",
+        profile,
+      }),
+    onSyncError: (dataset, error) => {
+      logger.error("warehouse sync failed", {
+        profile: profile.id,
+        dataset,
+        error: error instanceof Error ? error.message : String(error),
+      });
+    },
+  });
+  const scrapeCache = createScrapeCache({
+    filePath: path.join(profile.dataDir, "cache", "energy-scrape.json"),
+    ttlMs: SCRAPE_CACHE_TTL_MS,
+    onPersistError: logPersistError("scrape cache persist failed"),
+  });
+
+  const targets = createTargetsStore({
+    filePath: path.join(profile.dataDir, "targets.json"),
+    onPersistError: logPersistError("targets store persist failed"),
+  });
+
+  const templates = createTemplateStore({
+    filePath: path.join(profile.dataDir, "templates.json"),
+    onPersistError: logPersistError("template store persist failed"),
+  });
+
+  const foods = createFoodLibrary({
+    filePath: path.join(profile.dataDir, "foods.json"),
+    onPersistError: logPersistError("food library persist failed"),
+  });
+
+  return { warehouse, scrapeCache, targets, templates, foods };
+}
+
+function storesFor(profile) {
+  let stores = profileStores.get(profile.id);
+  if (!stores) {
+    stores = createProfileStores(profile);
+    profileStores.set(profile.id, stores);
+  }
+  return stores;
+}
+
+function scrapeAccountFor(profile) {
+  if (profile.isDefault) return { id: profile.id, credentials: null };
+  return {
+    id: profile.id,
+    credentials: {
+      kernelApiKey: profile.kernelApiKey,
+      username: profile.cronometerEmail,
+      password: profile.cronometerPassword,
+    },
+  };
+}
+
+async function readDatasetJson(profile, dataset, query, { meta = null, retry = {} } = {}) {
+  const dateArgs = buildDateArgs(query);
+  const window = WAREHOUSE_ENABLED
+    ? resolveDateWindow({
+        date: typeof query.date === "string" ? query.date.trim() : "",
+        range: typeof query.range === "string" ? query.range.trim() : "",
+      })
+    : null;
+
+  if (window) {
+    const result = await storesFor(profile).warehouse.query(dataset, window);
+    if (meta && typeof meta === "object") Object.assign(meta, result.meta);
+    return result.rows;
+  }
+
+  return runCronoJsonWithRetry([...DATASET_ARGS[dataset], ...dateArgs, "--json"], {
+    useCache: true,
+    allowStaleCacheOnRateLimit: true,
+    meta,
+    profile,
+    ...retry,
+  });
+}
+
 function getNumericField(entry, keys) {
   if (!entry || typeof entry !== "object") return null;
 
@@ -427,13 +1248,6 @@ function inferBurnedCalories(entry) {
   return null;
 }
 
-function formatLocalDate(date) {
-  const y = date.getFullYear();
-  const m = String(date.getMonth() + 1).padStart(2, "0");
-  const d = String(date.getDate()).padStart(2, "0");
-  return `${y}-${m}-${d}`;
-}
-
 function buildTrailingRangeExcludingToday(days) {
   const end = new Date();
   end.setDate(end.getDate() - 1);
@@ -593,13 +1407,24 @@ function aggregateBurnedByDate(exercises) {
   return byDate;
 }
 
-function computeCalorieBalance(entries, explicitTarget) {
+// Target precedence per day: `target_kcal`, then stored targets, then
+// CRONO_DEFAULT_CALORIE_TARGET, then whatever the export columns imply.
+function computeCalorieBalance(
+  entries,
+  queryTarget,
+  { storedTargetFor = null, defaultTarget = null } = {}
+) {
   const perDay = [];
 
   for (const entry of entries) {
     const intake = parseNumber(entry?.calories);
+    const stored =
+      queryTarget === null && storedTargetFor && entry?.date
+        ? storedTargetFor(entry.date)
+        : null;
+    const explicitTarget = queryTarget ?? (stored ? null : defaultTarget);
     const inferred = inferTargetCalories(entry);
-    const target = explicitTarget ?? inferred?.target ?? null;
+    const target = explicitTarget ?? stored?.target ?? inferred?.target ?? null;
     const delta = intake !== null && target !== null ? intake - target : null;
 
     perDay.push({
@@ -612,7 +1437,9 @@ function computeCalorieBalance(entries, explicitTarget) {
       targetSource:
         explicitTarget !== null
           ? "explicit"
-          : inferred?.source || "none",
+          : stored
+            ? stored.source
+            : inferred?.source || "none",
     });
   }
 
@@ -642,71 +1469,98 @@ function computeCalorieBalance(entries, explicitTarget) {
 }
 
 app.use(apiKeyMiddleware);
+app.use(auditMiddleware);
 
-app.get(
+apiRoute(
+  "GET",
   "/health",
-  asyncRoute(async (_req, res) => {
+  async (req, res) => {
     const cronoVersion = await readCronoVersion();
+    const stores = storesFor(req.profile);
+    // These counters span every profile, so only admin callers see them.
+    const isAdmin = !req.apiKey || req.apiKey.scopes.includes("admin");
     res.json({
       status: "ok",
       wrapperVersion: APP_VERSION,
       cronoVersion,
-      requireApiKey: REQUIRE_API_KEY,
+      requireApiKey: isApiKeyRequired(),
+      apiKey: req.apiKey ? { label: req.apiKey.label, scopes: req.apiKey.scopes } : null,
+      profile: describeProfile(req.profile),
+      exportCache: jsonCommandCache.stats(),
+      warehouse: WAREHOUSE_ENABLED ? stores.warehouse.status() : null,
+      scrapeCache: stores.scrapeCache.stats(),
+      scrapeSession: getScrapeSessionStatus(req.profile.id),
+      jobs: isAdmin ? jobRunner.stats() : null,
+      idempotency: isAdmin ? idempotency.stats() : null,
+      audit: isAdmin ? auditLog.stats() : null,
+      webhooks: isAdmin ? webhooks.stats() : null,
+      schedules: isAdmin ? scheduler.stats() : null,
+      cliQueue: {
+        ...cliQueue.stats(),
+        inFlightJsonCommands: inFlightJsonCommands.size,
+      },
     });
-  })
+  }
+);
+
+apiRoute(
+  "GET",
+  "/metrics",
+  async (_req, res) => {
+    res.type("text/plain; version=0.0.4; charset=utf-8").send(metrics.render());
+  }
 );
 
-app.get(
+apiRoute(
+  "GET",
   "/api/v1/endpoints",
-  asyncRoute(async (_req, res) => {
-    res.json({
-      read: [
-        "GET /api/v1/diary?date=YYYY-MM-DD|range=7d",
-        "GET /api/v1/weight?date=YYYY-MM-DD|range=7d",
-        "GET /api/v1/export/{nutrition|exercises|biometrics}?date=YYYY-MM-DD|range=7d&csv=true",
-        "GET /api/v1/summary/today-macros?date=YYYY-MM-DD",
-        "GET /api/v1/summary/calorie-balance?days=7&target_kcal=2400",
-        "GET /api/v1/summary/weekly-average-deficit?days=7",
-      ],
-      write: [
-        "POST /api/v1/quick-add",
-        "POST /api/v1/add/custom-food",
-        "POST /api/v1/log",
-        "POST /api/v1/admin/sync-credentials",
-      ],
-    });
-  })
+  async (_req, res) => {
+    res.json(listEndpoints({ routes: ROUTES, scopeFor: requiredScope }));
+  }
+);
+
+apiRoute(
+  "GET",
+  "/api/v1/openapi.json",
+  async (_req, res) => {
+    res.json(openApiDocument);
+  }
 );
 
-app.get(
+apiRoute(
+  "GET",
   "/api/v1/diary",
-  asyncRoute(async (req, res) => {
+  async (req, res) => {
     const args = ["diary", ...buildDateArgs(req.query), "--json"];
     const data = await runCronoJsonWithRetry(args, {
       attempts: 3,
       baseDelayMs: 6000,
       maxDelayMs: 20000,
+      profile: req.profile,
     });
     res.json({ data });
-  })
+  }
 );
 
-app.get(
+apiRoute(
+  "GET",
   "/api/v1/weight",
-  asyncRoute(async (req, res) => {
-    const args = ["weight", ...buildDateArgs(req.query), "--json"];
-    const data = await runCronoJsonWithRetry(args, {
-      attempts: 3,
-      baseDelayMs: 6000,
-      maxDelayMs: 20000,
+  async (req, res) => {
+    const data = await readDatasetJson(req.profile, "weight", req.query, {
+      retry: {
+        attempts: 3,
+        baseDelayMs: 6000,
+        maxDelayMs: 20000,
+      },
     });
     res.json({ data });
-  })
+  }
 );
 
-app.get(
+apiRoute(
+  "GET",
   "/api/v1/export/:type",
-  asyncRoute(async (req, res) => {
+  async (req, res) => {
     const { type } = req.params;
     if (!["nutrition", "exercises", "biometrics"].includes(type)) {
       throw new HttpError(400, "Invalid export type");
@@ -717,15 +1571,13 @@ app.get(
     const args = ["export", type, ...dateArgs, csv ? "--csv" : "--json"];
 
     if (csv) {
-      const { stdout } = await runCrono(args);
+      const { stdout } = await runCrono(args, { profile: req.profile });
       res.type("text/csv").send(stdout);
       return;
     }
 
     const fetchMeta = {};
-    const data = await runCronoJsonWithRetry(args, {
-      useCache: true,
-      allowStaleCacheOnRateLimit: true,
+    const data = await readDatasetJson(req.profile, type, req.query, {
       meta: fetchMeta,
     });
     res.json({
@@ -734,103 +1586,387 @@ app.get(
         fetch: fetchMeta,
       },
     });
-  })
+  }
 );
 
-app.post(
-  "/api/v1/quick-add",
-  asyncRoute(async (req, res) => {
-    const protein = parseNumber(req.body?.protein);
-    const carbs = parseNumber(req.body?.carbs);
-    const fat = parseNumber(req.body?.fat);
-    const meal = typeof req.body?.meal === "string" ? req.body.meal.trim() : "";
-
-    if (protein === null && carbs === null && fat === null) {
-      throw new HttpError(400, "At least one of protein, carbs, fat is required");
-    }
+function buildQuickAddArgs(body) {
+  const protein = parseNumber(body?.protein);
+  const carbs = parseNumber(body?.carbs);
+  const fat = parseNumber(body?.fat);
+  const meal = typeof body?.meal === "string" ? body.meal.trim() : "";
+
+  if (protein === null && carbs === null && fat === null) {
+    throw new HttpError(400, "At least one of protein, carbs, fat is required");
+  }
+
+  const args = ["quick-add"];
+  if (protein !== null) args.push("--protein", String(protein));
+  if (carbs !== null) args.push("--carbs", String(carbs));
+  if (fat !== null) args.push("--fat", String(fat));
+  if (meal) args.push("--meal", meal);
+  return args;
+}
+
+function buildCustomFoodArgs(body) {
+  const name = typeof body?.name === "string" ? body.name.trim() : "";
+  const protein = parseNumber(body?.protein);
+  const carbs = parseNumber(body?.carbs);
+  const fat = parseNumber(body?.fat);
+  const total = parseNumber(body?.total);
+  const log = body?.log;
+
+  if (!name) {
+    throw new HttpError(400, "name is required");
+  }
+  if (protein === null && carbs === null && fat === null) {
+    throw new HttpError(400, "At least one of protein, carbs, fat is required");
+  }
+
+  const args = ["add", "custom-food", name];
+  if (protein !== null) args.push("--protein", String(protein));
+  if (carbs !== null) args.push("--carbs", String(carbs));
+  if (fat !== null) args.push("--fat", String(fat));
+  if (total !== null) args.push("--total", String(total));
+
+  if (typeof log === "boolean" && log) {
+    args.push("--log");
+  } else if (typeof log === "string" && log.trim() !== "") {
+    args.push("--log", log.trim());
+  }
+  return args;
+}
+
+// `foodId` logs a food from the profile's local library by its exact name.
+function buildLogArgs(body, { profile }) {
+  const foodId = typeof body?.foodId === "string" ? body.foodId.trim() : "";
+  const meal = typeof body?.meal === "string" ? body.meal.trim() : "";
+  const servings = parseNumber(body?.servings);
+  let name = typeof body?.name === "string" ? body.name.trim() : "";
+
+  if (name && foodId) {
+    throw new HttpError(400, "Provide name or foodId, not both");
+  }
+  if (foodId) {
+    const food = storesFor(profile).foods.get(foodId);
+    if (!food) throw new HttpError(404, `Food not found in library: ${foodId}`);
+    name = food.name;
+  }
+  if (!name) {
+    throw new HttpError(400, "name or foodId is required");
+  }
 
-    const args = ["quick-add"];
-    if (protein !== null) args.push("--protein", String(protein));
-    if (carbs !== null) args.push("--carbs", String(carbs));
-    if (fat !== null) args.push("--fat", String(fat));
-    if (meal) args.push("--meal", meal);
+  const args = ["log", name];
+  if (meal) args.push("--meal", meal);
+  if (servings !== null) args.push("--servings", String(servings));
+  return args;
+}
+
+async function recordCustomFood(profile, body) {
+  return storesFor(profile).foods.record({
+    name: body.name,
+    protein: parseNumber(body.protein),
+    carbs: parseNumber(body.carbs),
+    fat: parseNumber(body.fat),
+    total: parseNumber(body.total),
+  });
+}
+
+// `context` says how the write arrived: `via` is request, batch or template.
+// Custom foods only reach the diary when they are created with `log`, so
+// creating one without it is not a food.logged event.
+function emitFoodLogged(profile, { op, body, args }, context) {
+  if (op === "add/custom-food" && !args.includes("--log")) return;
+  webhooks.emit(profile.id, "food.logged", {
+    source: op,
+    args,
+    body: sanitizeBody(body),
+    ...context,
+  });
+}
 
-    const result = await runCrono(args);
+// Batch ops map to the single-write routes' body schemas and arg builders.
+const WRITE_OPERATIONS = {
+  "quick-add": { schema: "QuickAddBody", buildArgs: buildQuickAddArgs },
+  "add/custom-food": { schema: "CustomFoodBody", buildArgs: buildCustomFoodArgs },
+  log: { schema: "LogFoodBody", buildArgs: buildLogArgs },
+};
+
+apiRoute(
+  "POST",
+  "/api/v1/quick-add",
+  async (req, res) => {
+    const args = buildQuickAddArgs(req.body);
+    const result = await runCrono(args, { profile: req.profile, audit: req.audit });
+    emitFoodLogged(req.profile, { op: "quick-add", body: req.body, args }, { via: "request" });
     res.json({ ok: true, output: result.stdout });
-  })
+  }
 );
 
-app.post(
+apiRoute(
+  "POST",
   "/api/v1/add/custom-food",
-  asyncRoute(async (req, res) => {
-    const name = typeof req.body?.name === "string" ? req.body.name.trim() : "";
-    const protein = parseNumber(req.body?.protein);
-    const carbs = parseNumber(req.body?.carbs);
-    const fat = parseNumber(req.body?.fat);
-    const total = parseNumber(req.body?.total);
-    const log = req.body?.log;
-
-    if (!name) {
-      throw new HttpError(400, "name is required");
+  async (req, res) => {
+    const args = buildCustomFoodArgs(req.body);
+    const result = await runCrono(args, { profile: req.profile, audit: req.audit });
+    const food = await recordCustomFood(req.profile, req.body);
+    emitFoodLogged(
+      req.profile,
+      { op: "add/custom-food", body: req.body, args },
+      { via: "request" }
+    );
+    res.json({ ok: true, output: result.stdout, food });
+  }
+);
+
+// Validates and builds args for every operation up front, so a malformed
+// item never leaves a half-logged meal behind. Errors use `pathPrefix`.
+function planWriteOperations(operations, { profile, pathPrefix = "operations" }) {
+  const errors = [];
+  const planned = operations.map((operation, index) => {
+    const { op, ...body } = operation;
+    const { schema, buildArgs } = WRITE_OPERATIONS[op];
+    const path = `${pathPrefix}[${index}]`;
+    const itemErrors = validateValue({ $ref: `#/components/schemas/${schema}` }, body, {
+      path,
+      components: COMPONENT_SCHEMAS,
+    }).map((error) => ({ in: "body", ...error }));
+    if (itemErrors.length > 0) {
+      errors.push(...itemErrors);
+      return null;
     }
-    if (protein === null && carbs === null && fat === null) {
-      throw new HttpError(400, "At least one of protein, carbs, fat is required");
+    try {
+      return { index, op, body, args: buildArgs(body, { profile }) };
+    } catch (error) {
+      errors.push({ in: "body", path, message: error.message });
+      return null;
     }
+  });
+  if (errors.length > 0) {
+    throw validationError(errors);
+  }
+  return planned;
+}
 
-    const args = ["add", "custom-food", name];
-    if (protein !== null) args.push("--protein", String(protein));
-    if (carbs !== null) args.push("--carbs", String(carbs));
-    if (fat !== null) args.push("--fat", String(fat));
-    if (total !== null) args.push("--total", String(total));
-
-    if (typeof log === "boolean" && log) {
-      args.push("--log");
-    } else if (typeof log === "string" && log.trim() !== "") {
-      args.push("--log", log.trim());
+// Runs planned operations one at a time, retrying rate-limited ones.
+// `eventContext` is merged into each food.logged webhook payload.
+async function executeWriteOperations(planned, { profile, audit, stopOnError, eventContext }) {
+  const results = [];
+  let halted = false;
+  for (const { index, op, body, args } of planned) {
+    if (halted) {
+      results.push({ index, op, status: "skipped" });
+      continue;
     }
+    try {
+      const { result, attemptsUsed } = await runCronoWithRetry(args, { profile, audit });
+      if (op === "add/custom-food") await recordCustomFood(profile, body);
+      emitFoodLogged(profile, { op, body, args }, { ...eventContext, index });
+      results.push({ index, op, status: "ok", output: result.stdout, attemptsUsed });
+    } catch (error) {
+      results.push({
+        index,
+        op,
+        status: "failed",
+        attemptsUsed: error.attemptsUsed,
+        error: {
+          status: Number.isInteger(error?.status) ? error.status : 500,
+          message: error instanceof Error ? error.message : String(error),
+          ...(error?.extra ? { details: error.extra } : {}),
+        },
+      });
+      halted = stopOnError;
+    }
+  }
 
-    const result = await runCrono(args);
-    res.json({ ok: true, output: result.stdout });
-  })
+  const count = (status) => results.filter((item) => item.status === status).length;
+  return {
+    ok: count("ok") === results.length,
+    stopOnError,
+    succeeded: count("ok"),
+    failed: count("failed"),
+    skipped: count("skipped"),
+    results,
+  };
+}
+
+apiRoute(
+  "GET",
+  "/api/v1/foods",
+  async (req, res) => {
+    const { foods } = storesFor(req.profile);
+    const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    const limit = parseNumber(req.query.limit) ?? 20;
+    res.json({
+      query: query || null,
+      foods: query ? foods.search(query, { limit }) : foods.list().slice(0, limit),
+    });
+  }
 );
 
-app.post(
-  "/api/v1/log",
-  asyncRoute(async (req, res) => {
-    const name = typeof req.body?.name === "string" ? req.body.name.trim() : "";
-    const meal = typeof req.body?.meal === "string" ? req.body.meal.trim() : "";
-    const servings = parseNumber(req.body?.servings);
+apiRoute(
+  "GET",
+  "/api/v1/foods/:id",
+  async (req, res) => {
+    const food = storesFor(req.profile).foods.get(req.params.id);
+    if (!food) throw new HttpError(404, "Food not found in library");
+    res.json({ food });
+  }
+);
+
+apiRoute(
+  "POST",
+  "/api/v1/batch",
+  async (req, res) => {
+    const planned = planWriteOperations(req.body.operations, { profile: req.profile });
+    res.json(
+      await executeWriteOperations(planned, {
+        profile: req.profile,
+        audit: req.audit,
+        stopOnError: req.body.stopOnError !== false,
+        eventContext: { via: "batch" },
+      })
+    );
+  }
+);
 
-    if (!name) {
-      throw new HttpError(400, "name is required");
+apiRoute(
+  "POST",
+  "/api/v1/log",
+  async (req, res) => {
+    const args = buildLogArgs(req.body, { profile: req.profile });
+    const { foods } = storesFor(req.profile);
+    const food = req.body.foodId ? foods.get(req.body.foodId) : foods.findByName(args[1]);
+    // The library only knows our custom foods, so an unknown name is still
+    // sent to crono; close library matches are returned alongside.
+    const suggestions = food ? [] : foods.search(args[1], { limit: 3 });
+
+    let result;
+    try {
+      result = await runCrono(args, { profile: req.profile, audit: req.audit });
+    } catch (error) {
+      if (error instanceof HttpError && suggestions.length > 0) {
+        error.extra = { ...error.extra, suggestions };
+      }
+      throw error;
     }
+    emitFoodLogged(req.profile, { op: "log", body: req.body, args }, { via: "request" });
+    res.json({
+      ok: true,
+      output: result.stdout,
+      food,
+      ...(suggestions.length > 0 ? { suggestions } : {}),
+    });
+  }
+);
 
-    const args = ["log", name];
-    if (meal) args.push("--meal", meal);
-    if (servings !== null) args.push("--servings", String(servings));
+function templateFromBody(body) {
+  const errors = validateTemplateItems(body.items);
+  if (errors.length > 0) throw validationError(errors);
+  return { name: body.name, meal: body.meal?.trim() || null, items: body.items };
+}
 
-    const result = await runCrono(args);
-    res.json({ ok: true, output: result.stdout });
-  })
+function findTemplate(req) {
+  const template = storesFor(req.profile).templates.get(req.params.id);
+  if (!template) throw new HttpError(404, "Template not found");
+  return template;
+}
+
+function assertTemplateNameFree(templates, name, exceptId = null) {
+  const clash = templates.findByName(name, { exceptId });
+  if (clash) {
+    throw new HttpError(409, `A template named "${clash.name}" already exists`, { id: clash.id });
+  }
+}
+
+apiRoute(
+  "GET",
+  "/api/v1/templates",
+  async (req, res) => {
+    res.json({ templates: storesFor(req.profile).templates.list() });
+  }
+);
+
+apiRoute(
+  "POST",
+  "/api/v1/templates",
+  async (req, res) => {
+    const { templates } = storesFor(req.profile);
+    const input = templateFromBody(req.body);
+    assertTemplateNameFree(templates, input.name);
+    res.status(201).json({ template: await templates.create(input) });
+  }
+);
+
+apiRoute(
+  "GET",
+  "/api/v1/templates/:id",
+  async (req, res) => {
+    res.json({ template: findTemplate(req) });
+  }
+);
+
+apiRoute(
+  "PUT",
+  "/api/v1/templates/:id",
+  async (req, res) => {
+    const { templates } = storesFor(req.profile);
+    const existing = findTemplate(req);
+    const input = templateFromBody(req.body);
+    assertTemplateNameFree(templates, input.name, existing.id);
+    res.json({ template: await templates.update(existing.id, input) });
+  }
+);
+
+apiRoute(
+  "DELETE",
+  "/api/v1/templates/:id",
+  async (req, res) => {
+    const existing = findTemplate(req);
+    await storesFor(req.profile).templates.remove(existing.id);
+    res.json({ ok: true, template: existing });
+  }
 );
 
-app.get(
+apiRoute(
+  "POST",
+  "/api/v1/templates/:id/log",
+  async (req, res) => {
+    const { templates } = storesFor(req.profile);
+    const template = findTemplate(req);
+    const scale = parseNumber(req.body?.scale) ?? 1;
+    const meal = req.body?.meal?.trim() || null;
+
+    const operations = templateOperations(template, { scale, meal });
+    const planned = planWriteOperations(operations, {
+      profile: req.profile,
+      pathPrefix: "items",
+    });
+    const summary = await executeWriteOperations(planned, {
+      profile: req.profile,
+      audit: req.audit,
+      stopOnError: req.body?.stopOnError !== false,
+      eventContext: { via: "template", template: { id: template.id, name: template.name } },
+    });
+    if (summary.succeeded > 0) templates.markLogged(template.id);
+    res.json({
+      template: { id: template.id, name: template.name },
+      scale,
+      meal,
+      operations,
+      ...summary,
+    });
+  }
+);
+
+apiRoute(
+  "GET",
   "/api/v1/summary/today-macros",
-  asyncRoute(async (req, res) => {
+  async (req, res) => {
     const hasDate =
       typeof req.query.date === "string" && req.query.date.trim() !== "";
     const date = hasDate ? req.query.date.trim() : null;
 
-    const args = ["export", "nutrition"];
-    if (date) {
-      args.push("--date", date);
-    }
-    args.push("--json");
-
-    const data = await runCronoJsonWithRetry(args, {
-      useCache: true,
-      allowStaleCacheOnRateLimit: true,
-    });
+    const data = await readDatasetJson(req.profile, "nutrition", date ? { date } : {});
     const entry = Array.isArray(data) ? data[0] : data;
 
     if (!entry) {
@@ -845,433 +1981,1508 @@ app.get(
       fat: parseNumber(entry.fat),
       raw: entry,
     });
-  })
+  }
 );
 
-app.get(
+async function buildCalorieBalance(profile, query) {
+  const daysRaw = parseNumber(query.days);
+  const days = daysRaw === null ? 7 : Math.trunc(daysRaw);
+  if (days <= 0 || days > 365) {
+    throw new HttpError(400, "days must be between 1 and 365");
+  }
+
+  const range =
+    typeof query.range === "string" && query.range.trim() !== ""
+      ? query.range.trim()
+      : `${days}d`;
+
+  const targetFromQuery = parseNumber(query.target_kcal);
+  const targetFromEnv = parseNumber(process.env.CRONO_DEFAULT_CALORIE_TARGET);
+  const explicitTarget = targetFromQuery ?? targetFromEnv;
+  const storedTargets = storesFor(profile).targets.get();
+  const useStoredTargets = targetFromQuery === null && hasAnyTargets(storedTargets);
+
+  const data = await readDatasetJson(profile, "nutrition", { range });
+  const entries = normalizeNutritionList(data);
+
+  let storedTargetFor = null;
+  if (useStoredTargets) {
+    const trainingDates = await loadTrainingDates(profile, storedTargets, range);
+    storedTargetFor = (date) => {
+      const day = resolveDayTargets(storedTargets, date, {
+        trainingDay: trainingDates ? trainingDates.has(date) : null,
+      });
+      return day.values.kcal === undefined
+        ? null
+        : { target: day.values.kcal, source: `stored:${day.sources.kcal}` };
+    };
+  }
+
+  const balance = computeCalorieBalance(entries, targetFromQuery, {
+    storedTargetFor,
+    defaultTarget: targetFromEnv,
+  });
+  return {
+    range,
+    explicitTargetCalories: explicitTarget,
+    storedTargetsUsed: useStoredTargets,
+    notes: useStoredTargets
+      ? "Using stored targets (GET /api/v1/targets) for days they cover; other days fall back to CRONO_DEFAULT_CALORIE_TARGET or export columns."
+      : explicitTarget === null
+        ? "No explicit target provided. API attempts to infer target calories from Cronometer export columns when possible."
+        : "Using explicit calorie target for all days.",
+    ...balance,
+  };
+}
+
+apiRoute(
+  "GET",
   "/api/v1/summary/calorie-balance",
-  asyncRoute(async (req, res) => {
-    const daysRaw = parseNumber(req.query.days);
-    const days = daysRaw === null ? 7 : Math.trunc(daysRaw);
-    if (days <= 0 || days > 365) {
-      throw new HttpError(400, "days must be between 1 and 365");
+  async (req, res) => {
+    res.json(await buildCalorieBalance(req.profile, req.query));
+  }
+);
+
+async function buildWeeklyAverageDeficit(profile, query, { onStatus } = {}) {
+  const daysRaw = parseNumber(query.days);
+  const days = daysRaw === null ? 7 : Math.trunc(daysRaw);
+  if (days <= 0 || days > 365) {
+    throw new HttpError(400, "days must be between 1 and 365");
+  }
+
+  const explicitRange =
+    typeof query.range === "string" && query.range.trim() !== ""
+      ? query.range.trim()
+      : null;
+  const trailing = buildTrailingRangeExcludingToday(days);
+  const rangeSpec = explicitRange || trailing.rangeSpec;
+  const todayLocal = formatLocalDate(new Date());
+  const nutritionFetchMeta = {};
+
+  onStatus?.("Fetching nutrition export...");
+  const nutritionRaw = await readDatasetJson(
+    profile,
+    "nutrition",
+    { range: rangeSpec },
+    { meta: nutritionFetchMeta }
+  );
+  const nutritionEntries = normalizeNutritionList(nutritionRaw);
+  const burnRelatedNutritionKeys = collectBurnRelatedNutritionKeys(
+    nutritionEntries
+  );
+
+  const completedEntries = nutritionEntries.filter((entry) => {
+    const date = typeof entry?.date === "string" ? entry.date : "";
+    const isCompleted = String(entry?.Completed || "").toLowerCase() === "true";
+    const notToday = date !== todayLocal;
+    return isCompleted && notToday;
+  });
+
+  const completedDates = completedEntries
+    .map((entry) => (typeof entry?.date === "string" ? entry.date : null))
+    .filter(Boolean);
+
+  let scrapeError = null;
+  const { scrapeCache } = storesFor(profile);
+  const scrapeLookup = scrapeCache.lookup(completedDates);
+  let scrapedEntries = [...scrapeLookup.hits];
+  let scrapeCacheStored = 0;
+  const scrapeBatchMeta = {};
+  if (scrapeLookup.missing.length > 0) {
+    try {
+      const freshEntries = await scrapeEnergySummaryForDates(
+        scrapeLookup.missing,
+        { onStatus, meta: scrapeBatchMeta, account: scrapeAccountFor(profile) }
+      );
+      scrapeCacheStored = scrapeCache.store(freshEntries);
+      scrapedEntries = [...scrapedEntries, ...freshEntries];
+    } catch (error) {
+      scrapeError = error instanceof Error ? error.message : String(error);
+      webhooks.emit(profile.id, "scrape.failed", {
+        dates: scrapeLookup.missing,
+        error: scrapeError,
+      });
+    }
+  }
+  const scrapedByDate = mapEnergyScrapeByDate(scrapedEntries);
+
+  const needsExerciseFallback = completedEntries.some((entry) => {
+    const date = entry?.date;
+    if (!date) return true;
+
+    const scraped = scrapedByDate.get(date);
+    if (
+      scraped &&
+      (scraped.hasAllCoreComponents ||
+        scraped.energyBurned !== null ||
+        (scraped.resolvedBurnedTotal || 0) > 0 ||
+        scraped.componentTotal > 0)
+    ) {
+      return false;
     }
 
-    const range =
-      typeof req.query.range === "string" && req.query.range.trim() !== ""
-        ? req.query.range.trim()
-        : `${days}d`;
-
-    const targetFromQuery = parseNumber(req.query.target_kcal);
-    const targetFromEnv = parseNumber(process.env.CRONO_DEFAULT_CALORIE_TARGET);
-    const explicitTarget = targetFromQuery ?? targetFromEnv;
-
-    const data = await runCronoJsonWithRetry([
-      "export",
-      "nutrition",
-      "--range",
-      range,
-      "--json",
-    ], {
-      useCache: true,
-      allowStaleCacheOnRateLimit: true,
-    });
-    const entries = normalizeNutritionList(data);
+    const burnComponents = extractBurnedComponents(entry);
+    if (burnComponents.hasAny) return false;
 
-    const balance = computeCalorieBalance(entries, explicitTarget);
-    res.json({
-      range,
-      explicitTargetCalories: explicitTarget,
-      notes:
-        explicitTarget === null
-          ? "No explicit target provided. API attempts to infer target calories from Cronometer export columns when possible."
-          : "Using explicit calorie target for all days.",
-      ...balance,
-    });
-  })
-);
+    const inferredBurned = inferBurnedCalories(entry);
+    if (inferredBurned) return false;
 
-app.get(
-  "/api/v1/summary/weekly-average-deficit",
-  asyncRoute(async (req, res) => {
-    const daysRaw = parseNumber(req.query.days);
-    const days = daysRaw === null ? 7 : Math.trunc(daysRaw);
-    if (days <= 0 || days > 365) {
-      throw new HttpError(400, "days must be between 1 and 365");
+    return true;
+  });
+
+  let burnedByDate = new Map();
+  let exercisesError = null;
+  let exercisesFetchMeta = null;
+  if (needsExerciseFallback) {
+    try {
+      onStatus?.("Fetching exercises export fallback...");
+      exercisesFetchMeta = {};
+      const exercisesRetried = await readDatasetJson(
+        profile,
+        "exercises",
+        { range: rangeSpec },
+        { meta: exercisesFetchMeta }
+      );
+      const exerciseEntries = normalizeExerciseList(exercisesRetried);
+      burnedByDate = aggregateBurnedByDate(exerciseEntries);
+    } catch (error) {
+      exercisesError = error instanceof Error ? error.message : String(error);
     }
+  }
 
-    const explicitRange =
-      typeof req.query.range === "string" && req.query.range.trim() !== ""
-        ? req.query.range.trim()
-        : null;
-    const trailing = buildTrailingRangeExcludingToday(days);
-    const rangeSpec = explicitRange || trailing.rangeSpec;
-    const todayLocal = formatLocalDate(new Date());
-    const nutritionFetchMeta = {};
-
-    const nutritionRaw = await runCronoJsonWithRetry([
-      "export",
-      "nutrition",
-      "--range",
-      rangeSpec,
-      "--json",
-    ], {
-      useCache: true,
-      allowStaleCacheOnRateLimit: true,
-      meta: nutritionFetchMeta,
-    });
-    const nutritionEntries = normalizeNutritionList(nutritionRaw);
-    const burnRelatedNutritionKeys = collectBurnRelatedNutritionKeys(
-      nutritionEntries
-    );
+  const perDay = completedEntries.map((entry) => {
+    const date = entry?.date || null;
+    const consumed = parseNumber(entry?.calories) ?? 0;
+    const burnedAgg = date ? burnedByDate.get(date) : null;
+    const inferredBurned = inferBurnedCalories(entry);
+    const burnComponents = extractBurnedComponents(entry);
+    const scraped = date ? scrapedByDate.get(date) : null;
+
+    let burned = null;
+    let burnedRaw = null;
+    let burnedSource = "none";
+    let burnedBreakdown = {};
+    let missingBurnComponents = Object.keys(BURN_COMPONENT_KEYS);
+
+    const resolvedSource = scraped?.resolvedBurnedSource || null;
+    const resolvedTotal = scraped?.resolvedBurnedTotal || 0;
+    const scrapedComponentTotal =
+      scraped?.componentTotalWithBaseline ??
+      scraped?.componentTotal ??
+      scraped?.componentTotalCore ??
+      0;
+
+    if (resolvedTotal > 0) {
+      burned = resolvedTotal;
+      burnedRaw =
+        resolvedSource === "energyBurned"
+          ? scraped.energyBurned
+          : resolvedSource === "energyBalance"
+            ? scraped.energyBalance
+            : resolvedTotal;
+      burnedSource =
+        resolvedSource === "energyBurned"
+          ? "scrape_energy_burned_total"
+          : resolvedSource === "energyBalance"
+            ? "scrape_energy_balance_proxy_total"
+            : scraped?.hasAllCoreComponents
+              ? "scrape_components_complete"
+              : "scrape_components_partial";
+      burnedBreakdown = {
+        ...scraped.components,
+        energyBurned: scraped.energyBurned,
+        energyBalance: scraped.energyBalance,
+        componentTotalCore: scraped.componentTotalCore ?? null,
+        componentTotalWithBaseline: scraped.componentTotalWithBaseline ?? null,
+        resolvedBurnedSource: resolvedSource,
+        resolvedBurnedTotal: resolvedTotal,
+      };
+      missingBurnComponents =
+        scraped?.hasAllCoreComponents
+          ? []
+          : scraped?.missingComponents || Object.keys(BURN_COMPONENT_KEYS);
+    } else if (scrapedComponentTotal > 0) {
+      burned = scrapedComponentTotal;
+      burnedRaw = scrapedComponentTotal;
+      burnedSource = scraped?.hasAllCoreComponents
+        ? "scrape_components_complete"
+        : "scrape_components_partial";
+      burnedBreakdown = {
+        ...scraped.components,
+        energyBurned: scraped?.energyBurned ?? null,
+        energyBalance: scraped?.energyBalance ?? null,
+        componentTotalCore: scraped?.componentTotalCore ?? null,
+        componentTotalWithBaseline: scraped?.componentTotalWithBaseline ?? null,
+        resolvedBurnedSource: resolvedSource,
+        resolvedBurnedTotal: resolvedTotal,
+      };
+      missingBurnComponents = scraped?.hasAllCoreComponents
+        ? []
+        : scraped?.missingComponents || Object.keys(BURN_COMPONENT_KEYS);
+    } else if (burnComponents.hasAny) {
+      burned = burnComponents.total;
+      burnedRaw = burnComponents.rawTotal;
+      burnedSource = burnComponents.hasAll
+        ? "nutrition_components_complete"
+        : "nutrition_components_partial";
+      burnedBreakdown = burnComponents.components;
+      missingBurnComponents = burnComponents.missingComponents;
+    } else if (inferredBurned) {
+      burned = inferredBurned.burned;
+      burnedRaw = inferredBurned.burned;
+      burnedSource = inferredBurned.source;
+      burnedBreakdown = { inferred: inferredBurned.burned };
+    } else if (burnedAgg) {
+      burned = burnedAgg.burnedCalories;
+      burnedRaw = burnedAgg.burnedRawCalories;
+      burnedSource = "exercise_export_abs";
+      burnedBreakdown = burnedAgg.components;
+      missingBurnComponents = ["bmr", "tef"];
+    }
 
-    const completedEntries = nutritionEntries.filter((entry) => {
-      const date = typeof entry?.date === "string" ? entry.date : "";
-      const isCompleted = String(entry?.Completed || "").toLowerCase() === "true";
-      const notToday = date !== todayLocal;
-      return isCompleted && notToday;
-    });
+    const burnedFinal = burned ?? 0;
+    const burnedRawFinal = burnedRaw ?? 0;
+    const net = consumed - burnedFinal;
+
+    return {
+      date,
+      completed: true,
+      consumedCalories: consumed,
+      burnedCalories: burnedFinal,
+      burnedRawCalories: burnedRawFinal,
+      burnedSource,
+      burnedBreakdown,
+      missingBurnComponents,
+      netCalories: net,
+      status: net < 0 ? "deficit" : net > 0 ? "surplus" : "at_target",
+    };
+  });
 
-    const completedDates = completedEntries
-      .map((entry) => (typeof entry?.date === "string" ? entry.date : null))
-      .filter(Boolean);
-
-    let scrapeError = null;
-    let scrapedEntries = [];
-    if (completedDates.length > 0) {
-      try {
-        scrapedEntries = await scrapeEnergySummaryForDates(completedDates);
-      } catch (error) {
-        scrapeError = error instanceof Error ? error.message : String(error);
+  const daysWithoutBurnSource = perDay
+    .filter((day) => day.burnedSource === "none")
+    .map((day) => day.date)
+    .filter(Boolean);
+  if (daysWithoutBurnSource.length > 0) {
+    throw new HttpError(
+      503,
+      "Unable to determine burned calories for one or more completed days.",
+      {
+        range: rangeSpec,
+        daysWithoutBurnSource,
+        scrapeError,
+        exercisesFallbackError: exercisesError,
       }
-    }
-    const scrapedByDate = mapEnergyScrapeByDate(scrapedEntries);
-
-    const needsExerciseFallback = completedEntries.some((entry) => {
-      const date = entry?.date;
-      if (!date) return true;
-
-      const scraped = scrapedByDate.get(date);
-      if (
-        scraped &&
-        (scraped.hasAllCoreComponents ||
-          scraped.energyBurned !== null ||
-          (scraped.resolvedBurnedTotal || 0) > 0 ||
-          scraped.componentTotal > 0)
-      ) {
-        return false;
+    );
+  }
+
+  const daysUsed = perDay.length;
+  const consumedTotal = perDay.reduce((sum, d) => sum + d.consumedCalories, 0);
+  const burnedTotal = perDay.reduce((sum, d) => sum + d.burnedCalories, 0);
+  const burnedRawTotal = perDay.reduce((sum, d) => sum + d.burnedRawCalories, 0);
+  const netTotal = consumedTotal - burnedTotal;
+  const averagePerDay = daysUsed === 0 ? 0 : netTotal / daysUsed;
+  const averageDeficitPerDay = averagePerDay < 0 ? Math.abs(averagePerDay) : 0;
+  const averageSurplusPerDay = averagePerDay > 0 ? averagePerDay : 0;
+  const completeBurnSources = new Set([
+    "scrape_components_complete",
+    "scrape_energy_burned_total",
+    "scrape_energy_balance_proxy_total",
+    "nutrition_components_complete",
+  ]);
+  const partialBurnSources = new Set([
+    "scrape_components_partial",
+    "nutrition_components_partial",
+  ]);
+  const daysWithCompleteComponents = perDay.filter((d) =>
+    completeBurnSources.has(d.burnedSource)
+  ).length;
+  const daysWithPartialComponents = perDay.filter((d) =>
+    partialBurnSources.has(d.burnedSource)
+  ).length;
+  const daysUsingFallback = perDay.filter(
+    (d) =>
+      !completeBurnSources.has(d.burnedSource) &&
+      !partialBurnSources.has(d.burnedSource)
+  ).length;
+  const missingComponentCounts = { bmr: 0, tef: 0, exercise: 0, trackerActivity: 0 };
+  for (const day of perDay) {
+    for (const component of day.missingBurnComponents || []) {
+      if (Object.prototype.hasOwnProperty.call(missingComponentCounts, component)) {
+        missingComponentCounts[component] += 1;
       }
+    }
+  }
+  const dataQuality =
+    daysWithCompleteComponents === daysUsed && daysUsed > 0
+      ? "component_complete"
+      : daysWithPartialComponents > 0 || daysUsingFallback > 0
+        ? "component_incomplete"
+        : "no_completed_days";
+  const burnSourceCounts = {};
+  for (const day of perDay) {
+    burnSourceCounts[day.burnedSource] = (burnSourceCounts[day.burnedSource] || 0) + 1;
+  }
 
-      const burnComponents = extractBurnedComponents(entry);
-      if (burnComponents.hasAny) return false;
+  return {
+    range: rangeSpec,
+    trailingWindowExcludingToday:
+      explicitRange === null
+        ? { start: trailing.start, end: trailing.end }
+        : null,
+    daysRequested: days,
+    daysUsed,
+    completedOnly: true,
+    formula:
+      "(trailing calories consumed total - trailing calories burned total) / daysUsed",
+    totals: {
+      consumedCalories: consumedTotal,
+      burnedCalories: burnedTotal,
+      burnedRawCalories: burnedRawTotal,
+      netCalories: netTotal,
+    },
+    averageNetCaloriesPerDay: averagePerDay,
+    averageDeficitPerDay,
+    averageSurplusPerDay,
+    averageStatus:
+      averagePerDay < 0
+        ? "deficit"
+        : averagePerDay > 0
+          ? "surplus"
+          : "at_target",
+    diagnostics: {
+      dataQuality,
+      daysWithCompleteComponents,
+      daysWithPartialComponents,
+      daysUsingFallback,
+      missingComponentCounts,
+      burnRelatedNutritionKeys,
+      burnSourceCounts,
+      nutritionFetch: nutritionFetchMeta,
+      exercisesFetch: exercisesFetchMeta,
+      scrapeAttempted: scrapeLookup.missing.length > 0,
+      scrapeDaysRequested: scrapeLookup.missing.length,
+      scrapeDaysReturned: scrapedEntries.length,
+      scrapeError,
+      scrapeCache: {
+        hits: scrapeLookup.hits.length,
+        misses: scrapeLookup.missing.length,
+        hitDates: scrapeLookup.hits.map((entry) => entry.date),
+        missDates: scrapeLookup.missing,
+        stored: scrapeCacheStored,
+      },
+      scrapeBatches: scrapeBatchMeta,
+      scrapePreview: scrapedEntries,
+      exercisesFallbackAttempted: needsExerciseFallback,
+      exercisesFallbackError: exercisesError,
+      fallbackReason:
+        dataQuality === "component_incomplete"
+          ? "Missing complete burn components in scrape/export for one or more completed days."
+          : null,
+    },
+    notes: [
+      "completed days only are included",
+      "today is excluded by date even if marked completed",
+      "default range is yesterday-back for requested day count",
+      "burnedCalories first uses scraped Cronometer Energy Summary data when available",
+      "scraped completed days are cached per date; only missing or expired dates are scraped",
+      "scrape resolves total burn from best available metric (Energy Burned, Energy Balance proxy, or component sum with Baseline)",
+      "if scrape/export components are unavailable, endpoint falls back to inferred burned fields or exercise export totals",
+      "burnedRawCalories preserves raw source sign/value",
+      "if averageNetCaloriesPerDay is positive, that is an average surplus",
+    ],
+    perDay,
+  };
+}
 
-      const inferredBurned = inferBurnedCalories(entry);
-      if (inferredBurned) return false;
+apiRoute(
+  "GET",
+  "/api/v1/summary/weekly-average-deficit",
+  async (req, res) => {
+    res.json(await buildWeeklyAverageDeficit(req.profile, req.query));
+  }
+);
+
+const WEIGHT_TREND_WARMUP_DAYS = 30;
+
+function resolveSummaryWindow(query, defaultDays, { endDaysAgo = 0 } = {}) {
+  const range = typeof query.range === "string" ? query.range.trim() : "";
+  if (range) {
+    const window = resolveDateWindow({ range });
+    if (!window) throw new HttpError(400, `Invalid range: ${range}`);
+    return window;
+  }
+  const daysRaw = parseNumber(query.days);
+  const days = daysRaw === null ? defaultDays : Math.trunc(daysRaw);
+  const end = addDays(formatLocalDate(new Date()), -endDaysAgo);
+  return { start: addDays(end, -(days - 1)), end };
+}
 
-      return true;
+async function buildWeightTrend(profile, query) {
+  const window = resolveSummaryWindow(query, 30);
+  const alpha = parseNumber(query.alpha) ?? 0.1;
+  const smaDays = Math.trunc(parseNumber(query.sma_days) ?? 7);
+  const unit = typeof query.unit === "string" && query.unit.trim() ? query.unit.trim() : null;
+  const warmupStart = addDays(window.start, -WEIGHT_TREND_WARMUP_DAYS);
+
+  const fetchMeta = {};
+  const rows = await readDatasetJson(
+    profile,
+    "weight",
+    { range: `${warmupStart}:${window.end}` },
+    { meta: fetchMeta }
+  );
+  const trend = computeWeightTrend(rows, {
+    start: window.start,
+    end: window.end,
+    warmupStart,
+    alpha,
+    smaDays,
+    unit,
+  });
+  if (!trend) {
+    throw new HttpError(404, "No weigh-ins found in or before the requested range", {
+      start: warmupStart,
+      end: window.end,
     });
+  }
 
-    let burnedByDate = new Map();
-    let exercisesError = null;
-    let exercisesFetchMeta = null;
-    if (needsExerciseFallback) {
-      try {
-        exercisesFetchMeta = {};
-        const exercisesRetried = await runCronoJsonWithRetry([
-          "export",
-          "exercises",
-          "--range",
-          rangeSpec,
-          "--json",
-        ], {
-          useCache: true,
-          allowStaleCacheOnRateLimit: true,
-          meta: exercisesFetchMeta,
-        });
-        const exerciseEntries = normalizeExerciseList(exercisesRetried);
-        burnedByDate = aggregateBurnedByDate(exerciseEntries);
-      } catch (error) {
-        exercisesError = error instanceof Error ? error.message : String(error);
-      }
+  return {
+    range: `${window.start}:${window.end}`,
+    smoothing: { alpha, movingAverageDays: smaDays, warmupDays: WEIGHT_TREND_WARMUP_DAYS },
+    ...trend,
+    diagnostics: { fetch: fetchMeta },
+    notes: [
+      "trendWeight is an exponential moving average: trend += alpha * (weight - trend)",
+      "days without a weigh-in are interpolated between neighbouring weigh-ins, or carry the nearest one at the edges",
+      `the trend is seeded from up to ${WEIGHT_TREND_WARMUP_DAYS} days before the range`,
+      "weeklyRate is the trend's change over the last 7 days; regression fits only actual weigh-ins in the range",
+    ],
+  };
+}
+
+apiRoute(
+  "GET",
+  "/api/v1/summary/weight-trend",
+  async (req, res) => {
+    res.json(await buildWeightTrend(req.profile, req.query));
+  }
+);
+
+async function buildAdaptiveTdee(profile, query, { onStatus, scrapeByDefault = false } = {}) {
+  // Completed days only, so the default window ends yesterday.
+  const window = resolveSummaryWindow(query, 28, { endDaysAgo: 1 });
+  const range = `${window.start}:${window.end}`;
+  const alpha = parseNumber(query.alpha) ?? 0.1;
+  // The scrape is the slow part, so the GET leaves it off unless asked for
+  // and the adaptive-tdee job runs it unless told not to.
+  const includeScraped =
+    query.include_scraped === undefined
+      ? scrapeByDefault
+      : toBool(String(query.include_scraped));
+  const warmupStart = addDays(window.start, -WEIGHT_TREND_WARMUP_DAYS);
+
+  onStatus?.("Fetching nutrition export...");
+  const nutritionFetchMeta = {};
+  const nutritionEntries = normalizeNutritionList(
+    await readDatasetJson(profile, "nutrition", { range }, { meta: nutritionFetchMeta })
+  );
+  const todayLocal = formatLocalDate(new Date());
+  const intakeByDate = new Map();
+  for (const entry of nutritionEntries) {
+    const date = typeof entry?.date === "string" ? entry.date : "";
+    const isCompleted = String(entry?.Completed || "").toLowerCase() === "true";
+    const calories = parseNumber(entry?.calories);
+    if (date && date !== todayLocal && isCompleted && calories !== null) {
+      intakeByDate.set(date, calories);
     }
+  }
 
-    const perDay = completedEntries.map((entry) => {
-      const date = entry?.date || null;
-      const consumed = parseNumber(entry?.calories) ?? 0;
-      const burnedAgg = date ? burnedByDate.get(date) : null;
-      const inferredBurned = inferBurnedCalories(entry);
-      const burnComponents = extractBurnedComponents(entry);
-      const scraped = date ? scrapedByDate.get(date) : null;
-
-      let burned = null;
-      let burnedRaw = null;
-      let burnedSource = "none";
-      let burnedBreakdown = {};
-      let missingBurnComponents = Object.keys(BURN_COMPONENT_KEYS);
-
-      const resolvedSource = scraped?.resolvedBurnedSource || null;
-      const resolvedTotal = scraped?.resolvedBurnedTotal || 0;
-      const scrapedComponentTotal =
-        scraped?.componentTotalWithBaseline ??
-        scraped?.componentTotal ??
-        scraped?.componentTotalCore ??
-        0;
-
-      if (resolvedTotal > 0) {
-        burned = resolvedTotal;
-        burnedRaw =
-          resolvedSource === "energyBurned"
-            ? scraped.energyBurned
-            : resolvedSource === "energyBalance"
-              ? scraped.energyBalance
-              : resolvedTotal;
-        burnedSource =
-          resolvedSource === "energyBurned"
-            ? "scrape_energy_burned_total"
-            : resolvedSource === "energyBalance"
-              ? "scrape_energy_balance_proxy_total"
-              : scraped?.hasAllCoreComponents
-                ? "scrape_components_complete"
-                : "scrape_components_partial";
-        burnedBreakdown = {
-          ...scraped.components,
-          energyBurned: scraped.energyBurned,
-          energyBalance: scraped.energyBalance,
-          componentTotalCore: scraped.componentTotalCore ?? null,
-          componentTotalWithBaseline: scraped.componentTotalWithBaseline ?? null,
-          resolvedBurnedSource: resolvedSource,
-          resolvedBurnedTotal: resolvedTotal,
-        };
-        missingBurnComponents =
-          scraped?.hasAllCoreComponents
-            ? []
-            : scraped?.missingComponents || Object.keys(BURN_COMPONENT_KEYS);
-      } else if (scrapedComponentTotal > 0) {
-        burned = scrapedComponentTotal;
-        burnedRaw = scrapedComponentTotal;
-        burnedSource = scraped?.hasAllCoreComponents
-          ? "scrape_components_complete"
-          : "scrape_components_partial";
-        burnedBreakdown = {
-          ...scraped.components,
-          energyBurned: scraped?.energyBurned ?? null,
-          energyBalance: scraped?.energyBalance ?? null,
-          componentTotalCore: scraped?.componentTotalCore ?? null,
-          componentTotalWithBaseline: scraped?.componentTotalWithBaseline ?? null,
-          resolvedBurnedSource: resolvedSource,
-          resolvedBurnedTotal: resolvedTotal,
-        };
-        missingBurnComponents = scraped?.hasAllCoreComponents
-          ? []
-          : scraped?.missingComponents || Object.keys(BURN_COMPONENT_KEYS);
-      } else if (burnComponents.hasAny) {
-        burned = burnComponents.total;
-        burnedRaw = burnComponents.rawTotal;
-        burnedSource = burnComponents.hasAll
-          ? "nutrition_components_complete"
-          : "nutrition_components_partial";
-        burnedBreakdown = burnComponents.components;
-        missingBurnComponents = burnComponents.missingComponents;
-      } else if (inferredBurned) {
-        burned = inferredBurned.burned;
-        burnedRaw = inferredBurned.burned;
-        burnedSource = inferredBurned.source;
-        burnedBreakdown = { inferred: inferredBurned.burned };
-      } else if (burnedAgg) {
-        burned = burnedAgg.burnedCalories;
-        burnedRaw = burnedAgg.burnedRawCalories;
-        burnedSource = "exercise_export_abs";
-        burnedBreakdown = burnedAgg.components;
-        missingBurnComponents = ["bmr", "tef"];
-      }
+  onStatus?.("Fetching weight...");
+  const weightFetchMeta = {};
+  const weightRows = await readDatasetJson(
+    profile,
+    "weight",
+    { range: `${warmupStart}:${window.end}` },
+    { meta: weightFetchMeta }
+  );
+  const trend = computeWeightTrend(weightRows, {
+    start: window.start,
+    end: window.end,
+    warmupStart,
+    alpha,
+  });
 
-      const burnedFinal = burned ?? 0;
-      const burnedRawFinal = burnedRaw ?? 0;
-      const net = consumed - burnedFinal;
+  const estimate = estimateAdaptiveTdee({
+    intakeByDate,
+    trend,
+    start: window.start,
+    end: window.end,
+  });
 
-      return {
-        date,
-        completed: true,
-        consumedCalories: consumed,
-        burnedCalories: burnedFinal,
-        burnedRawCalories: burnedRawFinal,
-        burnedSource,
-        burnedBreakdown,
-        missingBurnComponents,
-        netCalories: net,
-        status: net < 0 ? "deficit" : net > 0 ? "surplus" : "at_target",
+  let scraped = null;
+  if (includeScraped) {
+    try {
+      onStatus?.("Comparing with Cronometer's scraped burn...");
+      const deficit = await buildWeeklyAverageDeficit(profile, { range }, { onStatus });
+      const averageBurn =
+        deficit.daysUsed > 0 ? deficit.totals.burnedCalories / deficit.daysUsed : null;
+      const difference =
+        averageBurn !== null && estimate.estimatedTdee !== null
+          ? averageBurn - estimate.estimatedTdee
+          : null;
+      scraped = {
+        averageBurnedCalories: averageBurn === null ? null : Math.round(averageBurn),
+        daysUsed: deficit.daysUsed,
+        burnSourceCounts: deficit.diagnostics.burnSourceCounts,
+        differenceCalories: difference === null ? null : Math.round(difference),
+        differencePercent:
+          difference === null || !estimate.estimatedTdee
+            ? null
+            : Math.round((difference / estimate.estimatedTdee) * 1000) / 10,
+        error: null,
       };
+    } catch (error) {
+      scraped = { error: error instanceof Error ? error.message : String(error) };
+    }
+  }
+
+  return {
+    range,
+    ...estimate,
+    scrapedBurn: scraped,
+    diagnostics: { nutritionFetch: nutritionFetchMeta, weightFetch: weightFetchMeta },
+    notes: [
+      "estimatedTdee = averageIntake - storedEnergyPerDay",
+      "storedEnergyPerDay is the weight trend's daily slope times 3500 kcal/lb (7716 kcal/kg)",
+      "averageIntake covers completed days only; today is excluded",
+      "scrapedBurn.differenceCalories > 0 means Cronometer's burn estimate is higher than the measured maintenance",
+    ],
+  };
+}
+
+apiRoute(
+  "GET",
+  "/api/v1/summary/adaptive-tdee",
+  async (req, res) => {
+    res.json(await buildAdaptiveTdee(req.profile, req.query));
+  }
+);
+
+async function buildGoalProjection(profile, query, { onStatus, scrapeByDefault = false } = {}) {
+  const targetWeight = parseNumber(query.target_weight);
+  if (targetWeight === null || targetWeight <= 0) {
+    throw new HttpError(400, "target_weight is required and must be positive");
+  }
+  const window = resolveSummaryWindow(query, 28);
+  const unit = typeof query.unit === "string" && query.unit.trim() ? query.unit.trim() : null;
+  // The deficit needs the browser scrape, so it defaults like
+  // adaptive-tdee's include_scraped: off on the GET, on in the job.
+  const includeDeficit =
+    query.include_deficit === undefined
+      ? scrapeByDefault
+      : toBool(String(query.include_deficit));
+  const warmupStart = addDays(window.start, -WEIGHT_TREND_WARMUP_DAYS);
+  const today = formatLocalDate(new Date());
+
+  onStatus?.("Fetching weight...");
+  const weightFetchMeta = {};
+  const weightRows = await readDatasetJson(
+    profile,
+    "weight",
+    { range: `${warmupStart}:${window.end}` },
+    { meta: weightFetchMeta }
+  );
+  const trend = computeWeightTrend(weightRows, {
+    start: window.start,
+    end: window.end,
+    warmupStart,
+    unit,
+  });
+  if (!trend) {
+    throw new HttpError(404, "No weigh-ins found in or before the requested range", {
+      start: warmupStart,
+      end: window.end,
     });
+  }
 
-    const daysWithoutBurnSource = perDay
-      .filter((day) => day.burnedSource === "none")
-      .map((day) => day.date)
-      .filter(Boolean);
-    if (daysWithoutBurnSource.length > 0) {
-      throw new HttpError(
-        503,
-        "Unable to determine burned calories for one or more completed days.",
-        {
-          range: rangeSpec,
-          daysWithoutBurnSource,
-          scrapeError,
-          exercisesFallbackError: exercisesError,
-        }
+  const currentWeight = trend.latest.trendWeight;
+  const rates = weeklyTrendRates(trend.perDay);
+  const byTrend = projectGoal({
+    currentWeight,
+    targetWeight,
+    weeklyRate: trend.weeklyRate ? trend.weeklyRate[trend.unit] : null,
+    today,
+  });
+  const spread = projectGoalRange({ currentWeight, targetWeight, rates, today });
+
+  let byDeficit = null;
+  if (includeDeficit) {
+    try {
+      onStatus?.("Fetching average calorie deficit...");
+      const deficit = await buildWeeklyAverageDeficit(
+        profile,
+        { range: `${window.start}:${window.end}` },
+        { onStatus }
       );
+      const net = deficit.averageNetCaloriesPerDay;
+      byDeficit = {
+        averageNetCaloriesPerDay: Math.round(net),
+        daysUsed: deficit.daysUsed,
+        ...projectGoal({
+          currentWeight,
+          targetWeight,
+          weeklyRate: deficit.daysUsed > 0 ? (net * 7) / KCAL_PER_WEIGHT_UNIT[trend.unit] : null,
+          today,
+        }),
+        error: null,
+      };
+    } catch (error) {
+      byDeficit = { error: error instanceof Error ? error.message : String(error) };
     }
+  }
 
-    const daysUsed = perDay.length;
-    const consumedTotal = perDay.reduce((sum, d) => sum + d.consumedCalories, 0);
-    const burnedTotal = perDay.reduce((sum, d) => sum + d.burnedCalories, 0);
-    const burnedRawTotal = perDay.reduce((sum, d) => sum + d.burnedRawCalories, 0);
-    const netTotal = consumedTotal - burnedTotal;
-    const averagePerDay = daysUsed === 0 ? 0 : netTotal / daysUsed;
-    const averageDeficitPerDay = averagePerDay < 0 ? Math.abs(averagePerDay) : 0;
-    const averageSurplusPerDay = averagePerDay > 0 ? averagePerDay : 0;
-    const completeBurnSources = new Set([
-      "scrape_components_complete",
-      "scrape_energy_burned_total",
-      "scrape_energy_balance_proxy_total",
-      "nutrition_components_complete",
-    ]);
-    const partialBurnSources = new Set([
-      "scrape_components_partial",
-      "nutrition_components_partial",
-    ]);
-    const daysWithCompleteComponents = perDay.filter((d) =>
-      completeBurnSources.has(d.burnedSource)
-    ).length;
-    const daysWithPartialComponents = perDay.filter((d) =>
-      partialBurnSources.has(d.burnedSource)
-    ).length;
-    const daysUsingFallback = perDay.filter(
-      (d) =>
-        !completeBurnSources.has(d.burnedSource) &&
-        !partialBurnSources.has(d.burnedSource)
-    ).length;
-    const missingComponentCounts = { bmr: 0, tef: 0, exercise: 0, trackerActivity: 0 };
-    for (const day of perDay) {
-      for (const component of day.missingBurnComponents || []) {
-        if (Object.prototype.hasOwnProperty.call(missingComponentCounts, component)) {
-          missingComponentCounts[component] += 1;
-        }
+  return {
+    range: `${window.start}:${window.end}`,
+    unit: trend.unit,
+    targetWeight,
+    currentTrendWeight: currentWeight,
+    remaining: Math.round((targetWeight - currentWeight) * 100) / 100,
+    asOf: today,
+    byTrend,
+    byDeficit,
+    bestCase: spread.best,
+    worstCase: spread.worst,
+    weeklyRates: rates,
+    diagnostics: { weightFetch: weightFetchMeta },
+    notes: [
+      "byTrend uses the weight trend's change over the last 7 days",
+      "byDeficit converts weekly-average-deficit's averageNetCaloriesPerDay at 3500 kcal/lb (7716 kcal/kg)",
+      "bestCase and worstCase use the fastest and slowest of the weekly trend rates in the range",
+      "status is reached, on_track, moving_away, no_change or too_slow (more than 10 years away)",
+    ],
+  };
+}
+
+apiRoute(
+  "GET",
+  "/api/v1/summary/goal-projection",
+  async (req, res) => {
+    res.json(await buildGoalProjection(req.profile, req.query));
+  }
+);
+
+// Dates with logged exercise, when the targets ask for training days to be
+// detected that way; null means use the trainingWeekdays schedule.
+async function loadTrainingDates(profile, targets, range) {
+  if (!targets.detectTrainingFromExercises) return null;
+  const exercises = normalizeExerciseList(
+    await readDatasetJson(profile, "exercises", { range })
+  );
+  const burned = aggregateBurnedByDate(exercises);
+  return new Set(
+    Array.from(burned.entries())
+      .filter(([, day]) => day.burnedCalories > 0)
+      .map(([date]) => date)
+  );
+}
+
+// Nutrition rows inside the window that Cronometer marks completed; today
+// never counts, even when it is marked.
+function completedEntriesIn(entries, window) {
+  const todayLocal = formatLocalDate(new Date());
+  return entries.filter((entry) => {
+    const date = typeof entry?.date === "string" ? entry.date : "";
+    const isCompleted = String(entry?.Completed || "").toLowerCase() === "true";
+    return date && date !== todayLocal && isCompleted && date >= window.start && date <= window.end;
+  });
+}
+
+function nutritionActuals(entry) {
+  const field = (keys) => getNumericField(entry, keys)?.value ?? null;
+  return {
+    kcal: parseNumber(entry?.calories),
+    protein: field(["protein", "Protein (g)"]),
+    carbs: field(["carbs", "Carbs (g)", "Net Carbs (g)"]),
+    fat: field(["fat", "Fat (g)"]),
+    fiber: field(["fiber", "Fiber (g)"]),
+  };
+}
+
+apiRoute(
+  "GET",
+  "/api/v1/targets",
+  async (req, res) => {
+    const targets = storesFor(req.profile).targets.get();
+    res.json({ targets, hasTargets: hasAnyTargets(targets) });
+  }
+);
+
+apiRoute(
+  "PUT",
+  "/api/v1/targets",
+  async (req, res) => {
+    const targets = await storesFor(req.profile).targets.replace(req.body);
+    res.json({ targets, hasTargets: hasAnyTargets(targets) });
+  }
+);
+
+async function buildAdherence(profile, query) {
+  const targets = storesFor(profile).targets.get();
+  if (!hasAnyTargets(targets)) {
+    throw new HttpError(409, "No targets configured. Set them with PUT /api/v1/targets.");
+  }
+  // Completed days only, so the default window ends yesterday.
+  const window = resolveSummaryWindow(query, 7, { endDaysAgo: 1 });
+  const range = `${window.start}:${window.end}`;
+
+  const fetchMeta = {};
+  const entries = normalizeNutritionList(
+    await readDatasetJson(profile, "nutrition", { range }, { meta: fetchMeta })
+  );
+  const trainingDates = await loadTrainingDates(profile, targets, range);
+
+  const perDay = completedEntriesIn(entries, window).map((entry) => {
+    const dayTargets = resolveDayTargets(targets, entry.date, {
+      trainingDay: trainingDates ? trainingDates.has(entry.date) : null,
+    });
+    return scoreDay(nutritionActuals(entry), dayTargets, {
+      tolerancePercent: targets.tolerancePercent,
+    });
+  });
+
+  const scored = perDay.filter((day) => day.score !== null);
+  return {
+    range,
+    tolerancePercent: targets.tolerancePercent,
+    trainingDaysFrom: trainingDates ? "exercises" : "trainingWeekdays",
+    daysScored: scored.length,
+    daysHit: scored.filter((day) => day.hit).length,
+    score:
+      scored.length > 0
+        ? Math.round((scored.reduce((sum, day) => sum + day.score, 0) / scored.length) * 10) / 10
+        : null,
+    weeks: summarizeWeeks(perDay),
+    perDay,
+    diagnostics: { nutritionFetch: fetchMeta },
+    notes: [
+      "completed days only are scored; today is excluded",
+      "kcal, carbs and fat score 100 at the target and lose a point per 1% off in either direction",
+      "protein and fiber are minimums: 100 at or above the target, proportional below it",
+      "a day is a hit when every targeted nutrient is within tolerancePercent",
+    ],
+  };
+}
+
+apiRoute(
+  "GET",
+  "/api/v1/summary/adherence",
+  async (req, res) => {
+    res.json(await buildAdherence(req.profile, req.query));
+  }
+);
+
+async function buildMicronutrients(profile, query) {
+  const window = resolveSummaryWindow(query, 7, { endDaysAgo: 1 });
+  const range = `${window.start}:${window.end}`;
+  const stored = storesFor(profile).targets.get().micronutrients || {};
+
+  const sex = query.sex || stored.sex || null;
+  const age = parseNumber(query.age) ?? stored.age ?? DEFAULT_AGE;
+  const referenceSource =
+    query.sex || query.age !== undefined ? "query" : stored.sex || stored.age ? "stored" : "default";
+  const shortfallPercent = parseNumber(query.shortfall_percent) ?? 70;
+  const references = resolveReferences({ sex, age, overrides: stored.overrides });
+
+  const fetchMeta = {};
+  const entries = normalizeNutritionList(
+    await readDatasetJson(profile, "nutrition", { range }, { meta: fetchMeta })
+  );
+  const days = completedEntriesIn(entries, window).map((entry) => ({ date: entry.date, items: parseMicronutrients(entry) }));
+
+  const summary = summarizeMicronutrients(days, references, { shortfallPercent });
+  const notes = [
+    "completed days only are included; today is excluded",
+    "references are US Dietary Reference Intakes (RDA, or AI where no RDA exists)",
+    `a chronic shortfall averages under ${shortfallPercent}% of the reference, with at least half of the days under it too`,
+    "upper limits that only apply to supplements (magnesium, niacin, folate, vitamin E, preformed vitamin A) are not checked",
+  ];
+  if (!sex) {
+    notes.push(
+      "sex is not configured: the higher of the male and female references is used; set micronutrients.sex via PUT /api/v1/targets or ?sex="
+    );
+  }
+
+  return {
+    range,
+    referenceProfile: { sex, age, source: referenceSource },
+    shortfallPercent,
+    daysIncluded: days.length,
+    chronicShortfalls: summary.chronicShortfalls,
+    overUpperLimit: summary.overUpperLimit,
+    nutrients: summary.nutrients,
+    perDay: summary.perDay,
+    diagnostics: { nutritionFetch: fetchMeta },
+    notes,
+  };
+}
+
+apiRoute(
+  "GET",
+  "/api/v1/summary/micronutrients",
+  async (req, res) => {
+    res.json(await buildMicronutrients(req.profile, req.query));
+  }
+);
+
+function profileForJob(profileId) {
+  const profile = profiles.get(profileId || DEFAULT_PROFILE_ID);
+  if (!profile) {
+    throw new HttpError(409, `Profile ${profileId} no longer exists`);
+  }
+  return profile;
+}
+
+// Shared by /api/v1/jobs and the scheduler.
+const JOB_HANDLERS = {
+  "weekly-average-deficit": (params, { onStatus, profileId }) =>
+    buildWeeklyAverageDeficit(profileForJob(profileId), params, { onStatus }),
+  "adaptive-tdee": (params, { onStatus, profileId }) =>
+    buildAdaptiveTdee(profileForJob(profileId), params, { onStatus, scrapeByDefault: true }),
+  "goal-projection": (params, { onStatus, profileId }) =>
+    buildGoalProjection(profileForJob(profileId), params, { onStatus, scrapeByDefault: true }),
+  "calorie-balance": (params, { onStatus, profileId }) => {
+    onStatus("Fetching nutrition export...");
+    return buildCalorieBalance(profileForJob(profileId), params);
+  },
+  export: async (params, { onStatus, profileId }) => {
+    const type = typeof params.type === "string" ? params.type : "";
+    if (!["nutrition", "exercises", "biometrics"].includes(type)) {
+      throw new HttpError(400, "Invalid export type");
+    }
+    onStatus(`Fetching ${type} export...`);
+    const fetchMeta = {};
+    const data = await readDatasetJson(profileForJob(profileId), type, params, {
+      meta: fetchMeta,
+    });
+    return { data, diagnostics: { fetch: fetchMeta } };
+  },
+  weight: async (params, { onStatus, profileId }) => {
+    onStatus("Fetching weight...");
+    return { data: await readDatasetJson(profileForJob(profileId), "weight", params) };
+  },
+};
+
+// Wraps each handler so everything it logs carries the fields picked from
+// its run context (a jobId or scheduleId).
+function withLogContext(handlers, pickFields) {
+  return Object.fromEntries(
+    Object.entries(handlers).map(([name, handler]) => [
+      name,
+      (params, context) => runWithLogContext(pickFields(context), () => handler(params, context)),
+    ])
+  );
+}
+
+const jobRunner = createJobRunner({
+  filePath: resolveDataPath("jobs", "jobs.json"),
+  concurrency: JOBS_CONCURRENCY,
+  retentionMs: JOBS_RETENTION_MS,
+  handlers: withLogContext(JOB_HANDLERS, ({ jobId }) => ({ jobId })),
+  onPersistError: (error) => {
+    logger.error("job store persist failed", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+  },
+});
+
+// Schedules run the job types with the same params, plus sync-credentials.
+const scheduleConfig = await loadScheduleConfig(process.env);
+for (const schedule of scheduleConfig.schedules) {
+  if (!profiles.get(schedule.profileId)) {
+    throw new Error(`Schedule "${schedule.id}": unknown profile "${schedule.profileId}"`);
+  }
+  const errors = validateParameters(JOB_PARAMS[schedule.task], schedule.params, "params");
+  if (errors.length > 0) {
+    throw new Error(`Schedule "${schedule.id}": ${describeValidationErrors(errors)}`);
+  }
+}
+
+const scheduler = createScheduler({
+  filePath: resolveDataPath("schedules", "runs.json"),
+  schedules: scheduleConfig.schedules,
+  tasks: withLogContext(
+    {
+      ...JOB_HANDLERS,
+      "sync-credentials": (_params, { profileId }) =>
+        syncProfileCredentials(profileForJob(profileId), { trigger: "schedule" }),
+    },
+    ({ scheduleId }) => ({ scheduleId })
+  ),
+  onPersistError: (error) => {
+    logger.error("schedule state persist failed", {
+      error: error instanceof Error ? error.message : String(error),
+    });
+  },
+  onRunFailed: (schedule, run) => {
+    logger.error("scheduled task failed", {
+      schedule: schedule.id,
+      task: schedule.task,
+      profile: schedule.profileId,
+      durationMs: run.lastDurationMs,
+      error: run.lastError.message,
+    });
+  },
+});
+
+apiRoute(
+  "POST",
+  "/api/v1/jobs",
+  async (req, res) => {
+    const type = typeof req.body?.type === "string" ? req.body.type.trim() : "";
+    const rawParams = req.body?.params;
+    const params =
+      rawParams && typeof rawParams === "object" && !Array.isArray(rawParams)
+        ? rawParams
+        : {};
+
+    if (!type) {
+      throw new HttpError(400, "type is required", { types: jobRunner.types });
+    }
+    const paramErrors = validateParameters(JOB_PARAMS[type], params, "body").map(
+      (error) => ({ ...error, path: `params.${error.path}` })
+    );
+    if (paramErrors.length > 0) {
+      throw validationError(paramErrors);
+    }
+
+    let job;
+    try {
+      job = jobRunner.create(type, params, { profileId: req.profile.id });
+    } catch (error) {
+      if (error instanceof QueueFullError) {
+        throw new HttpError(503, "Too many jobs are waiting; try again later", {
+          maxQueued: error.maxQueued,
+        });
       }
+      throw error;
     }
-    const dataQuality =
-      daysWithCompleteComponents === daysUsed && daysUsed > 0
-        ? "component_complete"
-        : daysWithPartialComponents > 0 || daysUsingFallback > 0
-          ? "component_incomplete"
-          : "no_completed_days";
-    const burnSourceCounts = {};
-    for (const day of perDay) {
-      burnSourceCounts[day.burnedSource] = (burnSourceCounts[day.burnedSource] || 0) + 1;
+    if (!job) {
+      throw new HttpError(400, `Unknown job type: ${type}`, {
+        types: jobRunner.types,
+      });
     }
 
+    res.status(202).json({
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      url: `/api/v1/jobs/${job.id}`,
+    });
+  }
+);
+
+apiRoute(
+  "GET",
+  "/api/v1/jobs",
+  async (req, res) => {
+    const status = typeof req.query.status === "string" ? req.query.status.trim() : "";
+    const type = typeof req.query.type === "string" ? req.query.type.trim() : "";
     res.json({
-      range: rangeSpec,
-      trailingWindowExcludingToday:
-        explicitRange === null
-          ? { start: trailing.start, end: trailing.end }
-          : null,
-      daysRequested: days,
-      daysUsed,
-      completedOnly: true,
-      formula:
-        "(trailing calories consumed total - trailing calories burned total) / daysUsed",
-      totals: {
-        consumedCalories: consumedTotal,
-        burnedCalories: burnedTotal,
-        burnedRawCalories: burnedRawTotal,
-        netCalories: netTotal,
-      },
-      averageNetCaloriesPerDay: averagePerDay,
-      averageDeficitPerDay,
-      averageSurplusPerDay,
-      averageStatus:
-        averagePerDay < 0
-          ? "deficit"
-          : averagePerDay > 0
-            ? "surplus"
-            : "at_target",
-      diagnostics: {
-        dataQuality,
-        daysWithCompleteComponents,
-        daysWithPartialComponents,
-        daysUsingFallback,
-        missingComponentCounts,
-        burnRelatedNutritionKeys,
-        burnSourceCounts,
-        nutritionFetch: nutritionFetchMeta,
-        exercisesFetch: exercisesFetchMeta,
-        scrapeAttempted: completedDates.length > 0,
-        scrapeDaysRequested: completedDates.length,
-        scrapeDaysReturned: scrapedEntries.length,
-        scrapeError,
-        scrapePreview: scrapedEntries,
-        exercisesFallbackAttempted: needsExerciseFallback,
-        exercisesFallbackError: exercisesError,
-        fallbackReason:
-          dataQuality === "component_incomplete"
-            ? "Missing complete burn components in scrape/export for one or more completed days."
-            : null,
-      },
-      notes: [
-        "completed days only are included",
-        "today is excluded by date even if marked completed",
-        "default range is yesterday-back for requested day count",
-        "burnedCalories first uses scraped Cronometer Energy Summary data when available",
-        "scrape resolves total burn from best available metric (Energy Burned, Energy Balance proxy, or component sum with Baseline)",
-        "if scrape/export components are unavailable, endpoint falls back to inferred burned fields or exercise export totals",
-        "burnedRawCalories preserves raw source sign/value",
-        "if averageNetCaloriesPerDay is positive, that is an average surplus",
-      ],
-      perDay,
+      types: jobRunner.types,
+      jobs: jobRunner.list({
+        status: status || null,
+        type: type || null,
+        profileId: req.profile.id,
+      }),
     });
-  })
+  }
+);
+
+apiRoute(
+  "GET",
+  "/api/v1/jobs/:id",
+  async (req, res) => {
+    const job = jobRunner.get(req.params.id, { profileId: req.profile.id });
+    if (!job) {
+      throw new HttpError(404, "Job not found");
+    }
+    res.json(job);
+  }
 );
 
-app.post(
+// `overrides` replaces the profile's stored credentials. A named profile's
+// are written back to profiles.json; the default profile's last until the
+// next restart re-syncs from .env. `trigger` (admin or schedule) goes to
+// the webhook.
+async function syncProfileCredentials(profile, { overrides = {}, trigger }) {
+  const merged = credentialSyncEnv(profile, {
+    kernelApiKey: overrides.kernelApiKey || profile.kernelApiKey,
+    cronometerEmail: overrides.cronometerEmail || profile.cronometerEmail,
+    cronometerPassword: overrides.cronometerPassword || profile.cronometerPassword,
+  });
+
+  const result = profile.isDefault
+    ? await syncCredentials(merged)
+    : await syncCredentialsInHome(merged, profile.home);
+  await profiles.updateCredentials(profile.id, {
+    kernelApiKey: merged.CRONO_KERNEL_API_KEY,
+    cronometerEmail: merged.CRONO_CRONOMETER_EMAIL,
+    cronometerPassword: merged.CRONO_CRONOMETER_PASSWORD,
+  });
+  await resetScrapeSession(profile.id);
+  webhooks.emit(profile.id, "credentials.synced", { trigger, ...result });
+  return result;
+}
+
+apiRoute(
+  "POST",
   "/api/v1/admin/sync-credentials",
-  asyncRoute(async (req, res) => {
-    const merged = {
-      ...process.env,
-      CRONO_KERNEL_API_KEY:
-        req.body?.kernelApiKey || process.env.CRONO_KERNEL_API_KEY,
-      CRONO_CRONOMETER_EMAIL:
-        req.body?.cronometerEmail || process.env.CRONO_CRONOMETER_EMAIL,
-      CRONO_CRONOMETER_PASSWORD:
-        req.body?.cronometerPassword || process.env.CRONO_CRONOMETER_PASSWORD,
-    };
+  async (req, res) => {
+    const result = await syncProfileCredentials(req.profile, {
+      overrides: req.body || {},
+      trigger: "admin",
+    });
+    res.json({ ok: true, profile: req.profile.id, ...result });
+  }
+);
+
+apiRoute(
+  "GET",
+  "/api/v1/admin/schedules",
+  async (req, res) => {
+    res.json({
+      source: scheduleConfig.filePath,
+      tasks: scheduler.tasks,
+      schedules: scheduler.list({ profileId: req.profile.id }),
+    });
+  }
+);
 
-    const result = await syncCredentials(merged);
-    res.json({ ok: true, ...result });
-  })
+apiRoute(
+  "GET",
+  "/api/v1/admin/schedules/:id",
+  async (req, res) => {
+    const schedule = scheduler.get(req.params.id, { profileId: req.profile.id });
+    if (!schedule) throw new HttpError(404, "Schedule not found");
+    res.json(schedule);
+  }
+);
+
+// Runs in the background like a job; poll the schedule for lastRun.
+apiRoute(
+  "POST",
+  "/api/v1/admin/schedules/:id/run",
+  async (req, res) => {
+    const { id } = req.params;
+    if (!scheduler.get(id, { profileId: req.profile.id })) {
+      throw new HttpError(404, "Schedule not found");
+    }
+    if (!scheduler.trigger(id, { reason: "manual" })) {
+      throw new HttpError(409, "Schedule is already running");
+    }
+    res.status(202).json({
+      ok: true,
+      schedule: scheduler.get(id, { profileId: req.profile.id }),
+      url: `/api/v1/admin/schedules/${id}`,
+    });
+  }
 );
 
-app.use((err, _req, res, _next) => {
+apiRoute(
+  "POST",
+  "/api/v1/admin/warehouse/sync",
+  async (req, res) => {
+    if (!WAREHOUSE_ENABLED) {
+      throw new HttpError(409, "Warehouse is disabled (CRONO_WAREHOUSE_ENABLED=false)");
+    }
+    const status = await storesFor(req.profile).warehouse.sync();
+    res.json({ ok: true, ...status });
+  }
+);
+
+apiRoute(
+  "POST",
+  "/api/v1/admin/scrape-cache/invalidate",
+  async (req, res) => {
+    const all = req.body?.all === true;
+    const dates = Array.isArray(req.body?.dates)
+      ? req.body.dates.filter((date) => isIsoDate(date))
+      : [];
+
+    if (!all && dates.length === 0) {
+      throw new HttpError(400, "Provide dates: [YYYY-MM-DD, ...] or all: true");
+    }
+
+    const { scrapeCache } = storesFor(req.profile);
+    const removed = scrapeCache.invalidate(all ? null : dates);
+    res.json({ ok: true, removed, scrapeCache: scrapeCache.stats() });
+  }
+);
+
+apiRoute(
+  "GET",
+  "/api/v1/admin/keys",
+  async (req, res) => {
+    res.json({ scopes: API_KEY_SCOPES, keys: apiKeys.list({ profileId: req.profile.id }) });
+  }
+);
+
+apiRoute(
+  "POST",
+  "/api/v1/admin/keys",
+  async (req, res) => {
+    const label = typeof req.body?.label === "string" ? req.body.label.trim() : "";
+    if (!label || label.length > 80) {
+      throw new HttpError(400, "label is required (max 80 characters)");
+    }
+    const scopes = normalizeScopes(req.body?.scopes ?? ["read"]);
+    if (!scopes) {
+      throw new HttpError(400, "scopes must be a non-empty list of read, write, admin", {
+        scopes: API_KEY_SCOPES,
+      });
+    }
+
+    const { secret, key } = apiKeys.create({
+      label,
+      scopes,
+      profileId: req.profile.id,
+      expiresAt: parseKeyExpiry(req.body) ?? null,
+    });
+    res.status(201).json({ ...key, key: secret });
+  }
+);
+
+apiRoute(
+  "POST",
+  "/api/v1/admin/keys/:id/rotate",
+  async (req, res) => {
+    const rotated = apiKeys.rotate(req.params.id, {
+      profileId: req.profile.id,
+      expiresAt: parseKeyExpiry(req.body),
+    });
+    if (!rotated) {
+      throw new HttpError(404, "Active API key not found");
+    }
+    res.json({ ...rotated.key, key: rotated.secret });
+  }
+);
+
+apiRoute(
+  "DELETE",
+  "/api/v1/admin/keys/:id",
+  async (req, res) => {
+    // Config keys have full access to their own profile, so without one the
+    // profile's last admin key is the only way left to manage its keys.
+    if (
+      req.profile.apiKeys.length === 0 &&
+      apiKeys.isLastActiveAdmin(req.params.id, { profileId: req.profile.id })
+    ) {
+      throw new HttpError(
+        409,
+        "Refusing to revoke the last active admin key; create another admin key first"
+      );
+    }
+    const key = apiKeys.revoke(req.params.id, { profileId: req.profile.id });
+    if (!key) {
+      throw new HttpError(404, "API key not found");
+    }
+    res.json({ ok: true, key });
+  }
+);
+
+// Date-only bounds cover the whole UTC day; timestamps are normalized to
+// the journal's toISOString() form so they compare as strings.
+function auditTimeBound(raw, { end = false } = {}) {
+  if (typeof raw !== "string" || raw === "") return null;
+  if (isIsoDate(raw)) return `${raw}T${end ? "23:59:59.999" : "00:00:00.000"}Z`;
+  const parsed = Date.parse(raw);
+  if (!Number.isFinite(parsed)) throw new HttpError(400, `Invalid timestamp: ${raw}`);
+  return new Date(parsed).toISOString();
+}
+
+apiRoute(
+  "GET",
+  "/api/v1/audit",
+  async (req, res) => {
+    const { query } = req;
+    res.json(
+      await auditLog.query({
+        profileId: req.profile.id,
+        limit: parseNumber(query.limit) ?? 50,
+        before: parseNumber(query.before),
+        method: query.method || null,
+        pathPrefix: query.path || null,
+        keyLabel: query.key_label || null,
+        status: parseNumber(query.status),
+        command: query.command || null,
+        from: auditTimeBound(query.from),
+        to: auditTimeBound(query.to, { end: true }),
+      })
+    );
+  }
+);
+
+apiRoute(
+  "GET",
+  "/api/v1/webhooks",
+  async (req, res) => {
+    res.json({ events: WEBHOOK_EVENTS, webhooks: webhooks.list({ profileId: req.profile.id }) });
+  }
+);
+
+apiRoute(
+  "POST",
+  "/api/v1/webhooks",
+  async (req, res) => {
+    const { webhook, secret } = webhooks.register({
+      profileId: req.profile.id,
+      url: req.body.url,
+      events: req.body.events,
+      description: req.body.description?.trim() || null,
+      secret: req.body.secret || null,
+    });
+    res.status(201).json({ ...webhook, secret });
+  }
+);
+
+apiRoute(
+  "GET",
+  "/api/v1/webhooks/dead-letters",
+  async (req, res) => {
+    res.json({ deadLetters: webhooks.listDeadLetters({ profileId: req.profile.id }) });
+  }
+);
+
+apiRoute(
+  "POST",
+  "/api/v1/webhooks/dead-letters/:id/retry",
+  async (req, res) => {
+    const delivery = webhooks.retryDeadLetter(req.params.id, { profileId: req.profile.id });
+    if (!delivery) throw new HttpError(404, "Dead letter not found");
+    res.status(202).json({ ok: true, delivery });
+  }
+);
+
+apiRoute(
+  "DELETE",
+  "/api/v1/webhooks/:id",
+  async (req, res) => {
+    const webhook = webhooks.remove(req.params.id, { profileId: req.profile.id });
+    if (!webhook) throw new HttpError(404, "Webhook not found");
+    res.json({ ok: true, webhook });
+  }
+);
+
+// Pings go out as a "ping" event that subscriptions never receive otherwise.
+apiRoute(
+  "POST",
+  "/api/v1/webhooks/:id/ping",
+  async (req, res) => {
+    const webhook = webhooks.get(req.params.id, { profileId: req.profile.id });
+    if (!webhook) throw new HttpError(404, "Webhook not found");
+    const [deliveryId] = webhooks.emit(
+      req.profile.id,
+      "ping",
+      { webhookId: webhook.id, sentAt: new Date().toISOString() },
+      { only: webhook.id }
+    );
+    res.status(202).json({ ok: true, deliveryId });
+  }
+);
+
+const missingRoutes = ROUTES.filter(
+  (route) => !registeredRoutes.has(`${route.method} ${route.path}`)
+);
+if (missingRoutes.length > 0) {
+  throw new Error(
+    `Schemas without a route: ${missingRoutes.map((route) => `${route.method} ${route.path}`).join(", ")}`
+  );
+}
+
+const openApiDocument = buildOpenApiDocument({
+  routes: ROUTES,
+  components: COMPONENT_SCHEMAS,
+  version: APP_VERSION,
+  scopeFor: requiredScope,
+});
+
+app.use((err, req, res, _next) => {
+  if (err?.type === "entity.parse.failed") {
+    err = validationError([{ in: "body", path: "", message: "is not valid JSON" }]);
+  }
   const status = Number.isInteger(err?.status) ? err.status : 500;
+  if (status >= 500) {
+    logger.error("request failed", {
+      requestId: req.id,
+      method: req.method,
+      path: req.path,
+      status,
+      error: err?.message || String(err),
+    });
+  }
   const payload = {
     error: err?.message || "Internal server error",
+    requestId: req.id,
   };
   if (err?.extra) payload.details = err.extra;
+  // Handler-level 400s get the same errors list as schema validation.
+  if (status === 400 && !Array.isArray(payload.details?.errors)) {
+    payload.details = {
+      ...payload.details,
+      errors: [{ in: "request", path: "", message: payload.error }],
+    };
+  }
   res.status(status).json(payload);
 });
 
-app.listen(PORT, HOST, () => {
-  console.log(
-    JSON.stringify({
-      message: "crono-api started",
-      host: HOST,
-      port: PORT,
-      requireApiKey: REQUIRE_API_KEY,
-      cronoBin: CRONO_BIN,
-      rateLimitRetryAttempts: RATE_LIMIT_RETRY_ATTEMPTS,
-      rateLimitBaseDelayMs: RATE_LIMIT_BASE_DELAY_MS,
-      rateLimitMaxDelayMs: RATE_LIMIT_MAX_DELAY_MS,
-      exportCacheTtlMs: EXPORT_CACHE_TTL_MS,
-      exportCacheStaleTtlMs: EXPORT_CACHE_STALE_TTL_MS,
-      exportCacheMaxEntries: EXPORT_CACHE_MAX_ENTRIES,
+try {
+  await jsonCommandCache.load();
+} catch (error) {
+  logger.error("export cache load failed", {
+    error: error instanceof Error ? error.message : String(error),
+  });
+}
+
+for (const profile of profiles.list()) {
+  const stores = storesFor(profile);
+  for (const [name, store] of [
+    ["scrape cache", stores.scrapeCache],
+    ["targets store", stores.targets],
+    ["template store", stores.templates],
+    ["food library", stores.foods],
+  ]) {
+    try {
+      await store.load();
+    } catch (error) {
+      logger.error(`${name} load failed`, {
+        profile: profile.id,
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+}
+
+try {
+  await scheduler.load();
+} catch (error) {
+  logger.error("schedule state load failed", {
+    error: error instanceof Error ? error.message : String(error),
+  });
+}
+scheduler.start();
+
+try {
+  await jobRunner.load();
+} catch (error) {
+  logger.error("job store load failed", {
+    error: error instanceof Error ? error.message : String(error),
+  });
+}
+
+if (WAREHOUSE_ENABLED) {
+  for (const profile of profiles.list()) {
+    const { warehouse } = storesFor(profile);
+    try {
+      await warehouse.load();
+    } catch (error) {
+      logger.error("warehouse load failed", {
+        profile: profile.id,
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+    warehouse.start({ intervalMs: WAREHOUSE_SYNC_INTERVAL_MS });
+  }
+}
+
+async function buildDailySummary(profile, date) {
+  const range = `${date}:${date}`;
+  const balance = await buildCalorieBalance(profile, { range });
+  const entries = normalizeNutritionList(await readDatasetJson(profile, "nutrition", { range }));
+  const entry = entries.find((item) => item?.date === date) || null;
+  return {
+    date,
+    completed: entry ? String(entry.Completed || "").toLowerCase() === "true" : false,
+    calories: balance.perDay.find((day) => day.date === date) || null,
+    macros: entry ? nutritionActuals(entry) : null,
+  };
+}
+
+// summary.daily covers yesterday and goes out once a day per profile, at the
+// first check after CRONO_WEBHOOK_DAILY_SUMMARY_HOUR local time. The sent
+// date is stored with the queue, so restarts do not send it twice.
+async function sendDailySummaries() {
+  const now = new Date();
+  if (now.getHours() < WEBHOOK_DAILY_SUMMARY_HOUR) return;
+  const date = addDays(formatLocalDate(now), -1);
+  for (const profile of profiles.list()) {
+    const stateKey = `summary.daily:${profile.id}`;
+    if (!webhooks.hasSubscribers(profile.id, "summary.daily")) continue;
+    if (webhooks.getState(stateKey) === date) continue;
+    try {
+      webhooks.emit(profile.id, "summary.daily", await buildDailySummary(profile, date));
+      webhooks.setState(stateKey, date);
+    } catch (error) {
+      logger.error("daily summary webhook failed", {
+        profile: profile.id,
+        date,
+        error: error instanceof Error ? error.message : String(error),
+      });
+    }
+  }
+}
+
+function scheduleDailySummaries() {
+  const timer = setTimeout(async () => {
+    await sendDailySummaries();
+    scheduleDailySummaries();
+  }, DAILY_SUMMARY_CHECK_MS);
+  timer.unref();
+}
+
+webhooks.start();
+scheduleDailySummaries();
+
+// Named profiles keep their crono credential store in their own HOME, which
+// start.sh does not know about, so seed those stores here.
+for (const profile of profiles.list()) {
+  if (profile.isDefault) continue;
+  if (!profile.kernelApiKey || !profile.cronometerEmail || !profile.cronometerPassword) {
+    continue;
+  }
+  syncCredentialsInHome(credentialSyncEnv(profile, profile), profile.home)
+    .then((result) => {
+      webhooks.emit(profile.id, "credentials.synced", { trigger: "startup", ...result });
     })
-  );
+    .catch((error) => {
+      logger.error("profile credential sync failed", {
+        profile: profile.id,
+        error: error instanceof Error ? error.message : String(error),
+      });
+    });
+}
+
+app.listen(PORT, HOST, () => {
+  logger.info("crono-api started", {
+    host: HOST,
+    port: PORT,
+    requireApiKey: isApiKeyRequired(),
+    storedApiKeys: apiKeys.stats().active,
+    profiles: profiles.list().map((profile) => profile.id),
+    cronoBin: CRONO_BIN,
+    rateLimitRetryAttempts: RATE_LIMIT_RETRY_ATTEMPTS,
+    rateLimitBaseDelayMs: RATE_LIMIT_BASE_DELAY_MS,
+    rateLimitMaxDelayMs: RATE_LIMIT_MAX_DELAY_MS,
+    exportCacheTtlMs: EXPORT_CACHE_TTL_MS,
+    exportCacheStaleTtlMs: EXPORT_CACHE_STALE_TTL_MS,
+    exportCacheMaxEntries: EXPORT_CACHE_MAX_ENTRIES,
+    exportCachePersist: EXPORT_CACHE_PERSIST,
+    exportCacheEntriesLoaded: jsonCommandCache.stats().loadedEntries,
+    cliConcurrency: CLI_CONCURRENCY,
+    cliQueueMax: CLI_QUEUE_MAX,
+    warehouseEnabled: WAREHOUSE_ENABLED,
+    warehouseSyncIntervalMs: WAREHOUSE_SYNC_INTERVAL_MS,
+    webhooks: webhooks.stats().webhooks,
+    schedules: scheduler.stats().enabled,
+    logLevel: logger.level,
+  });
 });
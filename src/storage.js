@@ -0,0 +1,86 @@
+import path from "node:path";
+import {
+  appendFile,
+  mkdir,
+  readFile,
+  rename,
+  writeFile,
+} from "node:fs/promises";
+
+const DEFAULT_DATA_DIR = "/data";
+
+export function resolveDataDir(raw = process.env) {
+  const configured = raw.CRONO_DATA_DIR;
+  if (typeof configured === "string" && configured.trim() !== "") {
+    return configured.trim();
+  }
+  return DEFAULT_DATA_DIR;
+}
+
+export function resolveDataPath(...segments) {
+  return path.join(resolveDataDir(process.env), ...segments);
+}
+
+export async function readJsonFile(filePath, fallback = null) {
+  let raw;
+  try {
+    raw = await readFile(filePath, "utf-8");
+  } catch (error) {
+    if (error?.code === "ENOENT") return fallback;
+    throw error;
+  }
+  if (raw.trim() === "") return fallback;
+  return JSON.parse(raw);
+}
+
+export async function writeJsonFileAtomic(filePath, value) {
+  await mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  await writeFile(tmpPath, `${JSON.stringify(value)}\n`, "utf-8");
+  await rename(tmpPath, filePath);
+}
+
+export async function readJsonLines(filePath) {
+  let raw;
+  try {
+    raw = await readFile(filePath, "utf-8");
+  } catch (error) {
+    if (error?.code === "ENOENT") return [];
+    throw error;
+  }
+
+  const records = [];
+  for (const line of raw.split("\n")) {
+    if (line.trim() === "") continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // A torn final line from a crash mid-append is skipped.
+    }
+  }
+  return records;
+}
+
+export async function appendJsonLines(filePath, records) {
+  if (records.length === 0) return;
+  await mkdir(path.dirname(filePath), { recursive: true });
+  const body = records.map((record) => JSON.stringify(record)).join("\n");
+  await appendFile(filePath, `${body}\n`, "utf-8");
+}
+
+export async function writeJsonLinesAtomic(filePath, records) {
+  await mkdir(path.dirname(filePath), { recursive: true });
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  const body = records.map((record) => `${JSON.stringify(record)}\n`).join("");
+  await writeFile(tmpPath, body, "utf-8");
+  await rename(tmpPath, filePath);
+}
+
+export function createWriteQueue() {
+  let tail = Promise.resolve();
+  return function enqueue(task) {
+    const run = tail.then(task);
+    tail = run.catch(() => {});
+    return run;
+  };
+}
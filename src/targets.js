@@ -0,0 +1,116 @@
+import { parseLocalDate } from "./dates.js";
+import { createWriteQueue, readJsonFile, writeJsonFileAtomic } from "./storage.js";
+
+export const TARGET_NUTRIENTS = ["kcal", "protein", "carbs", "fat", "fiber"];
+export const WEEKDAYS = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+export const EMPTY_TARGETS = {
+  default: {},
+  weekdays: {},
+  trainingDay: {},
+  restDay: {},
+  trainingWeekdays: [],
+  detectTrainingFromExercises: false,
+  tolerancePercent: 10,
+  micronutrients: { sex: null, age: null, overrides: {} },
+  updatedAt: null,
+};
+
+export function weekdayOf(date) {
+  return WEEKDAYS[parseLocalDate(date).getDay()];
+}
+
+function pickNutrients(source) {
+  const picked = {};
+  for (const nutrient of TARGET_NUTRIENTS) {
+    if (typeof source?.[nutrient] === "number") picked[nutrient] = source[nutrient];
+  }
+  return picked;
+}
+
+/**
+ * Resolves the targets for one day. Layers apply from least to most
+ * specific: `default`, then `trainingDay`/`restDay`, then the weekday's own
+ * override. Each nutrient reports which layer it came from.
+ */
+export function resolveDayTargets(targets, date, { trainingDay = null } = {}) {
+  const weekday = weekdayOf(date);
+  const isTraining =
+    trainingDay ?? (targets.trainingWeekdays || []).includes(weekday);
+  const layers = [
+    ["default", targets.default],
+    [isTraining ? "trainingDay" : "restDay", isTraining ? targets.trainingDay : targets.restDay],
+    [`weekdays.${weekday}`, targets.weekdays?.[weekday]],
+  ];
+
+  const values = {};
+  const sources = {};
+  for (const [name, layer] of layers) {
+    for (const [nutrient, value] of Object.entries(pickNutrients(layer))) {
+      values[nutrient] = value;
+      sources[nutrient] = name;
+    }
+  }
+  return { date, weekday, dayType: isTraining ? "training" : "rest", values, sources };
+}
+
+export function hasAnyTargets(targets) {
+  const layers = [
+    targets.default,
+    targets.trainingDay,
+    targets.restDay,
+    ...Object.values(targets.weekdays || {}),
+  ];
+  return layers.some((layer) => Object.keys(pickNutrients(layer)).length > 0);
+}
+
+export function createTargetsStore({ filePath, onPersistError = () => {} }) {
+  let targets = { ...EMPTY_TARGETS };
+  const enqueueWrite = createWriteQueue();
+
+  async function load() {
+    const stored = await readJsonFile(filePath, null);
+    targets = { ...EMPTY_TARGETS, ...(stored?.targets || {}) };
+    return hasAnyTargets(targets);
+  }
+
+  function get() {
+    return targets;
+  }
+
+  // Replaces each top-level section `next` includes and keeps the stored
+  // value of every section it leaves out, so a macro-only PUT keeps the
+  // micronutrient settings and a micronutrient-only PUT keeps the macros.
+  async function replace(next) {
+    targets = {
+      ...EMPTY_TARGETS,
+      ...targets,
+      ...next,
+      updatedAt: new Date().toISOString(),
+    };
+    if (next.micronutrients) {
+      targets.micronutrients = {
+        ...EMPTY_TARGETS.micronutrients,
+        ...next.micronutrients,
+      };
+    }
+    const snapshot = targets;
+    await enqueueWrite(() => writeJsonFileAtomic(filePath, { targets: snapshot })).catch(
+      (error) => {
+        onPersistError(error);
+        throw error;
+      }
+    );
+    return targets;
+  }
+
+  return { load, get, replace };
+}
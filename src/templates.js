@@ -0,0 +1,160 @@
+import { randomUUID } from "node:crypto";
+import { createWriteQueue, readJsonFile, writeJsonFileAtomic } from "./storage.js";
+
+const MACROS = ["protein", "carbs", "fat"];
+
+// Items with a name are logged as that food; items without one are
+// macro-only and go through quick-add.
+export function isQuickAddItem(item) {
+  return !item.name;
+}
+
+/**
+ * Checks what the JSON schema cannot express: every item needs a food name
+ * or at least one macro. Returns validation errors in the API's shape.
+ */
+export function validateTemplateItems(items) {
+  const errors = [];
+  items.forEach((item, index) => {
+    if (!item.name && !MACROS.some((macro) => typeof item[macro] === "number")) {
+      errors.push({
+        in: "body",
+        path: `items[${index}]`,
+        message: "needs a name, or at least one of protein, carbs, fat",
+      });
+    }
+  });
+  return errors;
+}
+
+// Returns the write operations for one log of the template: servings and
+// quick-add macros are multiplied by `scale`, and `meal` overrides both the
+// template's and each item's meal.
+export function templateOperations(template, { scale = 1, meal = null } = {}) {
+  return template.items.map((item) => {
+    const itemMeal = meal || item.meal || template.meal || undefined;
+    if (isQuickAddItem(item)) {
+      const op = { op: "quick-add", meal: itemMeal };
+      for (const macro of MACROS) {
+        if (typeof item[macro] === "number") {
+          op[macro] = Math.round(item[macro] * scale * 10) / 10;
+        }
+      }
+      return op;
+    }
+    const servings = (item.servings ?? 1) * scale;
+    return {
+      op: "log",
+      name: item.name,
+      meal: itemMeal,
+      ...(item.servings !== undefined || scale !== 1
+        ? { servings: Math.round(servings * 100) / 100 }
+        : {}),
+    };
+  });
+}
+
+export function createTemplateStore({ filePath, onPersistError = () => {} }) {
+  const templates = new Map();
+  const enqueueWrite = createWriteQueue();
+
+  async function persist() {
+    const snapshot = Array.from(templates.values());
+    await enqueueWrite(() => writeJsonFileAtomic(filePath, { templates: snapshot })).catch(
+      (error) => {
+        onPersistError(error);
+        throw error;
+      }
+    );
+  }
+
+  // For changes the caller waits on: if the write fails, `undo` puts the
+  // map back so memory never disagrees with what the API reported.
+  async function persistOrUndo(undo) {
+    try {
+      await persist();
+    } catch (error) {
+      undo();
+      throw error;
+    }
+  }
+
+  async function load() {
+    const stored = await readJsonFile(filePath, null);
+    templates.clear();
+    for (const template of stored?.templates || []) {
+      if (template?.id) templates.set(template.id, template);
+    }
+    return templates.size;
+  }
+
+  function list() {
+    return Array.from(templates.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  function get(id) {
+    return templates.get(id) || null;
+  }
+
+  function findByName(name, { exceptId = null } = {}) {
+    const wanted = name.trim().toLowerCase();
+    return (
+      Array.from(templates.values()).find(
+        (template) => template.id !== exceptId && template.name.toLowerCase() === wanted
+      ) || null
+    );
+  }
+
+  async function create({ name, meal = null, items }) {
+    const now = new Date().toISOString();
+    const template = {
+      id: randomUUID(),
+      name: name.trim(),
+      meal,
+      items,
+      createdAt: now,
+      updatedAt: now,
+      lastLoggedAt: null,
+    };
+    templates.set(template.id, template);
+    await persistOrUndo(() => templates.delete(template.id));
+    return template;
+  }
+
+  async function update(id, { name, meal = null, items }) {
+    const existing = templates.get(id);
+    if (!existing) return null;
+    const template = {
+      ...existing,
+      name: name.trim(),
+      meal,
+      items,
+      updatedAt: new Date().toISOString(),
+    };
+    templates.set(id, template);
+    await persistOrUndo(() => {
+      if (templates.get(id) === template) templates.set(id, existing);
+    });
+    return template;
+  }
+
+  async function remove(id) {
+    const existing = templates.get(id);
+    if (!existing) return null;
+    templates.delete(id);
+    await persistOrUndo(() => {
+      if (!templates.has(id)) templates.set(id, existing);
+    });
+    return existing;
+  }
+
+  // Best effort: a failed write here should not fail a log that went through.
+  function markLogged(id) {
+    const existing = templates.get(id);
+    if (!existing) return;
+    existing.lastLoggedAt = new Date().toISOString();
+    persist().catch(() => {});
+  }
+
+  return { load, list, get, findByName, create, update, remove, markLogged };
+}
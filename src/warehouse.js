@@ -0,0 +1,201 @@
+import path from "node:path";
+import { addDays, enumerateDates, formatLocalDate } from "./dates.js";
+import { createWriteQueue, readJsonFile, writeJsonFileAtomic } from "./storage.js";
+
+export const WAREHOUSE_DATASETS = ["nutrition", "exercises", "biometrics", "weight"];
+
+function emptyDataset() {
+  return { days: {}, lastSyncAt: null, lastSyncError: null, lastSyncDurationMs: null };
+}
+
+function groupRowsByDate(data) {
+  const rows = !data ? [] : Array.isArray(data) ? data : [data];
+  const byDate = new Map();
+  const undated = [];
+  for (const row of rows) {
+    const date = typeof row?.date === "string" ? row.date.slice(0, 10) : null;
+    if (!date) {
+      undated.push(row);
+      continue;
+    }
+    const list = byDate.get(date) || [];
+    list.push(row);
+    byDate.set(date, list);
+  }
+  return { byDate, undated };
+}
+
+function splitIntoRuns(dates) {
+  const runs = [];
+  for (const date of dates) {
+    const last = runs[runs.length - 1];
+    if (last && addDays(last.end, 1) === date) {
+      last.end = date;
+    } else {
+      runs.push({ start: date, end: date });
+    }
+  }
+  return runs;
+}
+
+export function createWarehouse({
+  dir,
+  fetchRange,
+  mutableDays = 2,
+  syncDays = 14,
+  onSyncError = () => {},
+}) {
+  const datasets = new Map(WAREHOUSE_DATASETS.map((name) => [name, emptyDataset()]));
+  const enqueueWrite = createWriteQueue();
+  let timer = null;
+  let syncing = null;
+
+  function datasetPath(name) {
+    return path.join(dir, `${name}.json`);
+  }
+
+  function persist(name) {
+    const snapshot = datasets.get(name);
+    return enqueueWrite(() => writeJsonFileAtomic(datasetPath(name), snapshot));
+  }
+
+  async function load() {
+    for (const name of WAREHOUSE_DATASETS) {
+      const stored = await readJsonFile(datasetPath(name), null);
+      if (stored && typeof stored.days === "object") {
+        datasets.set(name, { ...emptyDataset(), ...stored });
+      }
+    }
+  }
+
+  function isFinal(date, stored) {
+    return Boolean(stored) && stored.syncedOn >= addDays(date, mutableDays);
+  }
+
+  async function query(
+    name,
+    { start, end },
+    { today = formatLocalDate(new Date()), background = false } = {}
+  ) {
+    const dataset = datasets.get(name);
+    if (!dataset) throw new Error(`Unknown warehouse dataset: ${name}`);
+
+    const dates = enumerateDates(start, end);
+    const missing = dates.filter((date) => !isFinal(date, dataset.days[date]));
+    const runs = splitIntoRuns(missing);
+    const fetched = new Map();
+    const undatedRows = [];
+    const fetchMeta = [];
+
+    for (const run of runs) {
+      const rangeSpec = `${run.start}:${run.end}`;
+      const meta = {};
+      const data = await fetchRange(name, rangeSpec, meta, { background });
+      fetchMeta.push({ range: rangeSpec, ...meta });
+
+      const { byDate, undated } = groupRowsByDate(data);
+      undatedRows.push(...undated);
+      const syncedAt = new Date().toISOString();
+      for (const date of enumerateDates(run.start, run.end)) {
+        const rows = byDate.get(date) || [];
+        fetched.set(date, rows);
+        if (date <= today) {
+          dataset.days[date] = { syncedAt, syncedOn: today, rows };
+        }
+      }
+    }
+
+    if (runs.length > 0) await persist(name);
+
+    const rows = [];
+    for (const date of dates) {
+      rows.push(...(fetched.get(date) || dataset.days[date]?.rows || []));
+    }
+    rows.push(...undatedRows);
+
+    return {
+      rows,
+      meta: {
+        source:
+          runs.length === 0
+            ? "warehouse"
+            : missing.length === dates.length
+              ? "live"
+              : "warehouse_partial",
+        datesRequested: dates.length,
+        datesFromStore: dates.length - missing.length,
+        datesFetched: missing.length,
+        fetches: fetchMeta,
+      },
+    };
+  }
+
+  async function syncDataset(name, today) {
+    const dataset = datasets.get(name);
+    const startedAt = Date.now();
+    try {
+      await query(
+        name,
+        { start: addDays(today, -(syncDays - 1)), end: today },
+        { today, background: true }
+      );
+      dataset.lastSyncError = null;
+    } catch (error) {
+      dataset.lastSyncError = error instanceof Error ? error.message : String(error);
+      onSyncError(name, error);
+    }
+    dataset.lastSyncAt = new Date().toISOString();
+    dataset.lastSyncDurationMs = Date.now() - startedAt;
+    await persist(name);
+  }
+
+  function sync() {
+    if (syncing) return syncing;
+    syncing = (async () => {
+      const today = formatLocalDate(new Date());
+      for (const name of WAREHOUSE_DATASETS) {
+        await syncDataset(name, today);
+      }
+      return status();
+    })().finally(() => {
+      syncing = null;
+    });
+    return syncing;
+  }
+
+  function start({ intervalMs }) {
+    if (timer) return;
+    const lastSync = Math.min(
+      ...WAREHOUSE_DATASETS.map((name) => {
+        const lastSyncAt = datasets.get(name).lastSyncAt;
+        return lastSyncAt ? Date.parse(lastSyncAt) || 0 : 0;
+      })
+    );
+    const firstDelayMs = Math.max(5000, lastSync + intervalMs - Date.now());
+    const tick = () => {
+      sync().catch(() => {});
+      timer = setTimeout(tick, intervalMs);
+      timer.unref();
+    };
+    timer = setTimeout(tick, Math.min(firstDelayMs, intervalMs));
+    timer.unref();
+  }
+
+  function status() {
+    const summary = {};
+    for (const [name, dataset] of datasets) {
+      const dates = Object.keys(dataset.days).sort();
+      summary[name] = {
+        daysStored: dates.length,
+        firstDate: dates[0] || null,
+        lastDate: dates[dates.length - 1] || null,
+        lastSyncAt: dataset.lastSyncAt,
+        lastSyncDurationMs: dataset.lastSyncDurationMs,
+        lastSyncError: dataset.lastSyncError,
+      };
+    }
+    return { syncing: Boolean(syncing), syncDays, mutableDays, datasets: summary };
+  }
+
+  return { load, query, sync, start, status };
+}
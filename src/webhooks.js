@@ -0,0 +1,317 @@
+import { createHmac, randomBytes, randomUUID } from "node:crypto";
+import { createWriteQueue, readJsonFile, writeJsonFileAtomic } from "./storage.js";
+
+export const WEBHOOK_EVENTS = [
+  "food.logged",
+  "credentials.synced",
+  "scrape.failed",
+  "ratelimit.hit",
+  "summary.daily",
+];
+const SECRET_PREFIX = "whsec_";
+const MAX_DEAD_LETTERS = 1000;
+const MAX_ERROR_BODY_LENGTH = 500;
+
+// Receivers recompute HMAC-SHA256(secret, `${timestamp}.${body}`) and compare
+// it with X-Crono-Signature; the timestamp lets them reject old replays.
+export function signPayload(secret, timestamp, body) {
+  const digest = createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+  return `sha256=${digest}`;
+}
+
+function describeWebhook(record) {
+  const { secret, ...rest } = record;
+  return rest;
+}
+
+function backoffDelayMs(attempt, baseDelayMs, maxDelayMs) {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  const jitter = Math.floor(exponential * 0.15 * Math.random());
+  return Math.min(maxDelayMs, exponential + jitter);
+}
+
+/**
+ * Webhook subscriptions plus a durable delivery queue. `emit` fans an
+ * event out to every matching subscription of the profile; deliveries are
+ * persisted before they are attempted, retried with exponential backoff,
+ * and moved to a dead-letter list after `maxAttempts` failures.
+ */
+export function createWebhookDispatcher({
+  subscriptionsPath,
+  queuePath,
+  maxAttempts,
+  baseDelayMs,
+  maxDelayMs,
+  timeoutMs,
+  fetchImpl = globalThis.fetch,
+  onPersistError = () => {},
+  onDeliveryFailed = () => {},
+}) {
+  const subscriptions = new Map();
+  let pending = [];
+  let deadLetters = [];
+  let state = {};
+  const enqueueSubscriptionWrite = createWriteQueue();
+  const enqueueQueueWrite = createWriteQueue();
+  const stats = { emitted: 0, delivered: 0, failedAttempts: 0, deadLettered: 0 };
+  let timer = null;
+  let pumping = false;
+  let started = false;
+
+  function persistSubscriptions() {
+    const snapshot = Array.from(subscriptions.values());
+    return enqueueSubscriptionWrite(() =>
+      writeJsonFileAtomic(subscriptionsPath, { webhooks: snapshot })
+    ).catch(onPersistError);
+  }
+
+  function persistQueue() {
+    const snapshot = { pending: [...pending], deadLetters: [...deadLetters], state: { ...state } };
+    return enqueueQueueWrite(() => writeJsonFileAtomic(queuePath, snapshot)).catch(
+      onPersistError
+    );
+  }
+
+  async function load() {
+    const storedSubscriptions = await readJsonFile(subscriptionsPath, null);
+    subscriptions.clear();
+    for (const record of storedSubscriptions?.webhooks || []) {
+      if (record?.id && record?.url) subscriptions.set(record.id, record);
+    }
+    const storedQueue = await readJsonFile(queuePath, null);
+    pending = Array.isArray(storedQueue?.pending) ? storedQueue.pending : [];
+    deadLetters = Array.isArray(storedQueue?.deadLetters) ? storedQueue.deadLetters : [];
+    state = storedQueue?.state && typeof storedQueue.state === "object" ? storedQueue.state : {};
+    return { webhooks: subscriptions.size, pending: pending.length };
+  }
+
+  function register({ profileId, url, events, description = null, secret = null }) {
+    const record = {
+      id: randomUUID(),
+      profileId,
+      url,
+      events: Array.from(new Set(events)),
+      description,
+      secret: secret || `${SECRET_PREFIX}${randomBytes(24).toString("base64url")}`,
+      createdAt: new Date().toISOString(),
+    };
+    subscriptions.set(record.id, record);
+    persistSubscriptions();
+    return { secret: record.secret, webhook: describeWebhook(record) };
+  }
+
+  function list({ profileId }) {
+    return Array.from(subscriptions.values())
+      .filter((record) => record.profileId === profileId)
+      .sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1))
+      .map(describeWebhook);
+  }
+
+  function get(id, { profileId }) {
+    const record = subscriptions.get(id);
+    return record && record.profileId === profileId ? describeWebhook(record) : null;
+  }
+
+  // Pending deliveries to a removed webhook are dropped when they come due.
+  function remove(id, { profileId }) {
+    const record = subscriptions.get(id);
+    if (!record || record.profileId !== profileId) return null;
+    subscriptions.delete(id);
+    persistSubscriptions();
+    return describeWebhook(record);
+  }
+
+  function hasSubscribers(profileId, event) {
+    for (const record of subscriptions.values()) {
+      if (record.profileId === profileId && record.events.includes(event)) return true;
+    }
+    return false;
+  }
+
+  function enqueue(record, event, data) {
+    const now = Date.now();
+    const delivery = {
+      id: randomUUID(),
+      webhookId: record.id,
+      profileId: record.profileId,
+      event,
+      data,
+      createdAt: new Date(now).toISOString(),
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+    };
+    pending.push(delivery);
+    return delivery;
+  }
+
+  // `only` limits the fan-out to one webhook (used by ping).
+  function emit(profileId, event, data, { only = null } = {}) {
+    const targets = Array.from(subscriptions.values()).filter(
+      (record) =>
+        record.profileId === profileId &&
+        (only ? record.id === only : record.events.includes(event))
+    );
+    if (targets.length === 0) return [];
+    const deliveries = targets.map((record) => enqueue(record, event, data));
+    stats.emitted += deliveries.length;
+    persistQueue();
+    schedule(0);
+    return deliveries.map((delivery) => delivery.id);
+  }
+
+  async function attempt(delivery) {
+    const record = subscriptions.get(delivery.webhookId);
+    pending = pending.filter((item) => item.id !== delivery.id);
+    if (!record) return;
+
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = JSON.stringify({
+      id: delivery.id,
+      event: delivery.event,
+      createdAt: delivery.createdAt,
+      profile: delivery.profileId,
+      data: delivery.data,
+    });
+    delivery.attempts += 1;
+    let error = null;
+    try {
+      const response = await fetchImpl(record.url, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json",
+          "user-agent": "crono-api-webhooks",
+          "x-crono-event": delivery.event,
+          "x-crono-delivery": delivery.id,
+          "x-crono-timestamp": String(timestamp),
+          "x-crono-signature": signPayload(record.secret, timestamp, body),
+        },
+        body,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!response.ok) {
+        const text = await response.text().catch(() => "");
+        error = `HTTP ${response.status}${text ? `: ${text.slice(0, MAX_ERROR_BODY_LENGTH)}` : ""}`;
+      }
+    } catch (caught) {
+      error = caught instanceof Error ? caught.message : String(caught);
+    }
+
+    if (!error) {
+      stats.delivered += 1;
+      return;
+    }
+
+    stats.failedAttempts += 1;
+    delivery.lastError = error;
+    delivery.lastAttemptAt = new Date().toISOString();
+    if (delivery.attempts >= maxAttempts) {
+      stats.deadLettered += 1;
+      deadLetters.push({ ...delivery, url: record.url, deadAt: new Date().toISOString() });
+      if (deadLetters.length > MAX_DEAD_LETTERS) deadLetters.shift();
+      onDeliveryFailed(delivery, { dead: true });
+    } else {
+      delivery.nextAttemptAt = Date.now() + backoffDelayMs(delivery.attempts - 1, baseDelayMs, maxDelayMs);
+      pending.push(delivery);
+      onDeliveryFailed(delivery, { dead: false });
+    }
+  }
+
+  async function pump() {
+    if (pumping) return;
+    pumping = true;
+    try {
+      for (;;) {
+        const now = Date.now();
+        const due = pending
+          .filter((delivery) => delivery.nextAttemptAt <= now)
+          .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)[0];
+        if (!due) break;
+        await attempt(due);
+        await persistQueue();
+      }
+    } finally {
+      pumping = false;
+      schedule();
+    }
+  }
+
+  function schedule(delayMs = null) {
+    if (!started) return;
+    clearTimeout(timer);
+    const next =
+      delayMs ??
+      (pending.length > 0
+        ? Math.max(0, Math.min(...pending.map((delivery) => delivery.nextAttemptAt)) - Date.now())
+        : null);
+    if (next === null) return;
+    timer = setTimeout(pump, next);
+    timer.unref();
+  }
+
+  function start() {
+    started = true;
+    schedule();
+  }
+
+  function stop() {
+    started = false;
+    clearTimeout(timer);
+  }
+
+  function listDeadLetters({ profileId }) {
+    return deadLetters.filter((delivery) => delivery.profileId === profileId).reverse();
+  }
+
+  // Puts a dead letter back on the queue with a fresh attempt budget.
+  function retryDeadLetter(id, { profileId }) {
+    const index = deadLetters.findIndex(
+      (delivery) => delivery.id === id && delivery.profileId === profileId
+    );
+    if (index === -1) return null;
+    const [delivery] = deadLetters.splice(index, 1);
+    const { url, deadAt, ...rest } = delivery;
+    const requeued = { ...rest, attempts: 0, nextAttemptAt: Date.now() };
+    pending.push(requeued);
+    persistQueue();
+    schedule(0);
+    return requeued;
+  }
+
+  // Small key/value state that must survive restarts alongside the queue,
+  // e.g. the last date summary.daily was sent for each profile.
+  function getState(key) {
+    return state[key] ?? null;
+  }
+
+  function setState(key, value) {
+    state[key] = value;
+    persistQueue();
+  }
+
+  function getStats() {
+    return {
+      webhooks: subscriptions.size,
+      pending: pending.length,
+      deadLetters: deadLetters.length,
+      ...stats,
+    };
+  }
+
+  return {
+    load,
+    start,
+    stop,
+    register,
+    list,
+    get,
+    remove,
+    hasSubscribers,
+    emit,
+    listDeadLetters,
+    retryDeadLetter,
+    getState,
+    setState,
+    stats: getStats,
+  };
+}
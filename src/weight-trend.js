@@ -0,0 +1,194 @@
+import { addDays, diffDays, enumerateDates, isIsoDate } from "./dates.js";
+
+export const LBS_PER_KG = 2.20462262;
+export const WEIGHT_UNITS = ["lbs", "kg"];
+
+function toNumber(value) {
+  if (typeof value === "number" && Number.isFinite(value)) return value;
+  if (typeof value === "string" && value.trim() !== "") {
+    const parsed = Number.parseFloat(value);
+    if (Number.isFinite(parsed)) return parsed;
+  }
+  return null;
+}
+
+function round(value, digits = 2) {
+  if (value === null || !Number.isFinite(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function normalizeUnit(raw) {
+  const unit = String(raw || "").toLowerCase().trim();
+  if (["kg", "kgs", "kilogram", "kilograms"].includes(unit)) return "kg";
+  if (["lb", "lbs", "pound", "pounds"].includes(unit)) return "lbs";
+  return null;
+}
+
+export function convertWeight(value, from, to) {
+  if (value === null || from === to) return value;
+  return to === "kg" ? value / LBS_PER_KG : value * LBS_PER_KG;
+}
+
+// crono weight rows are one weigh-in each; several on a day are averaged.
+// Returns a Map of date -> weight in `unit`, and the unit the rows used.
+export function normalizeWeighIns(rows, unit = null) {
+  const list = Array.isArray(rows) ? rows : rows ? [rows] : [];
+  const sums = new Map();
+  let sourceUnit = null;
+
+  for (const row of list) {
+    const date = typeof row?.date === "string" ? row.date.slice(0, 10) : "";
+    if (!isIsoDate(date)) continue;
+    const value = toNumber(row.weight ?? row.value ?? row.amount ?? row.Weight);
+    if (value === null || value <= 0) continue;
+    const rowUnit = normalizeUnit(row.unit ?? row.Unit) || sourceUnit || "lbs";
+    sourceUnit ??= rowUnit;
+    const converted = convertWeight(value, rowUnit, unit || sourceUnit);
+    const entry = sums.get(date) || { total: 0, count: 0 };
+    entry.total += converted;
+    entry.count += 1;
+    sums.set(date, entry);
+  }
+
+  const byDate = new Map();
+  for (const [date, { total, count }] of sums) byDate.set(date, total / count);
+  return { byDate, unit: unit || sourceUnit || "lbs" };
+}
+
+// Fills every calendar day from start to end. Days between weigh-ins are
+// linearly interpolated; days before the first or after the last weigh-in
+// carry the nearest one.
+export function fillWeightGaps(byDate, start, end) {
+  const observedDates = Array.from(byDate.keys()).sort();
+  if (observedDates.length === 0) return [];
+
+  return enumerateDates(start, end).map((date) => {
+    if (byDate.has(date)) {
+      return { date, weight: byDate.get(date), source: "observed" };
+    }
+    let previous = null;
+    let next = null;
+    for (const observed of observedDates) {
+      if (observed < date) previous = observed;
+      if (observed > date) {
+        next = observed;
+        break;
+      }
+    }
+    if (previous && next) {
+      const span = diffDays(previous, next);
+      const offset = diffDays(previous, date);
+      const from = byDate.get(previous);
+      const to = byDate.get(next);
+      return { date, weight: from + ((to - from) * offset) / span, source: "interpolated" };
+    }
+    return { date, weight: byDate.get(previous || next), source: "carried" };
+  });
+}
+
+export function linearRegression(points) {
+  const n = points.length;
+  if (n < 2) return null;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (const { x, y } of points) {
+    sxx += (x - meanX) ** 2;
+    sxy += (x - meanX) * (y - meanY);
+    syy += (y - meanY) ** 2;
+  }
+  if (sxx === 0) return null;
+  const slope = sxy / sxx;
+  return {
+    slope,
+    intercept: meanY - slope * meanX,
+    r2: syy === 0 ? 1 : (sxy * sxy) / (sxx * syy),
+  };
+}
+
+function describeRate(perWeek, unit, bodyWeight) {
+  if (perWeek === null) return null;
+  return {
+    lbs: round(convertWeight(perWeek, unit, "lbs")),
+    kg: round(convertWeight(perWeek, unit, "kg")),
+    percentOfBodyWeight: bodyWeight ? round((perWeek / bodyWeight) * 100, 3) : null,
+  };
+}
+
+/**
+ * Smooths weigh-ins into a daily trend for [start, end].
+ * `warmupStart` may be earlier than `start`: those days seed the moving
+ * average so the first reported day is not just the raw weigh-in.
+ */
+export function computeWeightTrend(
+  rows,
+  { start, end, warmupStart = start, alpha = 0.1, smaDays = 7, unit = null }
+) {
+  const { byDate, unit: resolvedUnit } = normalizeWeighIns(rows, unit);
+  const filled = fillWeightGaps(byDate, warmupStart, end);
+  if (filled.length === 0) return null;
+
+  let trend = null;
+  const series = filled.map((day, index) => {
+    trend = trend === null ? day.weight : trend + alpha * (day.weight - trend);
+    const windowDays = filled.slice(Math.max(0, index - smaDays + 1), index + 1);
+    const sma = windowDays.reduce((sum, d) => sum + d.weight, 0) / windowDays.length;
+    return { ...day, trend, sma, smaDays: windowDays.length };
+  });
+
+  const perDay = series.filter((day) => day.date >= start);
+  if (perDay.length === 0) return null;
+  const last = perDay[perDay.length - 1];
+
+  // Weekly rate from the trend line: change over the last 7 days (or the
+  // whole window if shorter), scaled to a week.
+  const rateFrom = series.find((day) => day.date >= addDays(last.date, -7)) || series[0];
+  const rateSpanDays = diffDays(rateFrom.date, last.date);
+  const weeklyRate =
+    rateSpanDays > 0 ? ((last.trend - rateFrom.trend) / rateSpanDays) * 7 : null;
+
+  const observed = perDay.filter((day) => day.source === "observed");
+  const regression = linearRegression(
+    observed.map((day) => ({ x: diffDays(start, day.date), y: day.weight }))
+  );
+
+  return {
+    unit: resolvedUnit,
+    latest: {
+      date: last.date,
+      weight: last.source === "observed" ? round(last.weight) : null,
+      trendWeight: round(last.trend),
+      movingAverage: round(last.sma),
+    },
+    weeklyRate: weeklyRate === null
+      ? null
+      : {
+          ...describeRate(weeklyRate, resolvedUnit, last.trend),
+          basis: "trend",
+          fromDate: rateFrom.date,
+          toDate: last.date,
+        },
+    regression: regression
+      ? {
+          slopePerDay: round(regression.slope, 4),
+          perWeek: describeRate(regression.slope * 7, resolvedUnit, last.trend),
+          r2: round(regression.r2, 3),
+          weighIns: observed.length,
+        }
+      : null,
+    daysWithWeighIn: observed.length,
+    daysFilled: perDay.length - observed.length,
+    perDay: perDay.map((day) => ({
+      date: day.date,
+      weight: round(day.weight),
+      weighedIn: day.source === "observed",
+      fill: day.source === "observed" ? null : day.source,
+      trendWeight: round(day.trend),
+      movingAverage: round(day.sma),
+      movingAverageDays: day.smaDays,
+    })),
+  };
+}